@@ -1,10 +1,16 @@
+// secrets the tests encrypt with, see dotenv.example
+process.env.ENCRYPTION_PWD = process.env.ENCRYPTION_PWD || "test secret";
+process.env.BLIND_INDEX_KEY = process.env.BLIND_INDEX_KEY || "test index key";
+process.env.ERASURE_LOG_KEY = process.env.ERASURE_LOG_KEY || "test log key";
+
 module.exports = {
   "verbose": true,
   "timeout": 5000,
   "require": [
     "@babel/register",
-    "@babel/preset-env",
-    "esm"
+    "@babel/preset-env"
   ],
+  // test/services need the services running, run them on their own
+  "spec": ["test/models", "test/datasources", "test/lib", "test/api.js"],
   recursive: true,
-}
\ No newline at end of file
+}
@@ -44,7 +44,16 @@
   }
 
   loginButton.onclick = function () {
-    fetch("/login", { method: "POST", credentials: "same-origin" })
+    const userName = prompt("User name");
+    const password = userName && prompt("Password");
+    if (!password) return;
+
+    fetch("/login", {
+      method: "POST",
+      credentials: "same-origin",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ userName, password }),
+    })
       .then(handleResponse)
       .then(showMessage)
       .catch(function (err) {
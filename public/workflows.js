@@ -0,0 +1,34 @@
+(function () {
+  const select = document.querySelector("#workflowModel");
+  const diagram = document.querySelector("#workflowDiagram");
+  const dotLink = document.querySelector("#workflowDot");
+
+  mermaid.initialize({ startOnLoad: false, theme: "dark" });
+
+  function showWorkflow(modelName, diagrams) {
+    dotLink.href = `/api/diagrams/${modelName}?format=dot`;
+    mermaid.render(
+      `workflow-${modelName}`,
+      diagrams[modelName].mermaid,
+      svg => {
+        diagram.innerHTML = svg;
+      }
+    );
+  }
+
+  fetch("/api/diagrams")
+    .then(response => response.json())
+    .then(diagrams => {
+      const modelNames = Object.keys(diagrams);
+      select.innerHTML = modelNames
+        .map(name => `<option value="${name}">${name}</option>`)
+        .join("");
+      select.onchange = function () {
+        showWorkflow(select.value, diagrams);
+      };
+      if (modelNames.length > 0) showWorkflow(modelNames[0], diagrams);
+    })
+    .catch(function (err) {
+      diagram.textContent = err.message;
+    });
+})();
@@ -0,0 +1,39 @@
+"use strict";
+
+/**
+ * Analyze the port workflow of each model spec.
+ *
+ * Usage: node scripts/analyze-workflow.js [modelName...] [--json]
+ *
+ * Exits with status 1 if any problems are found.
+ */
+
+require("@babel/register")({ cwd: require("path").resolve(__dirname, "..") });
+
+const { models } = require("../src/models");
+const analyzeWorkflow = require("../src/models/analyze-workflow").default;
+
+const args = process.argv.slice(2);
+const json = args.includes("--json");
+const names = args.filter(arg => !arg.startsWith("--"));
+
+const graphs = models
+  .filter(m => names.length < 1 || names.includes(m.modelName))
+  .map(m => analyzeWorkflow(m));
+
+if (json) {
+  console.log(JSON.stringify(graphs, null, 2));
+} else {
+  graphs.forEach(graph => {
+    console.log(`${graph.modelName}:`);
+    graph.edges.forEach(e =>
+      console.log(`  ${e.from} --${e.event}--> ${e.to}`)
+    );
+    if (graph.terminalEvents.length > 0) {
+      console.log(`  terminal events: ${graph.terminalEvents.join(", ")}`);
+    }
+    graph.problems.forEach(p => console.log(`  ${p.type}: ${p.message}`));
+  });
+}
+
+process.exit(graphs.some(g => g.problems.length > 0) ? 1 : 0);
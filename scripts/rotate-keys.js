@@ -0,0 +1,124 @@
+"use strict";
+
+/**
+ * Encrypt the stored values of every model again with the current
+ * encryption key, after a new key has been added to `ENCRYPTION_KEYS`
+ * and the host restarted. Runs the `rotateKeys` command on each model
+ * through the host's REST API.
+ *
+ * Usage: node scripts/rotate-keys.js [modelName...]
+ *
+ * `MODELS_URL` is the base URL of the API, by default
+ * http://localhost:8070/microlib/api/models
+ *
+ * `ROTATE_CONCURRENCY` is the number of models rotated at a time,
+ * 5 by default.
+ *
+ * The host applies the ACL of the command, `write` and `decrypt`, to
+ * the caller, passed as the API passes its users: `ROTATE_TOKEN` is sent
+ * as the bearer token, if set, `ROTATE_USER` as `X-User-Id` and
+ * `ROTATE_ROLES`, e.g. `owner,admin`, as `X-User-Roles`.
+ *
+ * Exits with status 1 if any model couldn't be rotated.
+ */
+
+require("dotenv").config();
+require("@babel/register")({ cwd: require("path").resolve(__dirname, "..") });
+
+const axios = require("axios");
+const { models } = require("../src/models");
+
+const baseUrl =
+  process.env.MODELS_URL || "http://localhost:8070/microlib/api/models";
+const concurrency = Number(process.env.ROTATE_CONCURRENCY) || 5;
+const names = process.argv.slice(2);
+
+/**
+ * The caller, as `credentials` in `src/api.js` passes it to the host.
+ */
+const credentials = {
+  headers: {
+    ...(process.env.ROTATE_TOKEN
+      ? { Authorization: `Bearer ${process.env.ROTATE_TOKEN}` }
+      : {}),
+    ...(process.env.ROTATE_USER
+      ? {
+          "X-User-Id": process.env.ROTATE_USER,
+          "X-User-Roles": process.env.ROTATE_ROLES || "",
+        }
+      : {}),
+  },
+};
+
+/**
+ * Like `Promise.allSettled`, but run `task` on at most
+ * `concurrency` items at a time.
+ */
+async function settleEach(items, task) {
+  const results = [];
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index]).then(
+        value => ({ status: "fulfilled", value }),
+        reason => ({ status: "rejected", reason })
+      );
+    }
+  }
+
+  await Promise.all(
+    Array.from({ length: Math.min(concurrency, items.length) }, worker)
+  );
+  return results;
+}
+
+async function rotate(spec) {
+  const url = `${baseUrl}/${spec.endpoint}`;
+  const { data } = await axios.get(url, credentials);
+  const instances = Array.isArray(data) ? data : [];
+
+  // the host serializes the id of a model as `modelId`
+  const results = await settleEach(instances, async m => {
+    if (m?.modelId == null) throw new Error("no modelId");
+    return axios.get(`${url}/${encodeURIComponent(m.modelId)}`, {
+      ...credentials,
+      params: { command: "rotateKeys" },
+    });
+  });
+
+  const failed = results
+    .map((result, index) => ({
+      result,
+      id: instances[index]?.modelId ?? `item ${index}`,
+    }))
+    .filter(({ result }) => result.status === "rejected");
+
+  console.log(
+    `${spec.modelName}: ${instances.length - failed.length} of ${
+      instances.length
+    } rotated`
+  );
+  failed.forEach(({ id, result }) =>
+    console.error(`  ${id}: ${result.reason.message}`)
+  );
+  return failed.length;
+}
+
+models
+  .filter(m => m.commands?.rotateKeys)
+  .filter(m => names.length < 1 || names.includes(m.modelName))
+  .reduce(
+    (failures, spec) =>
+      failures.then(count =>
+        rotate(spec)
+          .then(failed => count + failed)
+          .catch(error => {
+            console.error(`${spec.modelName}: ${error.message}`);
+            return count + 1;
+          })
+      ),
+    Promise.resolve(0)
+  )
+  .then(failures => process.exit(failures > 0 ? 1 : 0));
@@ -0,0 +1,598 @@
+"use strict";
+
+import express from "express";
+import axios from "axios";
+import dryRun, { loadModel } from "./models/dry-run";
+import { toETag, withIfMatch } from "./models/etag";
+import {
+  AUDIT_CONTEXT,
+  modelVersion,
+  rolesAllow,
+  withoutSecrets,
+} from "./models/mixins";
+
+/**
+ * Parse the roles of users, configured as `role:user,...;...`,
+ * e.g. `admin:alice;finance:bob,carol` in `USER_ROLES`.
+ * @param {string} [config]
+ * @returns {{[userName:string]:string[]}}
+ */
+export function parseRoles(config = "") {
+  return config
+    .split(";")
+    .map(entry => entry.split(":"))
+    .filter(([role, users]) => role.trim() && users)
+    .reduce(
+      (roles, [role, users]) =>
+        users
+          .split(",")
+          .map(user => user.trim())
+          .filter(user => user)
+          .reduce(
+            (r, user) => ({ ...r, [user]: [...(r[user] || []), role.trim()] }),
+            roles
+          ),
+      {}
+    );
+}
+
+/**
+ * The roles of the caller for a model: those of their user, and
+ * `owner` of the models of their own customer.
+ * @param {{roles?:string[],customerId?:string}} session
+ * @param {object} [model]
+ */
+function callerRoles(session, model) {
+  const roles = session.roles || [];
+  return session.customerId && model?.customerId === session.customerId
+    ? [...roles, "owner"]
+    : roles;
+}
+
+/**
+ * The filters of a list of models the caller may pass on to the host:
+ * the state of the model and the foreign keys of its relations, one
+ * value each. Anything else, e.g. a `command`, or a filter on encrypted
+ * values, is dropped.
+ * @param {import("./models").ModelSpecification} spec
+ * @param {object} query
+ */
+function filters(spec, query) {
+  const keys = [
+    spec.stateMachine?.propKey,
+    ...Object.values(spec.relations || {})
+      .filter(relation => relation.type === "manyToOne")
+      .map(relation => relation.foreignKey),
+  ];
+
+  return keys
+    .filter(key => key && typeof query[key] === "string")
+    .reduce((params, key) => ({ ...params, [key]: query[key] }), {});
+}
+
+/**
+ * Routes of the API served in front of the models of the host. Callers
+ * log in with the user name and password of a `user` model, and their
+ * roles are configured on the server, see `parseRoles`, never taken
+ * from the request. Changes are passed on with the caller in
+ * `AUDIT_CONTEXT`, so the host API must only be reachable from here.
+ *
+ * @param {{
+ *  models:import("./models").ModelSpecification[],
+ *  modelsUrl:string,
+ *  roles?:{[userName:string]:string[]},
+ *  client?:import("axios").AxiosInstance
+ * }} options - `client` calls the host API
+ * @returns {express.Router}
+ */
+export default function makeApi({
+  models,
+  modelsUrl,
+  roles = {},
+  client = axios,
+}) {
+  const router = express.Router();
+  const url = (endpoint, id) =>
+    `${modelsUrl}/${endpoint}${id ? `/${encodeURIComponent(id)}` : ""}`;
+
+  /**
+   * Pass the caller on to the host, so it applies the ACL of commands
+   * to them rather than to this server: their bearer token, if they
+   * sent one, and their user and roles for the model.
+   * @param {express.Request} req
+   * @param {object} [model]
+   */
+  const credentials = (req, model) => ({
+    headers: {
+      ...(req.headers.authorization
+        ? { Authorization: req.headers.authorization }
+        : {}),
+      ...(req.session.userId
+        ? {
+            "X-User-Id": req.session.userId,
+            "X-User-Roles": callerRoles(req.session, model).join(","),
+          }
+        : {}),
+    },
+  });
+
+  /**
+   * The user with the name and password, or null.
+   * @param {string} userName
+   * @param {string} password
+   */
+  async function verifyUser(userName, password) {
+    const { data } = await client.get(url("users"), { params: { userName } });
+    const user = [].concat(data || []).find(u => u.userName === userName);
+    if (!user) return null;
+
+    const { data: login } = await client.post(
+      `${url("users", user.userId)}/login`,
+      { password }
+    );
+    return login?.verified === true ? user : null;
+  }
+
+  /**
+   * The customer of the user, if the customer is linked back to it:
+   * users choose their `customerId`, customers don't.
+   * @param {{userId:string,customerId?:string}} user
+   */
+  async function customerOf(user) {
+    if (!user.customerId) return undefined;
+
+    const { data } = await client
+      .get(url("customers", user.customerId))
+      .catch(() => ({}));
+    return data?.userId === user.userId ? user.customerId : undefined;
+  }
+
+  /**
+   * Saved data of a model as the caller may see it, see `maskProperties`.
+   * Ciphertext and password hashes are never sent, see `withoutSecrets`.
+   * @param {express.Request} req
+   * @param {import("./models").ModelSpecification} spec
+   * @param {object} data
+   */
+  async function serve(req, spec, data) {
+    const model = await loadModel(spec, data);
+    return withoutSecrets(
+      model,
+      model.mask ? model.mask(...callerRoles(req.session, model)) : data
+    );
+  }
+
+  /**
+   * Send the version of the model as its `ETag`, so the caller can pass
+   * it back in `If-Match` when updating it, see `optimisticLock`.
+   * @param {express.Response} res
+   * @param {object} data
+   */
+  function tagged(res, data) {
+    const etag = toETag(data);
+    if (etag) res.set("ETag", etag);
+    return res;
+  }
+
+  /**
+   * Did the model change since the caller read the version in
+   * `If-Match`? The host checks the version again when it saves the
+   * update, see `optimisticLock`.
+   * @param {string} [ifMatch]
+   * @param {object} saved
+   */
+  function modifiedSince(ifMatch, saved) {
+    const expected = withIfMatch({}, ifMatch)[modelVersion];
+    return expected !== undefined && expected !== saved?.[modelVersion];
+  }
+
+  /**
+   * Who is changing the model, see `auditContext`.
+   * @param {express.Request} req
+   * @param {object} [model]
+   */
+  const caller = (req, model) => ({
+    user: req.session.userId,
+    roles: callerRoles(req.session, model),
+    via: "api",
+  });
+
+  /**
+   * Answer with the violations the host found, if any, changes the
+   * caller's roles don't allow being forbidden, and stale versions the
+   * caller passed in `If-Match` failing the precondition.
+   * @param {express.Response} res
+   * @param {Error} error
+   * @param {string} message
+   * @param {string} [ifMatch]
+   */
+  function failed(res, error, message, ifMatch) {
+    const { status = 502, data } = error.response || {};
+
+    if (!data?.violations) {
+      res.status(status).send({ error: message });
+      return;
+    }
+    const has = code => data.violations.some(v => v.code === code);
+    res
+      .status(
+        has("FORBIDDEN")
+          ? 403
+          : ifMatch && has("VERSION_CONFLICT")
+          ? 412
+          : status
+      )
+      .send(data);
+  }
+
+  router.post("/login", async (req, res) => {
+    const { userName, password } = req.body || {};
+
+    if (typeof userName !== "string" || typeof password !== "string") {
+      res.status(400).send({ error: "userName and password are required" });
+      return;
+    }
+
+    try {
+      const user = await verifyUser(userName, password);
+
+      if (!user) {
+        res.status(401).send({ error: "invalid user name or password" });
+        return;
+      }
+
+      const customerId = await customerOf(user);
+      req.session.regenerate(error => {
+        if (error) {
+          res.status(500).send({ error: "session not available" });
+          return;
+        }
+        console.log(`Updating session for user ${user.userId}`);
+        req.session.userId = user.userId;
+        req.session.customerId = customerId;
+        req.session.roles = roles[user.userName] || [];
+        res.send({ result: "OK", message: "Session updated" });
+      });
+    } catch (error) {
+      res.status(502).send({ error: "users not available" });
+    }
+  });
+
+  // Download the answer to a subject access request, see exportPersonalData.
+  // Only the customer's own user, or an admin, can.
+  router.get("/api/customers/:id/personal-data", async (req, res) => {
+    const { id } = req.params;
+    const format = req.query.format || "json";
+
+    if (!req.session.userId) {
+      res.status(401).send({ error: "log in first" });
+      return;
+    }
+    if (
+      req.session.customerId !== id &&
+      !(req.session.roles || []).includes("admin")
+    ) {
+      res.status(403).send({ error: "not your personal data" });
+      return;
+    }
+    if (!["json", "html"].includes(format)) {
+      res.status(400).send({ error: "format must be json or html" });
+      return;
+    }
+
+    try {
+      const { headers } = credentials(req, { customerId: id });
+      const { data } = await client.get(url("customers", id), {
+        headers,
+        params: { command: "exportPersonalData" },
+      });
+      res
+        .status(200)
+        .attachment(`personal-data-${id}.${format}`)
+        .type(format)
+        .send(
+          format === "html" ? data.html : JSON.stringify(data.document, null, 2)
+        );
+    } catch (error) {
+      res
+        .status(error.response?.status || 500)
+        .send({ error: "personal data not available" });
+    }
+  });
+
+  // Read models, with their properties masked for the caller's roles
+  router.get("/api/:endpoint", async (req, res, next) => {
+    const spec = models.find(m => m.endpoint === req.params.endpoint);
+
+    if (!spec) {
+      next();
+      return;
+    }
+    if (!req.session.userId) {
+      res.status(401).send({ error: "log in first" });
+      return;
+    }
+
+    try {
+      const { data } = await client.get(url(spec.endpoint), {
+        ...credentials(req),
+        params: filters(spec, req.query),
+      });
+      res
+        .status(200)
+        .send(
+          await Promise.all([].concat(data || []).map(d => serve(req, spec, d)))
+        );
+    } catch (error) {
+      res
+        .status(error.response?.status || 502)
+        .send({ error: "models not available" });
+    }
+  });
+
+  router.get("/api/:endpoint/:id", async (req, res, next) => {
+    const { endpoint, id } = req.params;
+    const spec = models.find(m => m.endpoint === endpoint);
+
+    if (!spec) {
+      next();
+      return;
+    }
+    if (!req.session.userId) {
+      res.status(401).send({ error: "log in first" });
+      return;
+    }
+
+    try {
+      const { data } = await client.get(url(endpoint, id), credentials(req));
+      tagged(res, data)
+        .status(200)
+        .send(await serve(req, spec, data));
+    } catch (error) {
+      res
+        .status(error.response?.status || 502)
+        .send({ error: "model not available" });
+    }
+  });
+
+  // Write models as the caller, who is recorded in the audit trail and
+  // whose roles are checked by the state machine
+  router.post("/api/:endpoint", async (req, res, next) => {
+    const spec = models.find(m => m.endpoint === req.params.endpoint);
+
+    if (!spec) {
+      next();
+      return;
+    }
+    if (!req.session.userId) {
+      res.status(401).send({ error: "log in first" });
+      return;
+    }
+
+    try {
+      const { data } = await client.post(
+        url(spec.endpoint),
+        { ...req.body, [AUDIT_CONTEXT]: caller(req, req.body) },
+        credentials(req, req.body)
+      );
+      tagged(res, data)
+        .status(201)
+        .send(await serve(req, spec, data));
+    } catch (error) {
+      failed(res, error, "model not saved");
+    }
+  });
+
+  // Updates can be made conditional on the version the caller read,
+  // by passing its ETag in If-Match
+  router.patch("/api/:endpoint/:id", async (req, res, next) => {
+    const { endpoint, id } = req.params;
+    const ifMatch = req.get("If-Match");
+    const spec = models.find(m => m.endpoint === endpoint);
+
+    if (!spec) {
+      next();
+      return;
+    }
+    if (!req.session.userId) {
+      res.status(401).send({ error: "log in first" });
+      return;
+    }
+
+    try {
+      const { data: saved } = await client.get(
+        url(endpoint, id),
+        credentials(req)
+      );
+
+      if (modifiedSince(ifMatch, saved)) {
+        tagged(res, saved)
+          .status(412)
+          .send({ error: "model was updated since it was read" });
+        return;
+      }
+
+      const { data } = await client.patch(
+        url(endpoint, id),
+        withIfMatch(
+          { ...req.body, [AUDIT_CONTEXT]: caller(req, saved) },
+          ifMatch
+        ),
+        credentials(req, saved)
+      );
+      tagged(res, data)
+        .status(200)
+        .send(await serve(req, spec, data));
+    } catch (error) {
+      failed(res, error, "model not available", ifMatch);
+    }
+  });
+
+  // The audit trail of a model, see auditTrail
+  router.get("/api/:endpoint/:id/history", async (req, res, next) => {
+    const { endpoint, id } = req.params;
+    const spec = models.find(m => m.endpoint === endpoint);
+
+    if (!spec) {
+      next();
+      return;
+    }
+    if (!req.session.userId) {
+      res.status(401).send({ error: "log in first" });
+      return;
+    }
+
+    try {
+      const { data } = await client.get(url(endpoint, id), credentials(req));
+      const model = await loadModel(spec, data);
+
+      if (!model.getHistory) {
+        res.status(404).send({ error: "no history" });
+        return;
+      }
+      res.status(200).send(model.getHistory());
+    } catch (error) {
+      res
+        .status(error.response?.status || 502)
+        .send({ error: "model not available" });
+    }
+  });
+
+  // Undo changes, as the revert command does, if the caller may run it
+  router.post("/api/:endpoint/:id/revert", async (req, res, next) => {
+    const { endpoint, id } = req.params;
+    const spec = models.find(m => m.endpoint === endpoint);
+
+    if (!spec?.endpoints?.revert) {
+      next();
+      return;
+    }
+    if (!req.session.userId) {
+      res.status(401).send({ error: "log in first" });
+      return;
+    }
+
+    try {
+      const { data: saved } = await client.get(
+        url(endpoint, id),
+        credentials(req)
+      );
+      const by = caller(req, saved);
+
+      if (
+        !rolesAllow(
+          spec.commands?.revert?.acl,
+          by.roles,
+          spec.accessControlList
+        )
+      ) {
+        res.status(403).send({ error: "not allowed to revert" });
+        return;
+      }
+
+      const { revision, propKeys } = req.body || {};
+      const { data } = await client.post(
+        `${url(endpoint, id)}/revert`,
+        { revision, propKeys, [AUDIT_CONTEXT]: by },
+        credentials(req, saved)
+      );
+      tagged(res, data)
+        .status(200)
+        .send(await serve(req, spec, data));
+    } catch (error) {
+      failed(res, error, "model not available");
+    }
+  });
+
+  /**
+   * Validate the request body against the model of `req.params.endpoint`,
+   * as an update of the saved model `req.params.id`, if given, without
+   * saving it, see `dryRun`. Updates are only validated for callers who
+   * may read the model; others are forbidden whether it exists or not.
+   */
+  async function validateDryRun(req, res) {
+    const { endpoint, id } = req.params;
+    const spec = models.find(m => m.endpoint === endpoint);
+    const mayRead = model =>
+      rolesAllow(
+        ["read"],
+        callerRoles(req.session, model),
+        spec.accessControlList
+      );
+
+    if (!spec) {
+      res.status(404).send({ error: "no such model" });
+      return;
+    }
+    if (!req.session.userId) {
+      res.status(401).send({ error: "log in first" });
+      return;
+    }
+
+    try {
+      const saved = id
+        ? await client.get(url(endpoint, id), credentials(req)).catch(error => {
+            if (mayRead()) throw error;
+            return null;
+          })
+        : null;
+
+      if (id && !mayRead(saved?.data)) {
+        res.status(403).send({ error: "not allowed to read the model" });
+        return;
+      }
+      const input = id
+        ? { ...req.body, [AUDIT_CONTEXT]: caller(req, saved.data) }
+        : req.body;
+      res.status(200).send(await dryRun(spec, input, saved?.data));
+    } catch (error) {
+      if (error.isAxiosError) {
+        res
+          .status(error.response?.status || 502)
+          .send({ error: "model not available" });
+        return;
+      }
+      res.status(400).send({ error: error.message });
+    }
+  }
+
+  // Pre-validate form input: nothing is saved and no ports run
+  router.post("/api/:endpoint/validate", validateDryRun);
+  router.patch("/api/:endpoint/:id/validate", validateDryRun);
+
+  // States the model can move to now, given the caller's roles
+  router.get("/api/:endpoint/:id/transitions", async (req, res) => {
+    const { endpoint, id } = req.params;
+    const spec = models.find(m => m.endpoint === endpoint);
+
+    if (!spec?.stateMachine) {
+      res.status(404).send({ error: "no state machine" });
+      return;
+    }
+    if (!req.session.userId) {
+      res.status(401).send({ error: "log in first" });
+      return;
+    }
+
+    try {
+      const { data } = await client.get(url(endpoint, id), credentials(req));
+      const model = await loadModel(spec, data);
+      const state = model[spec.stateMachine.propKey];
+
+      res.status(200).send({
+        state,
+        terminal: !!spec.stateMachine.states[state]?.terminal,
+        transitions: model.transitions(
+          callerRoles(req.session, model),
+          spec.accessControlList
+        ),
+      });
+    } catch (error) {
+      res
+        .status(error.response?.status || 502)
+        .send({ error: "model not available" });
+    }
+  });
+
+  return router;
+}
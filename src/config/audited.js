@@ -0,0 +1,32 @@
+"use strict";
+
+import { auditTrail, AUDIT_CONTEXT } from "../models/mixins";
+
+/**
+ * Base spec for models that keep an audit trail. Not a model
+ * itself: use it in the `extends` list of a spec. The API serves
+ * the trail at `GET /api/:endpoint/:id/history`, see `makeApi`.
+ */
+export const Audited = {
+  mixins: [auditTrail()],
+  commands: {
+    revert: {
+      command: "revert",
+      acl: ["revert"],
+      desc: "Undo the last change",
+    },
+  },
+  endpoints: {
+    revert: {
+      uri: "revert",
+      method: "post",
+      // the API passes who is reverting
+      callback: (model, payload) =>
+        model.revert(
+          payload?.revision,
+          payload?.propKeys,
+          payload?.[AUDIT_CONTEXT]
+        ),
+    },
+  },
+};
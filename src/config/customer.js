@@ -3,10 +3,12 @@
 import {
   validateModel,
   freezeProperties,
-  validateProperties,
   requireProperties,
+  erasePersonalInfo,
 } from "../models/mixins";
+import { PersonWithPaymentInfo, paymentInfo } from "./person";
 import { makeCustomerFactory, okToDelete } from "../models/customer";
+import exportPersonalData from "../models/subject-access";
 import { DataSourceAdapterMongoDb } from "../datasources/datasource-mongodb";
 import { nanoid } from "nanoid";
 
@@ -16,6 +18,7 @@ import { nanoid } from "nanoid";
 export const Customer = {
   modelName: "customer",
   endpoint: "customers",
+  extends: [PersonWithPaymentInfo],
   dependencies: { uuid: () => nanoid(8) },
   factory: makeCustomerFactory,
   validate: validateModel,
@@ -27,41 +30,44 @@ export const Customer = {
   //   baseClass: "DataSourceMongoDb",
   // },
   mixins: [
-    freezeProperties("customerId"),
-    requireProperties(
-      "firstName",
-      "lastName",
-      "email",
-      "shippingAddress",
-      "billingAddress",
-      "creditCardNumber"
-    ),
-    validateProperties([
-      {
-        propKey: "email",
-        // unique: { encrypted: true },
-        regex: "email",
-      },
-      {
-        propKey: "creditCardNumber",
-        regex: "creditCard",
-      },
-    ]),
+    freezeProperties("customerId", "userId"),
+    requireProperties(...paymentInfo),
+    erasePersonalInfo("orders"),
   ],
+  commands: {
+    erase: {
+      command: "erase",
+      acl: ["write", "erase"],
+      desc: "Erase the personal info of the customer and their orders",
+    },
+    exportPersonalData: {
+      command: exportPersonalData,
+      acl: ["read", "decrypt"],
+      desc: "Personal info of the customer, their orders and user account",
+    },
+  },
   relations: {
     orders: {
       modelName: "order",
       type: "oneToMany",
       foreignKey: "customerId",
     },
-  },
-  commands: {
-    decrypt: {
-      command: "decrypt",
-      acl: ["read", "decrypt"],
+    user: {
+      modelName: "user",
+      type: "oneToOne",
+      foreignKey: "userId",
     },
   },
   accessControlList: {
+    owner: {
+      allow: ["read", "decrypt"],
+      type: "role",
+      desc: "The customer's own user",
+    },
+    admin: {
+      allow: ["read", "decrypt"],
+      type: "role",
+    },
     customer: {
       allow: "read",
       type: "relation",
@@ -2,3 +2,6 @@ export * from "./order";
 export * from "./user";
 // export * from "./customer";
 // export * from "./product";
+
+// models of other remotes, which relations may refer to
+export const remoteModels = ["customer", "product"];
@@ -7,20 +7,19 @@ import {
   orderShipped,
   paymentCompleted,
   OrderStatus,
-  recalcTotal,
-  requiredForCompletion,
-  statusChangeValid,
-  freezeOnApproval,
-  freezeOnCompletion,
+  calcTotal,
+  needsSignature,
+  startCheckout,
+  startFulfillment,
+  trackDelivery,
+  startCancellation,
+  orderCompleted,
   orderTotalValid,
   returnInventory,
   returnShipment,
   refundPayment,
   returnDelivery,
   cancelPayment,
-  updateSignature,
-  requiredForGuest,
-  requiredForApproval,
   approve,
   cancel,
 } from "../models/order";
@@ -28,11 +27,17 @@ import {
 import {
   requireProperties,
   freezeProperties,
-  updateProperties,
+  computeProperties,
   validateProperties,
+  crossValidateProperties,
+  defineSchema,
+  maskProperties,
   validateModel,
 } from "../models/mixins";
 
+import retryOnConflict from "../models/retry-on-conflict";
+import { PersonWithPaymentInfo, paymentInfo } from "./person";
+import { Audited } from "./audited";
 import { DataSourceAdapterMongoDb } from "../datasources/datasource-mongodb";
 import { nanoid } from "nanoid";
 
@@ -42,6 +47,7 @@ import { nanoid } from "nanoid";
 export const Order = {
   modelName: "order",
   endpoint: "orders",
+  extends: [PersonWithPaymentInfo, Audited],
   factory: makeOrderFactory,
   datasource: {
     factory: DataSourceAdapterMongoDb,
@@ -50,71 +56,149 @@ export const Order = {
     baseClass: "DataSourceMongoDb",
   },
   dependencies: { uuid: () => nanoid(8) },
+  version: 1,
+  migrations: [
+    {
+      version: 1,
+      desc: "add shipping priority and arrival estimate",
+      migrate: order => ({
+        shippingPriority: order.shippingPriority || null,
+        estimatedArrival: order.estimatedArrival || null,
+      }),
+    },
+  ],
   mixins: [
     requireProperties(
       "orderItems",
-      requiredForGuest([
-        "lastName",
-        "firstName",
-        "billingAddress",
-        "shippingAddress",
-        "creditCardNumber",
-        "email",
-      ]),
-      requiredForApproval("paymentAuthorization"),
-      requiredForCompletion("proofOfDelivery")
+      { when: { customerId: { exists: false } }, require: paymentInfo },
+      {
+        when: { orderStatus: OrderStatus.APPROVED },
+        require: ["paymentAuthorization"],
+      },
+      {
+        when: { orderStatus: OrderStatus.COMPLETE },
+        require: ["proofOfDelivery"],
+      }
     ),
     freezeProperties(
       "orderNo",
       "customerId",
-      freezeOnApproval([
-        "email",
-        "lastName",
-        "firstName",
-        "orderItems",
-        "orderTotal",
-        "billingAddress",
-        "shippingAddress",
-        "creditCardNumber",
-        "paymentAuthorization",
-      ]),
-      freezeOnCompletion("*")
+      {
+        when: { prev: { orderStatus: { ne: OrderStatus.PENDING } } },
+        freeze: [
+          ...paymentInfo,
+          "orderItems",
+          "orderTotal",
+          "paymentAuthorization",
+        ],
+      },
+      {
+        when: {
+          prev: {
+            orderStatus: { in: [OrderStatus.COMPLETE, OrderStatus.CANCELED] },
+          },
+        },
+        freeze: ["*"],
+      }
     ),
-    updateProperties([
+    defineSchema({
+      orderItems: {
+        type: "array",
+        min: 1,
+        items: {
+          type: "object",
+          properties: {
+            itemId: { type: "string", required: true },
+            price: { type: "number", min: 0, required: true },
+            qty: { type: "integer", min: 1, default: 1 },
+          },
+        },
+      },
+    }),
+    computeProperties([
       {
-        propKey: "orderItems",
-        update: recalcTotal,
+        propKey: "orderTotal",
+        inputs: ["orderItems"],
+        compute: calcTotal,
       },
       {
-        propKey: "orderItems",
-        update: updateSignature,
+        propKey: "signatureRequired",
+        inputs: ["requireSignature", "orderTotal"],
+        compute: needsSignature,
       },
     ]),
     validateProperties([
-      {
-        propKey: "orderStatus",
-        values: Object.values(OrderStatus),
-        isValid: statusChangeValid,
-      },
       {
         propKey: "orderTotal",
         maxnum: 99999.99,
-        isValid: orderTotalValid,
-      },
-      {
-        propKey: "email",
-        regex: "email",
       },
+    ]),
+    crossValidateProperties([
       {
-        propKey: "creditCardNumber",
-        regex: "creditCard",
+        name: "orderTotalMatchesItems",
+        fields: ["orderItems", "orderTotal"],
+        isValid: orderTotalValid,
+        message: "orderTotal doesn't match orderItems",
       },
       {
-        propKey: "phone",
-        regex: "phone",
+        name: "overnightNeedsSignature",
+        fields: ["shippingPriority", "signatureRequired"],
+        isValid: {
+          or: [
+            { shippingPriority: { ne: "overnight" } },
+            { signatureRequired: { ne: false } },
+          ],
+        },
+        message: "overnight shipping requires a signature",
       },
     ]),
+    maskProperties({
+      creditCardNumber: { mask: "card", clear: ["owner"], masked: ["support"] },
+      email: { mask: "email", clear: ["owner", "support"] },
+      shippingAddress: {
+        mask: "address",
+        clear: ["owner"],
+        masked: ["support"],
+      },
+      billingAddress: {
+        mask: "address",
+        clear: ["owner"],
+        masked: ["support"],
+      },
+    }),
   ],
+  stateMachine: {
+    propKey: "orderStatus",
+    initial: OrderStatus.PENDING,
+    states: {
+      [OrderStatus.PENDING]: {
+        entry: startCheckout,
+        transitions: {
+          [OrderStatus.APPROVED]: {
+            guard: "paymentAccepted",
+            acl: ["approve"],
+          },
+          [OrderStatus.CANCELED]: { acl: ["cancel"] },
+        },
+      },
+      [OrderStatus.APPROVED]: {
+        entry: startFulfillment,
+        transitions: {
+          [OrderStatus.SHIPPING]: { desc: "picked up by the carrier" },
+          [OrderStatus.CANCELED]: { acl: ["cancel"] },
+        },
+      },
+      [OrderStatus.SHIPPING]: {
+        entry: trackDelivery,
+        transitions: {
+          [OrderStatus.COMPLETE]: { desc: "delivered and paid" },
+          [OrderStatus.CANCELED]: { acl: ["cancel"] },
+        },
+      },
+      [OrderStatus.COMPLETE]: { entry: orderCompleted, terminal: true },
+      [OrderStatus.CANCELED]: { entry: startCancellation, terminal: true },
+    },
+  },
   validate: validateModel,
   onDelete: readyToDelete,
   eventHandlers: [handleOrderEvent],
@@ -172,7 +256,7 @@ export const Order = {
     shipOrder: {
       service: "Shipping",
       type: "outbound",
-      callback: orderShipped,
+      callback: retryOnConflict(orderShipped),
       consumesEvent: "orderPicked",
       producesEvent: "orderShipped",
       undo: returnShipment,
@@ -195,7 +279,7 @@ export const Order = {
     completePayment: {
       service: "Payment",
       type: "outbound",
-      callback: paymentCompleted,
+      callback: retryOnConflict(paymentCompleted),
       consumesEvent: "deliveryVerified",
       producesEvent: "workflowComplete",
       undo: refundPayment,
@@ -248,10 +332,6 @@ export const Order = {
     },
   },
   commands: {
-    decrypt: {
-      command: "decrypt",
-      acl: ["read", "decrypt"],
-    },
     approve: {
       command: approve,
       acl: ["write", "approve"],
@@ -260,6 +340,11 @@ export const Order = {
       command: cancel,
       acl: ["write", "cancel"],
     },
+    sagaLog: {
+      command: order => order.getSagaLog(),
+      acl: ["read"],
+      desc: "Status of each workflow step, and of undoing them",
+    },
   },
   accessControlList: {
     admin: {
@@ -280,6 +365,21 @@ export const Order = {
       allow: "approve",
       type: "role",
     },
+    workflow: {
+      allow: ["approve", "cancel"],
+      type: "role",
+      desc: "Commands and port callbacks changing the status of the order",
+    },
+    finance: {
+      allow: ["read", "revert"],
+      type: "role",
+      desc: "Review the history of an order and revert changes in disputes",
+    },
+    support: {
+      allow: "read",
+      type: "role",
+      desc: "See payment info masked, but not decrypted",
+    },
     orders: {
       allow: "read",
       type: "relation",
@@ -0,0 +1,69 @@
+"use strict";
+
+import { crossValidateProperties, validateProperties } from "../models/mixins";
+
+/**
+ * Personal and payment details a customer provides
+ * to register or to check out as a guest.
+ */
+export const paymentInfo = [
+  "firstName",
+  "lastName",
+  "email",
+  "shippingAddress",
+  "billingAddress",
+  "creditCardNumber",
+];
+
+/**
+ * Base spec for models holding personal info. Not a model
+ * itself: use it in the `extends` list of a spec.
+ */
+export const Person = {
+  mixins: [
+    validateProperties([
+      {
+        propKey: "email",
+        regex: "email",
+      },
+      {
+        propKey: "phone",
+        validator: "phone",
+      },
+    ]),
+  ],
+  commands: {
+    decrypt: {
+      command: "decrypt",
+      acl: ["read", "decrypt"],
+    },
+    rotateKeys: {
+      command: "rotateKeys",
+      acl: ["write", "decrypt"],
+      desc: "Encrypt personal info again with the current key",
+    },
+  },
+};
+
+/**
+ * Base spec for models holding personal and payment info.
+ */
+export const PersonWithPaymentInfo = {
+  extends: [Person],
+  mixins: [
+    validateProperties([
+      {
+        propKey: "creditCardNumber",
+        validator: "creditCard",
+      },
+    ]),
+    crossValidateProperties([
+      {
+        name: "billingAddressForCard",
+        fields: ["creditCardNumber", "billingAddress"],
+        isValid: (card, address) => !card || !!address,
+        message: "billingAddress required when creditCardNumber present",
+      },
+    ]),
+  ],
+};
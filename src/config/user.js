@@ -1,8 +1,10 @@
 "use strict";
 
-import { validateModel } from "../models/mixins";
+import { validateModel, erasePersonalInfo } from "../models/mixins";
 import { userFactory, userMixins } from "../models/user";
 import { uuid } from "../lib/utils";
+import { Person } from "./person";
+import { DataSourceAdapterMongoDb } from "../datasources/datasource-mongodb";
 
 /**
  * @type {import('../models').ModelSpecification}
@@ -10,10 +12,33 @@ import { uuid } from "../lib/utils";
 export const User = {
   modelName: "user",
   endpoint: "users",
+  extends: [Person],
   dependencies: { uuid },
   factory: userFactory,
-  mixins: userMixins,
+  datasource: {
+    factory: DataSourceAdapterMongoDb,
+    url: "mongodb://localhost:27017",
+    cacheSize: 2000,
+    baseClass: "DataSourceMongoDb",
+  },
+  mixins: [...userMixins, erasePersonalInfo("customer")],
+  commands: {
+    erase: {
+      command: "erase",
+      acl: ["write", "erase"],
+      desc: "Erase the personal info of the user, their customer and orders",
+    },
+  },
   validate: validateModel,
+  endpoints: {
+    login: {
+      uri: "login",
+      method: "post",
+      callback: async (user, payload) => ({
+        verified: await user.verifyPassword(payload?.password),
+      }),
+    },
+  },
   relations: {
     customer: {
       foreignKey: "customerId",
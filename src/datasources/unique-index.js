@@ -0,0 +1,247 @@
+"use strict";
+
+import { ConflictError, ERASED, violation } from "../models/validation-error";
+import { blindIndex, decrypt, isEncrypted } from "../lib/utils";
+
+/**
+ * Milliseconds a key reserved during validation is held for
+ * the model before it must be saved.
+ */
+export const RESERVATION_TTL = 30000;
+
+/**
+ * One index per model, shared by its validations and its datasource.
+ * @type {Map<string,ReturnType<typeof makeIndex>>}
+ */
+const indexes = new Map();
+
+/**
+ * Index of the unique values of a model. Each value is owned by the id
+ * of a model. Values are reserved when a model is validated and
+ * committed when it is saved. Reservations that aren't committed
+ * expire after `RESERVATION_TTL`.
+ *
+ * Node runs one callback at a time, so checking and reserving
+ * the keys in one synchronous call is atomic. The index only knows the
+ * models this process saved since start-up, see `withUniqueIndex`.
+ */
+function makeIndex() {
+  /** @type {Map<string,Map<*,{id:string,committed:boolean,expires:number}>>} */
+  const keys = new Map();
+
+  function entries(propKey) {
+    if (!keys.has(propKey)) keys.set(propKey, new Map());
+    return keys.get(propKey);
+  }
+
+  function heldByOther(propKey, value, id) {
+    const entry = entries(propKey).get(value);
+    return (
+      entry &&
+      entry.id !== id &&
+      (entry.committed || entry.expires > Date.now())
+    );
+  }
+
+  /**
+   * Drop the entries of `id` for `propKey`, other than `keep`.
+   */
+  function dropOthers(propKey, id, keep, committed) {
+    const values = entries(propKey);
+    [...values.entries()]
+      .filter(([value, e]) => e.id === id && value !== keep)
+      .filter(([, e]) => committed || !e.committed)
+      .forEach(([value]) => values.delete(value));
+  }
+
+  return {
+    /**
+     * Reserve `values` for the model `id`, unless another model holds
+     * any of them, in which case none are reserved.
+     * @param {string} id
+     * @param {{[propKey:string]:*}} values
+     * @returns {string[]} keys held by other models, empty on success
+     */
+    reserve(id, values) {
+      const conflicts = Object.keys(values).filter(key =>
+        heldByOther(key, values[key], id)
+      );
+      if (conflicts.length > 0) return conflicts;
+
+      Object.entries(values).forEach(([key, value]) => {
+        const entry = entries(key).get(value);
+        if (entry?.id === id && entry.committed) return;
+        dropOthers(key, id, value, false);
+        entries(key).set(value, {
+          id,
+          committed: false,
+          expires: Date.now() + RESERVATION_TTL,
+        });
+      });
+      return [];
+    },
+
+    /**
+     * Make the reservations of the saved model `id` permanent, and
+     * release any values it held before.
+     * @param {string} id
+     * @param {{[propKey:string]:*}} values
+     */
+    commit(id, values) {
+      Object.entries(values).forEach(([key, value]) => {
+        dropOthers(key, id, value, true);
+        entries(key).set(value, { id, committed: true, expires: Infinity });
+      });
+    },
+
+    /**
+     * Release the values held by the model `id`.
+     * @param {string} id
+     * @param {{pendingOnly?:boolean}} [options] - only release values
+     * that haven't been committed
+     */
+    release(id, { pendingOnly = false } = {}) {
+      keys.forEach(values =>
+        [...values.entries()]
+          .filter(([, e]) => e.id === id && (!pendingOnly || !e.committed))
+          .forEach(([value]) => values.delete(value))
+      );
+    },
+  };
+}
+
+/**
+ * Get the unique index of a model.
+ * @param {string} modelName
+ */
+export function uniqueIndex(modelName) {
+  const name = modelName.toUpperCase();
+  if (!indexes.has(name)) indexes.set(name, makeIndex());
+  return indexes.get(name);
+}
+
+/**
+ * Key of the property holding the indexed values of a model's unique
+ * keys, which is saved with the model, so the database can enforce them.
+ */
+export const UNIQUE_KEYS = "uniqueKeys";
+
+/**
+ * Error code of a MongoDB unique index violation.
+ */
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Extend a datasource class to enforce unique keys when models are
+ * saved. A model that reserved its keys during validation keeps them;
+ * one saving a value held by another model fails with a `ConflictError`.
+ *
+ * Reservations are held by this process only, and are lost on restart.
+ * So the indexed values are saved with the model, in `UNIQUE_KEYS`, and,
+ * if the datasource has a MongoDB `collection()`, a unique index on each
+ * is created before the first save. The database then rejects values
+ * saved by other instances, or before a restart. Datasources without
+ * one only enforce unique keys within this process.
+ * @param {*} DataSource - class returned by a datasource adapter factory
+ * @param {string} modelName
+ * @param {{propKey:string,encrypted?:boolean}[]} uniqueKeys - values
+ * of encrypted keys are indexed by their `blindIndex`, since the same
+ * value encrypts differently each time. Erased values aren't indexed.
+ */
+export function withUniqueIndex(DataSource, modelName, uniqueKeys) {
+  const index = uniqueIndex(modelName);
+  let created;
+
+  const indexValue = (k, value) =>
+    !k.encrypted
+      ? value
+      : blindIndex(isEncrypted(value) ? decrypt(value) : value);
+
+  const uniqueValues = data =>
+    uniqueKeys
+      .filter(k => data?.[k.propKey] && data[k.propKey] !== ERASED)
+      .reduce(
+        (p, k) => ({ ...p, [k.propKey]: indexValue(k, data[k.propKey]) }),
+        {}
+      );
+
+  const conflict = keys =>
+    new ConflictError(
+      keys.map(key => ({ ...violation("unique", key), modelName }))
+    );
+
+  /**
+   * Create the unique indexes once, sparse, since a model
+   * may not have a value for every key.
+   */
+  function createIndexes(datasource) {
+    if (!created) {
+      created = Promise.resolve(datasource.collection())
+        .then(collection =>
+          Promise.all(
+            uniqueKeys.map(k =>
+              collection.createIndex(
+                { [`${UNIQUE_KEYS}.${k.propKey}`]: 1 },
+                { unique: true, sparse: true }
+              )
+            )
+          )
+        )
+        .catch(error => {
+          created = null;
+          throw error;
+        });
+    }
+    return created;
+  }
+
+  /**
+   * Report a unique index violation as a conflict.
+   */
+  function duplicateKeys(error) {
+    if (error?.code !== DUPLICATE_KEY) return error;
+
+    const keys = Object.keys(error.keyValue || error.keyPattern || {})
+      .map(key => key.replace(`${UNIQUE_KEYS}.`, ""))
+      .filter(key => uniqueKeys.some(k => k.propKey === key));
+    return conflict(keys.length > 0 ? keys : uniqueKeys.map(k => k.propKey));
+  }
+
+  return class extends DataSource {
+    save(id, data) {
+      const values = uniqueValues(data);
+      const conflicts = index.reserve(id, values);
+
+      if (conflicts.length > 0) {
+        return Promise.reject(conflict(conflicts));
+      }
+
+      const indexed = { ...data, [UNIQUE_KEYS]: values };
+      const saved =
+        typeof this.collection === "function"
+          ? createIndexes(this).then(() => super.save(id, indexed))
+          : super.save(id, indexed);
+
+      if (saved instanceof Promise) {
+        return saved.then(
+          result => {
+            index.commit(id, values);
+            return result;
+          },
+          error => {
+            index.release(id, { pendingOnly: true });
+            throw duplicateKeys(error);
+          }
+        );
+      }
+      index.commit(id, values);
+      return saved;
+    }
+
+    delete(id) {
+      const deleted = super.delete(id);
+      index.release(id);
+      return deleted;
+    }
+  };
+}
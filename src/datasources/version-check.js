@@ -0,0 +1,136 @@
+"use strict";
+
+import { ConflictError, violation } from "../models/validation-error";
+import { modelVersion } from "../models/mixins";
+
+/**
+ * Error code of a MongoDB unique index violation, here of `_id`.
+ */
+const DUPLICATE_KEY = 11000;
+
+/**
+ * The version of the model `id` saved by the datasource, read by `find`.
+ * @param {*} datasource
+ * @param {string} id
+ * @returns {Promise<number|undefined>}
+ */
+async function persistedVersion(datasource, id) {
+  const saved = await datasource.find?.(id);
+  return saved?.[modelVersion];
+}
+
+/**
+ * Replace the model `id` in the MongoDB collection of the datasource
+ * only if the saved version is the one before `version`, i.e. the one
+ * the model was read at. A model saved without a version can be
+ * replaced by version 1, and version 1 of a new model is inserted.
+ * @param {*} datasource
+ * @param {string} id
+ * @param {object} data
+ * @param {number} version
+ * @returns {Promise<boolean>} false if another version was saved
+ */
+async function replaceVersion(datasource, id, data, version) {
+  const collection = await datasource.collection();
+  const filter =
+    version > 1
+      ? { _id: id, [modelVersion]: version - 1 }
+      : { _id: id, [modelVersion]: { $exists: false } };
+
+  try {
+    const { matchedCount, upsertedCount } = await collection.replaceOne(
+      filter,
+      { ...JSON.parse(JSON.stringify(data)), _id: id },
+      { upsert: version === 1 }
+    );
+    return matchedCount + (upsertedCount || 0) > 0;
+  } catch (error) {
+    // inserting version 1 when another version has been saved
+    if (error?.code === DUPLICATE_KEY && "_id" in (error.keyPattern || {})) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * The `save` of the in-memory datasource a MongoDB datasource extends,
+ * which updates its cache.
+ * @param {*} DataSource
+ */
+function cacheSave(DataSource) {
+  let proto = DataSource.prototype;
+  while (proto && "collection" in proto) proto = Object.getPrototypeOf(proto);
+  return proto?.save;
+}
+
+/**
+ * Extend a datasource class to reject saves of stale models. A model
+ * read before another update was saved has the same version as that
+ * update once it is changed itself, so saving it fails with a
+ * `ConflictError`, instead of overwriting the other update. Models
+ * without a version, see `optimisticLock`, are saved as before.
+ *
+ * If the datasource has a MongoDB `collection()`, the model is only
+ * replaced if the version in the database is still the one it was read
+ * at, in one conditional write, so updates saved by other instances
+ * are caught too. The cache is updated once the write succeeds.
+ * Other datasources, e.g. the in-memory one, compare the version with
+ * the one they saved, and track saves still in progress.
+ * @param {*} DataSource - class returned by a datasource adapter factory
+ * @param {string} modelName
+ */
+export function withVersionCheck(DataSource, modelName) {
+  /**
+   * Versions being saved, by model id.
+   * @type {Map<string,number>}
+   */
+  const saving = new Map();
+  const saveCache = cacheSave(DataSource);
+
+  const stale = (version, previous) =>
+    new ConflictError([
+      {
+        ...violation(
+          "version",
+          modelVersion,
+          version,
+          previous === undefined
+            ? `version ${version} is stale`
+            : `version ${version} is stale, version ${previous} was saved`
+        ),
+        modelName,
+      },
+    ]);
+
+  return class extends DataSource {
+    save(id, data) {
+      const version = data?.[modelVersion];
+
+      if (typeof version !== "number") {
+        return super.save(id, data);
+      }
+      if (typeof this.collection === "function") {
+        return replaceVersion(this, id, data, version).then(replaced => {
+          if (!replaced) throw stale(version);
+          return saveCache?.call(this, id, data);
+        });
+      }
+      if (saving.get(id) >= version) {
+        return Promise.reject(stale(version, saving.get(id)));
+      }
+
+      saving.set(id, version);
+      return persistedVersion(this, id)
+        .then(previous => {
+          if (typeof previous === "number" && version <= previous) {
+            throw stale(version, previous);
+          }
+          return super.save(id, data);
+        })
+        .finally(() => {
+          if (saving.get(id) === version) saving.delete(id);
+        });
+    }
+  };
+}
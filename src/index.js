@@ -4,7 +4,6 @@ const session = require("express-session");
 const express = require("express");
 const http = require("http");
 const WebSocket = require("ws");
-const { uuid } = require("./lib/utils");
 require("dotenv").config();
 const services = require("./service-registry").default;
 const cluster = require("cluster");
@@ -16,12 +15,21 @@ const app = express();
 const map = new Map();
 const API_ROOT = "/api";
 const PORT = 8060;
+const MODELS_URL =
+  process.env.MODELS_URL || "http://localhost:8070/microlib/api/models";
 
 import axios from "axios";
 // list the models we expose to host through module federation
 import { models } from "./models";
+import makeOpenApi from "./models/make-openapi";
+import makeDiagrams from "./models/make-diagrams";
+import makeApi, { parseRoles } from "./api";
 console.log(models);
 
+// Generated from the model specs, so it can't drift from the code
+const openApi = makeOpenApi(models);
+const diagrams = makeDiagrams(models);
+
 // Run test service endpoints
 services.init();
 
@@ -39,14 +47,6 @@ app.use(express.static("dist")); // remoteEntry.js
 app.use(sessionParser);
 app.use(express.json());
 
-app.post("/login", function (req, res) {
-  // "Log in" user and set userId to session.
-  const id = uuid();
-  console.log(`Updating session for user ${id}`);
-  req.session.userId = id;
-  res.send({ result: "OK", message: "Session updated" });
-});
-
 app.delete("/logout", function (request, response) {
   const ws = map.get(request.session.userId);
   console.log("Destroying session");
@@ -60,6 +60,36 @@ app.get(`${API_ROOT}/fedmonserv`, (req, res) =>
   res.send("Federated Monolith Service")
 );
 
+app.get(`${API_ROOT}/openapi.json`, (req, res) =>
+  res.status(200).send(openApi)
+);
+
+app.get(`${API_ROOT}/diagrams`, (req, res) => res.status(200).send(diagrams));
+
+// Render with ?format=dot for Graphviz, Mermaid is the default
+app.get(`${API_ROOT}/diagrams/:modelName`, (req, res) => {
+  const { modelName } = req.params;
+  const format = req.query.format || "mermaid";
+
+  if (
+    !Object.keys(diagrams).includes(modelName) ||
+    !["mermaid", "dot"].includes(format)
+  ) {
+    res.status(404).send({ error: "no such diagram" });
+    return;
+  }
+  res.status(200).type("text/plain").send(diagrams[modelName][format]);
+});
+
+// Log in, and the routes of the models, see makeApi
+app.use(
+  makeApi({
+    models,
+    modelsUrl: MODELS_URL,
+    roles: parseRoles(process.env.USER_ROLES),
+  })
+);
+
 app.get(`${API_ROOT}/service1`, (req, res) => {
   console.log({ from: req.ip, url: req.originalUrl });
   res.status(200).send({
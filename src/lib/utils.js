@@ -1,6 +1,7 @@
 "use strict";
 
 import crypto from "crypto";
+import { promisify } from "util";
 import { nanoid } from "nanoid";
 
 export function compose(...funcs) {
@@ -18,30 +19,323 @@ export function composeAsync(...funcs) {
   };
 }
 
-const passwd = process.env.ENCRYPTION_PWD;
-const algo = "aes-192-cbc";
-const key = crypto.scryptSync(String(passwd), "salt", 24);
-const iv = Buffer.alloc(16, 0);
+/**
+ * Prefix of encrypted values, followed by the key id, IV, auth tag
+ * and ciphertext, e.g. `enc:v1:2:<iv>:<tag>:<ciphertext>`.
+ */
+const ENVELOPE = "enc:v1";
+const algo = "aes-256-gcm";
 
-export function encrypt(text) {
-  const cipher = crypto.createCipheriv(algo, key, iv);
-  let encrypted = cipher.update(text, "utf8", "hex");
-  encrypted += cipher.final("hex");
-  return encrypted;
+/**
+ * Bytes of the auth tag. Shorter tags are rejected, since they're
+ * easier to forge.
+ */
+const TAG_LENGTH = 16;
+
+/**
+ * Read a secret from the environment. Fails if it isn't set, rather
+ * than using "undefined" as the key.
+ * @param {string} name
+ */
+export function requireSecret(name) {
+  const value = process.env[name];
+  if (!value) throw new Error(`${name} is not set`);
+  return value;
 }
 
-export function decrypt(cipherText) {
-  console.log("decrypt(%s)", cipherText);
-  const decipher = crypto.createDecipheriv(algo, key, iv);
+/**
+ * Use `secret` as the key if it is 32 bytes in base64,
+ * otherwise stretch it into one.
+ * @param {string} id - key id
+ * @param {string} secret
+ */
+function deriveKey(id, secret) {
+  const raw = Buffer.from(secret, "base64");
+  return raw.length === 32 && raw.toString("base64") === secret
+    ? raw
+    : crypto.scryptSync(secret, `microlib:${id}`, 32);
+}
+
+/**
+ * Parse the keyring from a list of `id:secret` pairs, separated by
+ * commas. The first key encrypts, all of them decrypt.
+ * @param {string} keys
+ * @returns {{current:string,keys:Map<string,Buffer>}}
+ */
+function parseKeyring(keys) {
+  const entries = keys
+    .split(",")
+    .map(entry => entry.trim())
+    .filter(entry => entry)
+    .map(entry => {
+      const at = entry.indexOf(":");
+      return [entry.slice(0, at), entry.slice(at + 1)];
+    });
+
+  if (entries.length < 1 || entries.some(([id, secret]) => !id || !secret)) {
+    throw new Error("invalid encryption keys, expected id:secret,...");
+  }
+  return {
+    current: entries[0][0],
+    keys: new Map(entries.map(([id, secret]) => [id, deriveKey(id, secret)])),
+  };
+}
+
+/**
+ * Keys are read from `ENCRYPTION_KEYS`, newest first, when first used.
+ * To rotate, put a new key in front, restart, then run the `rotateKeys`
+ * command. If not set, `ENCRYPTION_PWD` is the only key, with id "0".
+ * @type {{current:string,keys:Map<string,Buffer>}}
+ */
+let keyring;
+
+function getKeyring() {
+  if (!keyring) {
+    keyring = parseKeyring(
+      process.env.ENCRYPTION_KEYS || `0:${requireSecret("ENCRYPTION_PWD")}`
+    );
+  }
+  return keyring;
+}
+
+/**
+ * Replace the keyring, see `ENCRYPTION_KEYS`.
+ * @param {string} keys - `id:secret` pairs, the current key first
+ */
+export function setEncryptionKeys(keys) {
+  keyring = parseKeyring(keys);
+}
+
+/**
+ * Values encrypted before the keyring, with aes-192-cbc
+ * and a zero IV, can still be decrypted.
+ */
+function legacyDecrypt(cipherText) {
+  const key = crypto.scryptSync(requireSecret("ENCRYPTION_PWD"), "salt", 24);
+  const decipher = crypto.createDecipheriv(
+    "aes-192-cbc",
+    key,
+    Buffer.alloc(16, 0)
+  );
   let decrypted = decipher.update(cipherText, "hex", "utf8");
   decrypted += decipher.final("utf8");
   return decrypted;
 }
 
+/**
+ * Is `value` encrypted by `encrypt`?
+ * @param {*} value
+ */
+export function isEncrypted(value) {
+  return typeof value === "string" && value.startsWith(`${ENVELOPE}:`);
+}
+
+/**
+ * Does `cipherText` need to be encrypted again with the current key?
+ * True for legacy values and those encrypted with an older key.
+ * @param {string} cipherText
+ */
+export function needsRotation(cipherText) {
+  return (
+    !isEncrypted(cipherText) ||
+    cipherText.split(":")[2] !== getKeyring().current
+  );
+}
+
+/**
+ * Encrypt with the current key, using a random IV, so the same
+ * text never encrypts to the same value. The auth tag detects
+ * tampering when the value is decrypted.
+ * @param {string} text
+ * @returns {string} envelope holding the key id, IV, tag and ciphertext
+ */
+export function encrypt(text) {
+  const { current, keys } = getKeyring();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(algo, keys.get(current), iv, {
+    authTagLength: TAG_LENGTH,
+  });
+  const encrypted = Buffer.concat([
+    cipher.update(text, "utf8"),
+    cipher.final(),
+  ]);
+
+  return [
+    ENVELOPE,
+    current,
+    iv.toString("base64"),
+    cipher.getAuthTag().toString("base64"),
+    encrypted.toString("base64"),
+  ].join(":");
+}
+
+/**
+ * Decrypt a value encrypted with any key in the keyring.
+ * @param {string} cipherText
+ * @throws if the key is unknown or the value was tampered with
+ */
+export function decrypt(cipherText) {
+  if (!isEncrypted(cipherText)) {
+    return legacyDecrypt(cipherText);
+  }
+
+  const [, , id, iv, tag, encrypted] = cipherText.split(":");
+  const key = getKeyring().keys.get(id);
+  const authTag = Buffer.from(tag, "base64");
+
+  if (!key) {
+    throw new Error(`unknown encryption key: ${id}`);
+  }
+  if (authTag.length !== TAG_LENGTH) {
+    throw new Error("invalid auth tag");
+  }
+
+  const decipher = crypto.createDecipheriv(
+    algo,
+    key,
+    Buffer.from(iv, "base64"),
+    { authTagLength: TAG_LENGTH }
+  );
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(encrypted, "base64")),
+    decipher.final(),
+  ]).toString("utf8");
+}
+
+/**
+ * Keyed hash of a value, to find and compare encrypted values without
+ * decrypting them, e.g. for unique constraints. It uses its own key,
+ * `BLIND_INDEX_KEY`, so it doesn't change when encryption keys rotate.
+ * @param {string} value
+ */
+export function blindIndex(value) {
+  return crypto
+    .createHmac("sha256", requireSecret("BLIND_INDEX_KEY"))
+    .update(String(value))
+    .digest("hex");
+}
+
+/**
+ * Unsalted SHA-1. Don't use it for passwords: see `hashPassword`.
+ */
 export function hash(data) {
   return crypto.createHash("sha1").update(data).digest("hex");
 }
 
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Cost parameters of new password hashes. Raise `N` as hardware gets
+ * faster: hashes made with other parameters still verify, and
+ * `needsRehash` reports them so they can be upgraded.
+ */
+export const PASSWORD_PARAMS = {
+  N: Number(process.env.PASSWORD_SCRYPT_N) || 16384,
+  r: 8,
+  p: 1,
+};
+
+const PASSWORD_PREFIX = "$scrypt$";
+const legacyHash = /^[0-9a-f]{40}$/;
+
+/**
+ * Parse `$scrypt$N=16384,r=8,p=1$<salt>$<hash>`.
+ * @param {string} stored
+ */
+function parsePasswordHash(stored) {
+  const [, , settings, salt, key] = stored.split("$");
+  const params = settings
+    .split(",")
+    .map(setting => setting.split("="))
+    .reduce((p, [name, value]) => ({ ...p, [name]: Number(value) }), {});
+
+  return {
+    params,
+    salt: Buffer.from(salt, "base64"),
+    key: Buffer.from(key, "base64"),
+  };
+}
+
+function derivePassword(password, salt, { N, r, p }, keylen) {
+  return scrypt(String(password), salt, keylen, {
+    N,
+    r,
+    p,
+    maxmem: 256 * N * r,
+  });
+}
+
+/**
+ * Hash a password with scrypt and a random salt. The parameters
+ * are stored with the hash, so they can change over time.
+ * @param {string} password
+ * @param {{N:number,r:number,p:number}} [params]
+ * @returns {Promise<string>} `$scrypt$N=16384,r=8,p=1$<salt>$<hash>`
+ */
+export async function hashPassword(password, params = PASSWORD_PARAMS) {
+  const salt = crypto.randomBytes(16);
+  const key = await derivePassword(password, salt, params, 64);
+
+  return [
+    "",
+    "scrypt",
+    `N=${params.N},r=${params.r},p=${params.p}`,
+    salt.toString("base64"),
+    key.toString("base64"),
+  ].join("$");
+}
+
+/**
+ * Is `value` a password hash made by `hashPassword`?
+ * @param {*} value
+ */
+export function isPasswordHash(value) {
+  return typeof value === "string" && value.startsWith(PASSWORD_PREFIX);
+}
+
+/**
+ * Check a password against a hash made by `hashPassword`,
+ * or a legacy SHA-1 hash.
+ * @param {string} password
+ * @param {string} stored - the hash
+ * @returns {Promise<boolean>}
+ */
+export async function verifyPassword(password, stored) {
+  if (typeof password !== "string" || typeof stored !== "string") {
+    return false;
+  }
+
+  if (legacyHash.test(stored)) {
+    return crypto.timingSafeEqual(
+      Buffer.from(hash(password), "hex"),
+      Buffer.from(stored, "hex")
+    );
+  }
+
+  if (!isPasswordHash(stored)) {
+    return false;
+  }
+
+  const { params, salt, key } = parsePasswordHash(stored);
+  const derived = await derivePassword(password, salt, params, key.length);
+  return crypto.timingSafeEqual(derived, key);
+}
+
+/**
+ * Should the password be hashed again, because `stored` is a legacy
+ * hash or was made with other parameters than `params`?
+ * @param {string} stored
+ * @param {{N:number,r:number,p:number}} [params]
+ */
+export function needsRehash(stored, params = PASSWORD_PARAMS) {
+  if (!isPasswordHash(stored)) return true;
+
+  const { params: used } = parsePasswordHash(stored);
+  return ["N", "r", "p"].some(name => used[name] !== params[name]);
+}
+
 export function uuid() {
   // return ([1e7] + -1e3 + -4e3 + -8e3 + -1e11).replace(/[018]/g, c =>
   //   (c ^ (crypto.randomBytes(16)[0] & (15 >> (c / 4)))).toString(16)
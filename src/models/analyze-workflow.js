@@ -0,0 +1,218 @@
+"use strict";
+
+/**
+ * @typedef {import(".").ModelSpecification} ModelSpecification
+ *
+ * @typedef {{
+ *  type:"dangling-event"|"cycle"|"unreachable"|"orphaned-undo",
+ *  modelName:string,
+ *  ports:string[],
+ *  event?:string,
+ *  message:string
+ * }} workflowProblem
+ *
+ * @typedef {{
+ *  modelName:string,
+ *  startEvent:string,
+ *  nodes:{
+ *    port:string,
+ *    consumesEvent?:string,
+ *    producesEvent?:string,
+ *    undo:boolean
+ *  }[],
+ *  edges:{from:string,to:string,event:string}[],
+ *  terminalEvents:string[],
+ *  problems:workflowProblem[]
+ * }} workflowGraph
+ */
+
+/**
+ * The event that starts the workflow of a model.
+ */
+export const START_EVENT = "startWorkflow";
+
+/**
+ * Ports that take part in the event-driven workflow, i.e. enabled ports
+ * that consume or produce an event. Others, like `save` or `find`, are
+ * called directly by the model.
+ * @param {ModelSpecification} spec
+ */
+function workflowPorts(spec) {
+  return Object.entries(spec.ports || {})
+    .filter(([, port]) => !port.disabled)
+    .filter(([, port]) => port.consumesEvent || port.producesEvent)
+    .map(([name, port]) => ({
+      port: name,
+      consumesEvent: port.consumesEvent,
+      producesEvent: port.producesEvent,
+      undo: typeof port.undo === "function",
+    }));
+}
+
+/**
+ * Ports reachable from `start` by following edges.
+ * @param {string[]} start
+ * @param {workflowGraph["edges"]} edges
+ */
+function reachableFrom(start, edges) {
+  const visit = (seen, port) =>
+    seen.includes(port)
+      ? seen
+      : edges
+          .filter(e => e.from === port)
+          .map(e => e.to)
+          .reduce(visit, [...seen, port]);
+
+  return start.reduce(visit, []);
+}
+
+/**
+ * Find the cycles in the graph with a depth-first search. Each cycle
+ * is reported once, starting with the port found first.
+ * @param {string[]} ports
+ * @param {workflowGraph["edges"]} edges
+ * @returns {string[][]}
+ */
+function findCycles(ports, edges) {
+  const cycles = [];
+  const done = new Set();
+
+  function visit(port, path) {
+    const index = path.indexOf(port);
+    if (index > -1) {
+      cycles.push(path.slice(index));
+      return;
+    }
+    if (done.has(port)) return;
+
+    edges
+      .filter(e => e.from === port)
+      .forEach(e => visit(e.to, [...path, port]));
+    done.add(port);
+  }
+
+  ports.forEach(port => visit(port, []));
+  return cycles;
+}
+
+/**
+ * Build the graph of the ports of a model, where an edge connects the
+ * port producing an event with each port consuming it, and find what
+ * is wrong with it:
+ *
+ * - `dangling-event`: a port consumes an event no port produces, so it
+ * never runs.
+ * - `cycle`: the workflow never completes.
+ * - `unreachable`: a port consumes an event, but can't be reached from
+ * the start event or an inbound port.
+ * - `orphaned-undo`: a port has an `undo` function, but doesn't take
+ * part in a workflow that can run, so there is nothing to undo.
+ *
+ * Disabled ports are left out of the graph.
+ *
+ * @param {ModelSpecification} spec
+ * @param {{startEvent?:string}} [options] - event that starts the workflow
+ * @returns {workflowGraph}
+ */
+export default function analyzeWorkflow(
+  spec,
+  { startEvent = START_EVENT } = {}
+) {
+  const { modelName } = spec;
+  const nodes = workflowPorts(spec);
+  const names = nodes.map(n => n.port);
+
+  const edges = nodes
+    .filter(n => n.producesEvent)
+    .flatMap(producer =>
+      nodes
+        .filter(n => n.consumesEvent === producer.producesEvent)
+        .map(consumer => ({
+          from: producer.port,
+          to: consumer.port,
+          event: producer.producesEvent,
+        }))
+    );
+
+  const produced = [
+    startEvent,
+    ...nodes.filter(n => n.producesEvent).map(n => n.producesEvent),
+  ];
+  const consumed = nodes.filter(n => n.consumesEvent).map(n => n.consumesEvent);
+
+  const entryPorts = nodes
+    .filter(n => n.consumesEvent === startEvent || !n.consumesEvent)
+    .map(n => n.port);
+  const reachable = reachableFrom(entryPorts, edges);
+
+  const dangling = nodes
+    .filter(n => n.consumesEvent && !produced.includes(n.consumesEvent))
+    .map(n => ({
+      type: "dangling-event",
+      ports: [n.port],
+      event: n.consumesEvent,
+      message: `${n.port} consumes "${n.consumesEvent}", but no port produces it`,
+    }));
+
+  const cycles = findCycles(names, edges).map(cycle => ({
+    type: "cycle",
+    ports: cycle,
+    message: `ports form a cycle: ${[...cycle, cycle[0]].join(" -> ")}`,
+  }));
+
+  const unreachable = nodes
+    .filter(n => n.consumesEvent && produced.includes(n.consumesEvent))
+    .filter(n => !reachable.includes(n.port))
+    .map(n => ({
+      type: "unreachable",
+      ports: [n.port],
+      event: n.consumesEvent,
+      message: `${n.port} can't be reached from "${startEvent}"`,
+    }));
+
+  const orphanedUndo = Object.entries(spec.ports || {})
+    .filter(([, port]) => typeof port.undo === "function")
+    .filter(([name, port]) => port.disabled || !reachable.includes(name))
+    .map(([name]) => ({
+      type: "orphaned-undo",
+      ports: [name],
+      message: `${name} has an undo, but no forward path runs it`,
+    }));
+
+  return {
+    modelName,
+    startEvent,
+    nodes,
+    edges,
+    terminalEvents: [
+      ...new Set(
+        nodes
+          .filter(n => n.producesEvent && !consumed.includes(n.producesEvent))
+          .map(n => n.producesEvent)
+      ),
+    ],
+    problems: [
+      ...dangling,
+      ...cycles,
+      ...unreachable,
+      ...orphanedUndo,
+    ].map(p => ({ modelName, ...p })),
+  };
+}
+
+/**
+ * Throw if the workflow of any of the `specs` has a problem.
+ * Use in tests to keep the workflows of the model specs sound.
+ * @param {...ModelSpecification} specs
+ * @throws {Error} listing every problem found
+ */
+export function assertWorkflow(...specs) {
+  const problems = specs.flatMap(spec => analyzeWorkflow(spec).problems);
+
+  if (problems.length > 0) {
+    throw new Error(
+      "workflow problems:\n" +
+        problems.map(p => `${p.modelName}: ${p.message}`).join("\n")
+    );
+  }
+}
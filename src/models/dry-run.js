@@ -0,0 +1,69 @@
+"use strict";
+
+import { eventMask, validateModel, ValidationError } from "./mixins";
+import { compose } from "../lib/utils";
+
+/**
+ * @typedef {import(".").ModelSpecification} ModelSpecification
+ * @typedef {import("./validation-error").violation} violation
+ */
+
+/**
+ * Make a model of `spec` the way the host does, by the factory
+ * and the mixins of the spec, but without its ports.
+ * @param {ModelSpecification} spec
+ * @param {Object} input
+ */
+async function makeModel(spec, input) {
+  const model = await spec.factory(spec.dependencies)(input);
+  return compose(...spec.mixins)(model);
+}
+
+/**
+ * Make a model of `spec` from saved data, to call its methods locally.
+ * The factory adds the methods the saved data doesn't have, and saved
+ * values override the ones it sets, e.g. a new `orderNo`.
+ * @param {ModelSpecification} spec - as exported by `./index.js`
+ * @param {Object} saved
+ */
+export async function loadModel(spec, saved) {
+  return { ...(await makeModel(spec, saved)), ...saved };
+}
+
+/**
+ * Validate input as if creating a model, or updating `current`, without
+ * saving anything. The model is made the way the host makes it, by the
+ * factory and the mixins of the spec, and validated by the spec's
+ * `validate` function, but none of its ports, event handlers or
+ * datasource are involved: validations with side effects are skipped.
+ *
+ * Unique values are only checked by the datasource, so duplicates
+ * aren't reported.
+ *
+ * @param {ModelSpecification} spec - as exported by `./index.js`, i.e.
+ * with the global mixins
+ * @param {Object} input - model data, or the changes to `current`
+ * @param {Object} [current] - the saved model, to validate an update
+ * @returns {Promise<{valid:boolean,violations:violation[]}>}
+ * @throws {Error} if the factory fails, e.g. on malformed input
+ */
+export default async function dryRun(spec, input, current) {
+  const validate = spec.validate || validateModel;
+
+  try {
+    if (current) {
+      const model = await loadModel(spec, current);
+      await validate(model, input, eventMask.update, { dryRun: true });
+    } else {
+      await validate(await makeModel(spec, input), {}, eventMask.create, {
+        dryRun: true,
+      });
+    }
+    return { valid: true, violations: [] };
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return { valid: false, violations: error.violations };
+    }
+    throw error;
+  }
+}
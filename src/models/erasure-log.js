@@ -0,0 +1,124 @@
+"use strict";
+
+import fs from "fs";
+import crypto from "crypto";
+import { requireSecret } from "../lib/utils";
+
+/**
+ * @typedef {{
+ *  seq:number,
+ *  at:string,
+ *  subject:{modelName:string,id:string},
+ *  erased:{modelName:string,id:string,fields:string[],sagaLog?:string[]}[],
+ *  prevHash:string,
+ *  hash:string
+ * }} erasureRecord - `sagaLog` lists the keys erased from the payloads
+ * of the saga log of a model, if it has one
+ */
+
+/**
+ * File the erasure records are appended to, one JSON record per line,
+ * unless set in `ERASURE_LOG`.
+ */
+const DEFAULT_LOG = "erasure-log.jsonl";
+
+function logFile() {
+  return process.env.ERASURE_LOG || DEFAULT_LOG;
+}
+
+const GENESIS = "0".repeat(64);
+
+/**
+ * Keyed hash of a record, chained to the previous one, so a record can't
+ * be changed, removed or inserted without breaking the chain, nor the
+ * chain recomputed without the key. The key, `ERASURE_LOG_KEY`, is only
+ * used for this log.
+ */
+function digest({ hash, ...record }) {
+  return crypto
+    .createHmac("sha256", requireSecret("ERASURE_LOG_KEY"))
+    .update(JSON.stringify(record))
+    .digest("hex");
+}
+
+async function readLog(file) {
+  try {
+    const text = await fs.promises.readFile(file, "utf8");
+    return text
+      .split("\n")
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line));
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+}
+
+async function lastRecord(file) {
+  const last = (await readLog(file)).pop();
+  return { seq: last?.seq || 0, hash: last?.hash || GENESIS };
+}
+
+/**
+ * The `seq` and `hash` of the last record of each log appended to by
+ * this process, after the appends queued so far. Logs are only read
+ * when first appended to, and appends to a log run one at a time, so
+ * each record is chained to the one before.
+ * @type {Map<string,Promise<{seq:number,hash:string}>>}
+ */
+const tails = new Map();
+
+/**
+ * Append a record of an erasure to the log. Records hold the names of
+ * the erased fields, never their values.
+ * @param {{subject:erasureRecord["subject"],erased:erasureRecord["erased"]}} erasure
+ * @param {string} [file]
+ * @returns {Promise<erasureRecord>}
+ */
+export function logErasure({ subject, erased }, file = logFile()) {
+  const tail = tails.get(file) || lastRecord(file);
+  const appended = tail.then(async last => {
+    const record = {
+      seq: last.seq + 1,
+      at: new Date().toISOString(),
+      subject,
+      erased,
+      prevHash: last.hash,
+    };
+    const logged = { ...record, hash: digest(record) };
+
+    await fs.promises.appendFile(file, `${JSON.stringify(logged)}\n`);
+    return logged;
+  });
+
+  // read the last record again if the append failed
+  tails.set(
+    file,
+    appended.then(
+      ({ seq, hash }) => ({ seq, hash }),
+      () => lastRecord(file)
+    )
+  );
+  return appended;
+}
+
+/**
+ * Check that no record of the log has been tampered with.
+ * @param {string} [file]
+ * @returns {Promise<{valid:boolean,records:number,brokenAt?:number}>}
+ * `brokenAt` is the line number of the first record that doesn't match
+ */
+export async function verifyErasureLog(file = logFile()) {
+  await tails.get(file)?.catch(() => {});
+  const records = await readLog(file);
+  const broken = records.findIndex(
+    (record, index) =>
+      record.seq !== index + 1 ||
+      record.prevHash !== (index > 0 ? records[index - 1].hash : GENESIS) ||
+      record.hash !== digest(record)
+  );
+
+  return broken < 0
+    ? { valid: true, records: records.length }
+    : { valid: false, records: records.length, brokenAt: broken + 1 };
+}
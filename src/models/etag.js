@@ -0,0 +1,30 @@
+"use strict";
+
+import { modelVersion } from "./mixins";
+
+/**
+ * The `ETag` of a model, i.e. its version, see `optimisticLock`.
+ * @param {import(".").Model} model
+ * @returns {string|undefined} e.g. `"3"`, undefined if not versioned
+ */
+export function toETag(model) {
+  const version = model?.[modelVersion];
+  return typeof version === "number" ? `"${version}"` : undefined;
+}
+
+/**
+ * Add the version in an `If-Match` header to the changes of an update,
+ * so the update fails with a `ConflictError` if the model has changed
+ * since the client read it. The API should answer that with 412
+ * Precondition Failed. Without the header, or with `*`, the changes
+ * are returned as they are.
+ * @param {object} changes
+ * @param {string} [ifMatch] - e.g. `"3"` or `W/"3"`
+ */
+export function withIfMatch(changes, ifMatch) {
+  if (!ifMatch || ifMatch.trim() === "*") {
+    return changes;
+  }
+  const match = /^(?:W\/)?"(\d+)"$/.exec(ifMatch.trim());
+  return { ...changes, [modelVersion]: match ? Number(match[1]) : ifMatch };
+}
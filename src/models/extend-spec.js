@@ -0,0 +1,249 @@
+"use strict";
+
+import {
+  validations,
+  mixinConfig,
+  requireProperties,
+  freezeProperties,
+  encryptProperties,
+  hashPasswords,
+  allowProperties,
+  validateProperties,
+  computeProperties,
+  crossValidateProperties,
+  updateProperties,
+  defineSchema,
+  maskProperties,
+} from "./mixins";
+
+/**
+ * @typedef {import(".").ModelSpecification} ModelSpecification
+ */
+
+/**
+ * Sections holding named entries. Entries with the same name are merged
+ * property by property, e.g. a spec can change the `timeout` of a port
+ * it inherits without repeating the rest of its config.
+ */
+const keyedSections = [
+  "dependencies",
+  "ports",
+  "relations",
+  "commands",
+  "accessControlList",
+  "endpoints",
+];
+
+/**
+ * Concatenate key lists, dropping duplicates.
+ */
+const mergeKeys = (base, spec) => [...new Set([...base, ...spec])];
+
+/**
+ * Entries of `spec` replace entries of `base` with the same `propKey`.
+ */
+const mergeByPropKey = (base, spec) => [
+  ...base.filter(b => !spec.some(s => s.propKey === b.propKey)),
+  ...spec,
+];
+
+/**
+ * Entries of `spec` replace entries of `base` with the same `name`.
+ */
+const mergeByName = (base, spec) => [
+  ...base.filter(b => !spec.some(s => s.name === b.name)),
+  ...spec,
+];
+
+/**
+ * Only one mixin of each kind takes effect on a model, so when a spec
+ * and its bases use the same kind, their arguments are merged into one.
+ * Mixins are keyed by the name of the validation they add.
+ */
+const mergeableMixins = {
+  requireProperties: {
+    merge: mergeKeys,
+    make: args => requireProperties(...args),
+  },
+  freezeProperties: {
+    merge: mergeKeys,
+    make: args => freezeProperties(...args),
+  },
+  encryptProperties: {
+    merge: mergeKeys,
+    make: args => encryptProperties(...args),
+  },
+  hashPasswords: {
+    merge: mergeKeys,
+    make: args => hashPasswords(...args),
+  },
+  rejectUnknownProperties: {
+    merge: mergeKeys,
+    make: args => allowProperties(...args),
+  },
+  validateProperties: {
+    merge: mergeByPropKey,
+    make: args => validateProperties(args),
+  },
+  computeProperties: {
+    merge: mergeByPropKey,
+    make: args => computeProperties(args),
+  },
+  crossValidateProperties: {
+    merge: mergeByName,
+    make: args => crossValidateProperties(args),
+  },
+  updateProperties: {
+    merge: (base, spec) => [...base, ...spec],
+    make: args => updateProperties(args),
+  },
+  defineSchema: {
+    merge: (base, spec) => ({ ...base, ...spec }),
+    make: args => defineSchema(args),
+  },
+  maskProperties: {
+    merge: (base, spec) => ({ ...base, ...spec }),
+    make: args => maskProperties(args),
+  },
+};
+
+/**
+ * Find out what kind of mixin this is and what it was created with.
+ * @param {import("./mixins").functionalMixin} mixin
+ * @returns {{name:string,args:*}|null} null if the mixin can't be merged
+ */
+function describeMixin(mixin) {
+  try {
+    const probe = mixin({});
+    if (probe instanceof Promise) {
+      probe.catch(() => null);
+      return null;
+    }
+    const configs = Object.entries(
+      probe[mixinConfig] || {}
+    ).map(([name, args]) => ({ name, args }));
+    return (
+      [...(probe[validations] || []), ...configs].find(
+        v => mergeableMixins[v.name]
+      ) || null
+    );
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Merge mixins of the same kind into one, at the position of the first.
+ * Arguments are merged in list order, so later mixins take precedence.
+ * @param {Array<import("./mixins").functionalMixin>} mixins
+ */
+function mergeMixins(mixins) {
+  const described = mixins.map(mixin => ({
+    mixin,
+    kind: describeMixin(mixin),
+  }));
+
+  return described.reduce((merged, { mixin, kind }, index) => {
+    if (!kind) return [...merged, mixin];
+
+    const sameKind = described.filter(d => d.kind?.name === kind.name);
+    if (described.indexOf(sameKind[0]) < index) return merged;
+    if (sameKind.length === 1) return [...merged, mixin];
+
+    const { merge, make } = mergeableMixins[kind.name];
+    return [...merged, make(sameKind.map(d => d.kind.args).reduce(merge))];
+  }, []);
+}
+
+function mergeKeyed(base = {}, spec = {}) {
+  return Object.keys({ ...base, ...spec }).reduce((merged, key) => {
+    const b = base[key];
+    const s = spec[key];
+    const bothObjects = [b, s].every(
+      v => v && typeof v === "object" && !Array.isArray(v)
+    );
+    return {
+      ...merged,
+      [key]: bothObjects ? { ...b, ...s } : s === undefined ? b : s,
+    };
+  }, {});
+}
+
+/**
+ * Serializers of `spec` replace those of `base` for the same event and key.
+ */
+function mergeSerializers(base = [], spec = []) {
+  const same = (a, b) => a.on === b.on && String(a.key) === String(b.key);
+  return [...base.filter(b => !spec.some(s => same(b, s))), ...spec];
+}
+
+/**
+ * Merge `spec` into `base`.
+ * @param {ModelSpecification} base
+ * @param {ModelSpecification} spec
+ */
+function mergeSpecs(base, spec) {
+  const sections = keyedSections
+    .filter(key => base[key] || spec[key])
+    .reduce(
+      (merged, key) => ({ ...merged, [key]: mergeKeyed(base[key], spec[key]) }),
+      {}
+    );
+
+  return {
+    ...base,
+    ...spec,
+    ...sections,
+    ...(base.mixins || spec.mixins
+      ? { mixins: [...(base.mixins || []), ...(spec.mixins || [])] }
+      : {}),
+    ...(base.eventHandlers || spec.eventHandlers
+      ? {
+          eventHandlers: [
+            ...new Set([
+              ...(base.eventHandlers || []),
+              ...(spec.eventHandlers || []),
+            ]),
+          ],
+        }
+      : {}),
+    ...(base.serializers || spec.serializers
+      ? { serializers: mergeSerializers(base.serializers, spec.serializers) }
+      : {}),
+  };
+}
+
+/**
+ * Resolve the base specs listed in `extends` and merge them with the spec.
+ *
+ * - Bases are merged in the order listed, then the spec itself, so the
+ * spec overrides its bases and later bases override earlier ones. Bases
+ * can extend other bases.
+ * - Plain properties, e.g. `factory` or `datasource`, are replaced.
+ * - Entries of `ports`, `relations`, `commands`, `accessControlList`,
+ * `endpoints` and `dependencies` with the same name are merged property
+ * by property.
+ * - `mixins` and `eventHandlers` are concatenated, bases first. Mixins of
+ * the same kind are merged into one: key lists are combined, and entries
+ * of `validateProperties` and `computeProperties` replace inherited
+ * entries with the same `propKey`, as do properties of `defineSchema`.
+ * - `serializers` replace inherited ones for the same `on` and `key`.
+ *
+ * The result no longer has `extends`, so it can be inspected like any
+ * other spec.
+ * @param {ModelSpecification} spec
+ * @returns {ModelSpecification} merged spec
+ */
+export default function extendSpec(spec) {
+  const { extends: bases, ...rest } = spec;
+
+  if (!Array.isArray(bases) || bases.length < 1) {
+    return spec;
+  }
+
+  const merged = bases.map(extendSpec).concat(rest).reduce(mergeSpecs);
+
+  return merged.mixins
+    ? { ...merged, mixins: mergeMixins(merged.mixins) }
+    : merged;
+}
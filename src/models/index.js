@@ -45,7 +45,8 @@
  * @callback validate called to handle model updates
  * @param {Model} model
  * @param {Object} changes
- * @returns {Model | Error} updated model or throw
+ * @param {number} event - bitmask of the event: update, create or load
+ * @returns {Promise<Model>} updated model or reject
  */
 
 /**
@@ -70,6 +71,10 @@
  *    type?:'inbound'|'outbound',
  *    disabled?: boolean
  *    adapter?: string
+ *    keys?: string|string[]
+ *    undo?: function(Model):Promise<Model> - compensates the port's step
+ *    when the workflow fails or is canceled, see `sagaLog`
+ *    settings?: object
  *  }
  * }} ports - input/output ports for the domain
  *
@@ -126,16 +131,14 @@
 /**
  * @typedef {{
  *  [x: string]: {
- *    endpointUri: string,
- *    port:ports[p],
- *    callback: ({
- *      body:string,
- *      headers:{},
- *      params:{}}) => Promise<{
- *        body,status,headers
- *      }>
- *    })
- * }} endpoints
+ *    uri: string,
+ *    method?: "get"|"post"|"patch"|"delete",
+ *    port?: string,
+ *    callback: function(Model, Object):Promise<any>
+ *  }
+ * }} endpoints - custom endpoints, served at `/api/{endpoint}/{id}/{uri}`.
+ * The callback is passed the model and the request payload. `method`
+ * defaults to "post".
  */
 
 /**
@@ -162,26 +165,136 @@
  * @property {endpoints} [endpoints] - additional custom API endpoints - specify inbound port
  * @property {{factory:import("../datasources/datasource-mongodb/"),url:string,credentials?:string}} [datasource] - custom datasource
  * for this model. If not set, the default set by the server is used.
+ * @property {number} [version] - current version of the spec. Stamped on
+ * models when they are created or saved.
+ * @property {import("./mixins").migration[]} [migrations] - upgrade
+ * models saved under an earlier `version` when they are loaded
+ * @property {ModelSpecification[]} [extends] - base specs to inherit
+ * from. See `./extend-spec.js` for how they are merged.
+ * @property {import("./mixins").stateMachineConfig} [stateMachine] - the
+ * states of a property, e.g. `orderStatus`, and the transitions allowed
+ * between them, see the `stateMachine` mixin
  *
  */
 
-import GlobalMixins from "./mixins";
+import GlobalMixins, {
+  migrateModel,
+  mixinArgs,
+  sagaLog,
+  stateMachine,
+} from "./mixins";
+import { withUniqueIndex } from "../datasources/unique-index";
+import { withVersionCheck } from "../datasources/version-check";
 import makeAdapters from "./make-adapters";
+import { withSagaLog } from "./saga-log";
+import validateSpec from "./validate-spec";
+import extendSpec from "./extend-spec";
 
 // Service dependencies
 import * as services from "../services-mock";
 import * as adapters from "../adapters";
 
 // Models
-import * as modelSpecs from "../config";
+import * as config from "../config";
+
+const { remoteModels = [], ...modelSpecs } = config;
+
+/**
+ * Validate every spec before making any models,
+ * so all problems are reported at once.
+ * @param {ModelSpecification[]} specs
+ */
+function validateSpecs(specs) {
+  const modelNames = specs.map(spec => spec.modelName).concat(remoteModels);
+  const problems = specs.flatMap(spec =>
+    validateSpec(spec, { services, adapters, modelNames, mixins: GlobalMixins })
+  );
+
+  if (problems.length > 0) {
+    throw new Error(
+      `invalid model specifications:\n${problems
+        .map(p => `${p.modelName}: ${p.path} ${p.message}`)
+        .join("\n")}`
+    );
+  }
+}
+
+/**
+ * Reject saves of stale models, see `optimisticLock`, and enforce the
+ * unique keys declared in `validateProperties`, when models are saved
+ * to the spec's datasource. Versions are checked by the write to the
+ * database itself, see `withVersionCheck`, so the unique index wraps
+ * it, and releases the values a stale model reserved.
+ * @param {ModelSpecification} spec
+ */
+function guardDatasource(spec) {
+  if (!spec.datasource) {
+    return {};
+  }
+
+  const uniqueKeys = (mixinArgs(spec.mixins).validateProperties || [])
+    .filter(v => v.unique)
+    .map(v => ({ propKey: v.propKey, encrypted: v.unique.encrypted }));
+
+  const { factory } = spec.datasource;
+  const guard = DataSource => {
+    const checked = withVersionCheck(DataSource, spec.modelName);
+    return uniqueKeys.length > 0
+      ? withUniqueIndex(checked, spec.modelName, uniqueKeys)
+      : checked;
+  };
+
+  return {
+    datasource: {
+      ...spec.datasource,
+      factory: (...args) => guard(factory(...args)),
+    },
+  };
+}
 
-const requiredProps = ["modelName", "endpoint", "factory"];
+/**
+ * Log the steps of the workflow of models whose ports can be undone, i.e.
+ * the calls of ports that consume or produce events, so a failed or
+ * canceled workflow can be compensated, see `sagaLog`. Steps that don't
+ * handle their own errors compensate when they fail.
+ * @param {ModelSpecification} spec
+ */
+function sagaPorts(spec) {
+  const ports = spec.ports || {};
+  const made = makeAdapters(spec.ports, adapters, services);
 
-function validateSpec(spec) {
-  const missing = requiredProps.filter(key => !spec[key]);
-  if (missing?.length > 0) {
-    throw new Error(`missing properties: ${missing} > ${Object.entries(spec)}`);
+  if (!Object.values(ports).some(p => typeof p.undo === "function")) {
+    return { ports: spec.ports, mixins: [], adapters: made };
   }
+
+  const steps = Object.keys(ports).filter(
+    port => ports[port].consumesEvent || ports[port].producesEvent
+  );
+
+  return {
+    ports: steps.reduce(
+      (p, port) => ({
+        ...p,
+        [port]: {
+          errorCallback: ({ model }) => model.compensate(),
+          ...ports[port],
+        },
+      }),
+      ports
+    ),
+    mixins: [sagaLog(spec.modelName, ports)],
+    adapters: steps
+      .filter(port => made?.[port])
+      .reduce(
+        (p, port) => ({
+          ...p,
+          [port]: withSagaLog(spec.modelName, port, made[port], {
+            keys: ports[port].keys,
+          }),
+        }),
+        made
+      ),
+  };
 }
 
 /**
@@ -189,19 +302,30 @@ function validateSpec(spec) {
  * @param {*} dependencies - services injected
  */
 function makeModel(spec) {
-  validateSpec(spec);
-
   const mixins = spec.mixins || [];
   const dependencies = spec.dependencies || {};
+  const versioning = spec.version
+    ? [migrateModel(spec.version, spec.migrations)]
+    : [];
+  const states = spec.stateMachine
+    ? [stateMachine(spec.stateMachine, spec.accessControlList)]
+    : [];
+  const saga = sagaPorts(spec);
 
   return {
     ...spec,
-    mixins: mixins.concat(GlobalMixins),
+    ...guardDatasource(spec),
+    ports: saga.ports,
+    mixins: mixins.concat(GlobalMixins, versioning, states, saga.mixins),
     dependencies: {
       ...dependencies,
-      ...makeAdapters(spec.ports, adapters, services),
+      ...saga.adapters,
     },
   };
 }
 
-export const models = Object.values(modelSpecs).map(spec => makeModel(spec));
+const specs = Object.values(modelSpecs).map(extendSpec);
+
+validateSpecs(specs);
+
+export const models = specs.map(spec => makeModel(spec));
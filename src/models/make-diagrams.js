@@ -0,0 +1,214 @@
+"use strict";
+
+import { START_EVENT } from "./analyze-workflow";
+
+/**
+ * @typedef {import(".").ModelSpecification} ModelSpecification
+ *
+ * @typedef {{
+ *  nodes:{id:string,label:string,kind:"port"|"event",disabled?:boolean}[],
+ *  edges:{
+ *    from:string,
+ *    to:string,
+ *    label?:string,
+ *    kind:"event"|"undo",
+ *    disabled?:boolean
+ *  }[]
+ * }} diagram
+ */
+
+function nodeId(kind, name) {
+  return `${kind === "port" ? "p" : "e"}_${name.replace(/\W/g, "_")}`;
+}
+
+/**
+ * Describe the workflow of a model as nodes and edges, independent of
+ * the output format. Unlike `analyzeWorkflow`, disabled ports are kept,
+ * so they can be shown as such.
+ *
+ * - Events no port produces, e.g. `startWorkflow`, are drawn as the
+ * source of the ports consuming them, and events no port consumes as
+ * where the workflow ends.
+ * - An edge connects the port producing an event with each port
+ * consuming it.
+ * - A compensation edge runs back from each consumer to the producer
+ * if the producer has an `undo` function, which is called when the
+ * consumer fails.
+ *
+ * @param {ModelSpecification} spec
+ * @returns {diagram}
+ */
+function describeWorkflow(spec) {
+  const ports = Object.entries(spec.ports || {})
+    .filter(([, port]) => port.consumesEvent || port.producesEvent)
+    .map(([name, port]) => ({ name, ...port, id: nodeId("port", name) }));
+
+  const producers = event => ports.filter(p => p.producesEvent === event);
+  const consumers = event => ports.filter(p => p.consumesEvent === event);
+
+  const sources = [
+    ...new Set(ports.filter(p => p.consumesEvent).map(p => p.consumesEvent)),
+  ].filter(event => event === START_EVENT || producers(event).length < 1);
+
+  const sinks = [
+    ...new Set(ports.filter(p => p.producesEvent).map(p => p.producesEvent)),
+  ].filter(event => consumers(event).length < 1);
+
+  const eventNodes = [...new Set([...sources, ...sinks])].map(event => ({
+    id: nodeId("event", event),
+    label: event,
+    kind: "event",
+  }));
+
+  const portNodes = ports.map(p => ({
+    id: p.id,
+    label: p.name,
+    kind: "port",
+    ...(p.disabled ? { disabled: true } : {}),
+  }));
+
+  const sourceEdges = sources.flatMap(event =>
+    consumers(event).map(p => ({
+      from: nodeId("event", event),
+      to: p.id,
+      kind: "event",
+      ...(p.disabled ? { disabled: true } : {}),
+    }))
+  );
+
+  const eventEdges = ports
+    .filter(p => p.producesEvent)
+    .flatMap(producer =>
+      consumers(producer.producesEvent).map(consumer => ({
+        producer,
+        consumer,
+        disabled: producer.disabled || consumer.disabled,
+      }))
+    );
+
+  const forwardEdges = eventEdges.map(({ producer, consumer, disabled }) => ({
+    from: producer.id,
+    to: consumer.id,
+    label: producer.producesEvent,
+    kind: "event",
+    ...(disabled ? { disabled: true } : {}),
+  }));
+
+  const undoEdges = eventEdges
+    .filter(({ producer }) => typeof producer.undo === "function")
+    .map(({ producer, consumer, disabled }) => ({
+      from: consumer.id,
+      to: producer.id,
+      label: `undo: ${producer.undo.name || "undo"}`,
+      kind: "undo",
+      ...(disabled ? { disabled: true } : {}),
+    }));
+
+  const sinkEdges = sinks.flatMap(event =>
+    producers(event).map(p => ({
+      from: p.id,
+      to: nodeId("event", event),
+      kind: "event",
+      ...(p.disabled ? { disabled: true } : {}),
+    }))
+  );
+
+  return {
+    nodes: [...eventNodes, ...portNodes],
+    edges: [...sourceEdges, ...forwardEdges, ...undoEdges, ...sinkEdges],
+  };
+}
+
+/**
+ * Render the workflow of a model as a Mermaid flowchart. Compensation
+ * edges are dashed and red, disabled ports and their edges are grey.
+ * @param {ModelSpecification} spec
+ * @returns {string}
+ */
+export function toMermaid(spec) {
+  const { nodes, edges } = describeWorkflow(spec);
+
+  const node = n =>
+    n.kind === "event"
+      ? `  ${n.id}(("${n.label}"))`
+      : `  ${n.id}["${n.label}${n.disabled ? " (disabled)" : ""}"]${
+          n.disabled ? ":::disabled" : ""
+        }`;
+
+  const edge = e => {
+    const arrow = e.kind === "undo" ? "-.->" : "-->";
+    return `  ${e.from} ${arrow}${e.label ? `|"${e.label}"|` : ""} ${e.to}`;
+  };
+
+  const styles = edges
+    .map((e, index) => ({ e, index }))
+    .filter(({ e }) => e.disabled || e.kind === "undo")
+    .map(
+      ({ e, index }) =>
+        `  linkStyle ${index} stroke:${e.disabled ? "#999" : "#d9534f"}`
+    );
+
+  return [
+    "flowchart TD",
+    ...nodes.map(node),
+    ...edges.map(edge),
+    "  classDef disabled fill:#eee,stroke:#999,stroke-dasharray:5 5,color:#999",
+    ...styles,
+  ].join("\n");
+}
+
+/**
+ * Render the workflow of a model as a Graphviz DOT digraph. Compensation
+ * edges are dashed and red, disabled ports and their edges are grey.
+ * @param {ModelSpecification} spec
+ * @returns {string}
+ */
+export function toDot(spec) {
+  const { nodes, edges } = describeWorkflow(spec);
+
+  const attrs = list => {
+    const set = list.filter(a => a);
+    return set.length > 0 ? ` [${set.join(", ")}]` : "";
+  };
+
+  const node = n =>
+    `  ${n.id}${attrs([
+      `label="${n.label}${n.disabled ? "\\n(disabled)" : ""}"`,
+      n.kind === "event" ? "shape=ellipse" : "",
+      n.disabled ? "style=dashed, color=gray, fontcolor=gray" : "",
+    ])};`;
+
+  const edge = e =>
+    `  ${e.from} -> ${e.to}${attrs([
+      e.label ? `label="${e.label}"` : "",
+      e.kind === "undo" ? "style=dashed" : "",
+      e.disabled ? "color=gray, fontcolor=gray" : "",
+      !e.disabled && e.kind === "undo" ? "color=red, fontcolor=red" : "",
+    ])};`;
+
+  return [
+    `digraph ${spec.modelName.replace(/\W/g, "_")} {`,
+    "  node [shape=box];",
+    ...nodes.map(node),
+    ...edges.map(edge),
+    "}",
+  ].join("\n");
+}
+
+/**
+ * Render the workflow of each model in both formats. Models
+ * without ports that consume or produce events are left out.
+ * @param {ModelSpecification[]} specs
+ * @returns {{[modelName:string]:{mermaid:string,dot:string}}}
+ */
+export default function makeDiagrams(specs) {
+  return specs
+    .filter(spec => describeWorkflow(spec).nodes.length > 0)
+    .reduce(
+      (diagrams, spec) => ({
+        ...diagrams,
+        [spec.modelName]: { mermaid: toMermaid(spec), dot: toDot(spec) },
+      }),
+      {}
+    );
+}
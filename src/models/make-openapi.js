@@ -0,0 +1,493 @@
+"use strict";
+
+import { mixinArgs, RegEx } from "./mixins";
+
+/**
+ * @typedef {import(".").ModelSpecification} ModelSpecification
+ */
+
+const API_ROOT = "/api";
+
+/**
+ * Formats OpenAPI knows by name, keyed by `regexType`.
+ */
+const formats = {
+  email: "email",
+  ipv4Address: "ipv4",
+  ipv6Address: "ipv6",
+};
+
+/**
+ * Only literal keys can be documented, keys that are computed
+ * at runtime, i.e. functions and regular expressions, are skipped.
+ * @param {Array<string|function|RegExp>} propKeys
+ * @returns {string[]}
+ */
+function literalKeys(propKeys = []) {
+  return propKeys.flat().filter(k => typeof k === "string" && k !== "*");
+}
+
+/**
+ * Keys returned by functions, e.g. `o => (o.customerId ? null : key)`,
+ * when called with an empty model, and keys required by conditional
+ * rules. They are documented, but not as required.
+ * @param {Array<string|function|RegExp|object>} propKeys
+ * @returns {string[]}
+ */
+function conditionalKeys(propKeys = []) {
+  return literalKeys(
+    propKeys.flat().map(k => {
+      if (typeof k !== "function") return k?.when ? k.require : null;
+      try {
+        return k({});
+      } catch (error) {
+        return null;
+      }
+    })
+  );
+}
+
+/**
+ * Translate a `validation` from `validateProperties` into a schema.
+ * @param {import("./mixins").validation} v
+ */
+function propertySchema(v) {
+  const regex = v.regex instanceof RegExp ? v.regex : RegEx[v.regex];
+
+  return {
+    ...(v.typeof ? { type: v.typeof } : {}),
+    ...(v.values ? { enum: v.values } : {}),
+    ...(v.maxnum ? { type: "number", maximum: v.maxnum } : {}),
+    ...(v.maxlen ? { type: "string", maxLength: v.maxlen } : {}),
+    ...(regex ? { type: "string", pattern: regex.source } : {}),
+    ...(formats[v.regex] ? { format: formats[v.regex] } : {}),
+    ...(v.validator
+      ? { type: "string", format: v.validator.name || v.validator }
+      : {}),
+  };
+}
+
+/**
+ * Names of the keywords `min` and `max` translate to, by type.
+ */
+const bounds = {
+  string: ["minLength", "maxLength"],
+  array: ["minItems", "maxItems"],
+  number: ["minimum", "maximum"],
+  integer: ["minimum", "maximum"],
+};
+
+/**
+ * Translate a `fieldSchema` from `defineSchema` into a schema.
+ * @param {import("./mixins").fieldSchema} field
+ */
+function fieldSchema(field) {
+  const [min, max] = bounds[field.type] || [];
+  const required = Object.keys(field.properties || {}).filter(
+    key => field.properties[key].required
+  );
+
+  return {
+    ...(field.type === "date"
+      ? { type: "string", format: "date-time" }
+      : field.type && field.type !== "any"
+      ? { type: field.type }
+      : {}),
+    ...(field.enum ? { enum: field.enum } : {}),
+    ...(min && field.min !== undefined ? { [min]: field.min } : {}),
+    ...(max && field.max !== undefined ? { [max]: field.max } : {}),
+    ...(field.default !== undefined && typeof field.default !== "function"
+      ? { default: field.default }
+      : {}),
+    ...(field.items ? { items: fieldSchema(field.items) } : {}),
+    ...(field.properties
+      ? {
+          properties: Object.keys(field.properties).reduce(
+            (p, key) => ({ ...p, [key]: fieldSchema(field.properties[key]) }),
+            {}
+          ),
+        }
+      : {}),
+    ...(required.length > 0 ? { required } : {}),
+  };
+}
+
+/**
+ * Build the request and response schemas of a model.
+ * @param {ModelSpecification} spec
+ */
+function modelSchemas(spec) {
+  const args = mixinArgs(spec.mixins);
+  const schema = args.defineSchema || {};
+  const required = [
+    ...new Set([
+      ...literalKeys(args.requireProperties),
+      ...Object.keys(schema).filter(key => schema[key].required),
+    ]),
+  ];
+  const frozen = literalKeys(args.freezeProperties);
+  const computed = (args.computeProperties || []).map(c => c.propKey);
+  // see the stateMachine mixin
+  const machine = spec.stateMachine;
+  const states = machine
+    ? {
+        [machine.propKey]: {
+          type: "string",
+          enum: Object.keys(machine.states),
+        },
+      }
+    : {};
+  const validated = (args.validateProperties || []).reduce(
+    (p, v) => ({
+      ...p,
+      [v.propKey]: { ...p[v.propKey], ...propertySchema(v) },
+    }),
+    Object.keys(schema).reduce(
+      (p, key) => ({ ...p, [key]: fieldSchema(schema[key]) }),
+      states
+    )
+  );
+  const portKeys = literalKeys(
+    Object.values(spec.ports || {}).map(port => port.keys || [])
+  );
+  const keys = [
+    ...new Set([
+      ...required,
+      ...conditionalKeys(args.requireProperties),
+      ...frozen,
+      ...Object.keys(validated),
+      ...(args.updateProperties || []).map(u => u.propKey),
+      ...computed,
+      ...portKeys,
+    ]),
+  ];
+  const properties = keys.reduce(
+    (p, key) => ({
+      ...p,
+      [key]: {
+        ...validated[key],
+        ...(computed.includes(key) ? { readOnly: true } : {}),
+      },
+    }),
+    {}
+  );
+
+  return {
+    create: {
+      type: "object",
+      properties,
+      ...(required.length > 0 ? { required } : {}),
+    },
+    update: {
+      type: "object",
+      properties: Object.keys(properties)
+        .filter(key => !frozen.includes(key) && !computed.includes(key))
+        .reduce((p, key) => ({ ...p, [key]: properties[key] }), {}),
+    },
+  };
+}
+
+function ref(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+function content(schema) {
+  return { "application/json": { schema } };
+}
+
+function capitalize(name) {
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+/**
+ * Describe the commands a model accepts and who can run them.
+ * @param {ModelSpecification} spec
+ */
+function commandParam(spec) {
+  const commands = Object.entries(spec.commands || {});
+  if (commands.length < 1) return [];
+
+  return [
+    {
+      name: "command",
+      in: "query",
+      required: false,
+      schema: { type: "string", enum: commands.map(([name]) => name) },
+      description: commands
+        .map(([name, cmd]) => `${name}: requires ${(cmd.acl || []).join(", ")}`)
+        .join("; "),
+    },
+  ];
+}
+
+/**
+ * Generate the paths for the auto-generated REST API of a model,
+ * as well as for its custom endpoints.
+ * @param {ModelSpecification} spec
+ * @param {string} schema - name of the model schema
+ */
+function modelPaths(spec, schema) {
+  const base = `${API_ROOT}/${spec.endpoint}`;
+  const tags = [spec.modelName];
+  const id = {
+    name: "id",
+    in: "path",
+    required: true,
+    schema: { type: "string" },
+  };
+  const model = { description: spec.modelName, content: content(ref(schema)) };
+  const commands = commandParam(spec);
+
+  // see optimisticLock
+  const versioned = {
+    ...model,
+    headers: {
+      ETag: {
+        description: "version of the model",
+        schema: { type: "string" },
+      },
+    },
+  };
+  const ifMatch = {
+    name: "If-Match",
+    in: "header",
+    required: false,
+    schema: { type: "string" },
+    description: "ETag the update is based on",
+  };
+
+  // see dryRun
+  const validated = {
+    description: "whether the input is valid, and every violation",
+    content: content({
+      type: "object",
+      properties: {
+        valid: { type: "boolean" },
+        violations: { type: "array", items: { type: "object" } },
+      },
+    }),
+  };
+
+  // see the stateMachine mixin
+  const machine = spec.stateMachine;
+  const transitions = machine
+    ? {
+        [`${base}/{id}/transitions`]: {
+          get: {
+            tags,
+            operationId: `transitions${schema}`,
+            parameters: [id],
+            responses: {
+              200: {
+                description: `next ${machine.propKey} for the caller's roles`,
+                content: content({
+                  type: "object",
+                  properties: {
+                    state: {
+                      type: "string",
+                      enum: Object.keys(machine.states),
+                    },
+                    terminal: { type: "boolean" },
+                    transitions: {
+                      type: "array",
+                      items: {
+                        type: "object",
+                        properties: {
+                          state: { type: "string" },
+                          desc: { type: "string" },
+                        },
+                      },
+                    },
+                  },
+                }),
+              },
+              404: { description: "not found" },
+            },
+          },
+        },
+      }
+    : {};
+
+  // see auditTrail
+  const history =
+    "auditTrail" in mixinArgs(spec.mixins)
+      ? {
+          [`${base}/{id}/history`]: {
+            get: {
+              tags,
+              operationId: `history${schema}`,
+              parameters: [id],
+              responses: {
+                200: {
+                  description: "every change, oldest first",
+                  content: content({
+                    type: "array",
+                    items: { type: "object" },
+                  }),
+                },
+                401: { description: "not logged in" },
+                404: { description: "not found" },
+              },
+            },
+          },
+        }
+      : {};
+
+  // see exportPersonalData
+  const personalData = spec.commands?.exportPersonalData
+    ? {
+        [`${base}/{id}/personal-data`]: {
+          get: {
+            tags,
+            operationId: `personalData${schema}`,
+            parameters: [
+              id,
+              {
+                name: "format",
+                in: "query",
+                required: false,
+                schema: { type: "string", enum: ["json", "html"] },
+              },
+            ],
+            responses: {
+              200: {
+                description: "personal data, as a download",
+                content: {
+                  "application/json": { schema: { type: "object" } },
+                  "text/html": { schema: { type: "string" } },
+                },
+              },
+              401: { description: "not logged in" },
+              403: { description: "neither their own user nor an admin" },
+              404: { description: "not found" },
+            },
+          },
+        },
+      }
+    : {};
+
+  const custom = Object.entries(spec.endpoints || {}).reduce(
+    (p, [name, endpoint]) => ({
+      ...p,
+      [`${base}/{id}/${endpoint.uri || endpoint.endpointUri || name}`]: {
+        [endpoint.method || "post"]: {
+          tags,
+          operationId: `${name}${capitalize(spec.modelName)}`,
+          parameters: [id],
+          responses: { 200: { description: name } },
+        },
+      },
+    }),
+    {}
+  );
+
+  return {
+    [base]: {
+      get: {
+        tags,
+        operationId: `list${schema}`,
+        responses: {
+          200: {
+            description: spec.endpoint,
+            content: content({ type: "array", items: ref(schema) }),
+          },
+        },
+      },
+      post: {
+        tags,
+        operationId: `create${schema}`,
+        requestBody: { required: true, content: content(ref(schema)) },
+        responses: { 201: model, 400: { description: "invalid input" } },
+      },
+    },
+    [`${base}/{id}`]: {
+      get: {
+        tags,
+        operationId: `get${schema}`,
+        parameters: [id, ...commands],
+        responses: { 200: versioned, 404: { description: "not found" } },
+      },
+      patch: {
+        tags,
+        operationId: `update${schema}`,
+        parameters: [id, ifMatch, ...commands],
+        requestBody: {
+          required: true,
+          content: content(ref(`${schema}Update`)),
+        },
+        responses: {
+          200: versioned,
+          400: { description: "invalid input" },
+          409: { description: "conflicts with another model" },
+          412: { description: "model changed since If-Match" },
+        },
+      },
+      delete: {
+        tags,
+        operationId: `delete${schema}`,
+        parameters: [id],
+        responses: { 200: { description: "deleted" } },
+      },
+    },
+    [`${base}/validate`]: {
+      post: {
+        tags,
+        operationId: `validate${schema}`,
+        requestBody: { required: true, content: content(ref(schema)) },
+        responses: { 200: validated, 400: { description: "invalid input" } },
+      },
+    },
+    [`${base}/{id}/validate`]: {
+      patch: {
+        tags,
+        operationId: `validate${schema}Update`,
+        parameters: [id],
+        requestBody: {
+          required: true,
+          content: content(ref(`${schema}Update`)),
+        },
+        responses: { 200: validated, 404: { description: "not found" } },
+      },
+    },
+    ...transitions,
+    ...history,
+    ...personalData,
+    ...custom,
+  };
+}
+
+/**
+ * Generate an OpenAPI 3 document describing the REST API
+ * of every model, derived from the model specs.
+ * @param {ModelSpecification[]} specs
+ * @param {{title?:string,version?:string}} [info]
+ */
+export default function makeOpenApi(
+  specs,
+  { title = "MicroLib Example", version = "1.0.0" } = {}
+) {
+  return specs.reduce(
+    (doc, spec) => {
+      const schema = capitalize(spec.modelName);
+      const { create, update } = modelSchemas(spec);
+
+      return {
+        ...doc,
+        paths: { ...doc.paths, ...modelPaths(spec, schema) },
+        components: {
+          schemas: {
+            ...doc.components.schemas,
+            [schema]: create,
+            [`${schema}Update`]: update,
+          },
+        },
+      };
+    },
+    {
+      openapi: "3.0.3",
+      info: { title, version },
+      paths: {},
+      components: { schemas: {} },
+    }
+  );
+}
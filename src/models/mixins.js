@@ -1,8 +1,39 @@
 "use strict";
 
-import { hash, encrypt, decrypt, compose } from "../lib/utils";
+import {
+  hashPassword,
+  verifyPassword,
+  needsRehash,
+  encrypt,
+  decrypt,
+  compose,
+  blindIndex,
+  isEncrypted,
+  needsRotation,
+  makeArray,
+} from "../lib/utils";
+import {
+  ValidationError,
+  ConflictError,
+  violation,
+  REDACTED,
+  ERASED,
+  CONFLICT_CODES,
+} from "./validation-error";
+import { uniqueIndex, UNIQUE_KEYS } from "../datasources/unique-index";
+import { logErasure } from "./erasure-log";
+import { runValidator } from "./validators";
+import { compensate, eraseSagaLog, sagaState } from "./saga-log";
 import util from "util";
 
+export {
+  ValidationError,
+  ConflictError,
+  isVersionConflict,
+  ERASED,
+} from "./validation-error";
+export { registerValidator } from "./validators";
+
 /**
  * Functional mixin created by `functionalMixinFactory`
  * @callback functionalMixin
@@ -29,6 +60,32 @@ export const prevmodel = Symbol("prevModel");
  * private key to access validation config
  */
 export const validations = Symbol("validations");
+/**
+ * private key to access the config of mixins that add methods,
+ * but no validation
+ */
+export const mixinConfig = Symbol("mixinConfig");
+
+/**
+ * Who made a change, with which roles, and through which port or
+ * command, passed with the changes, e.g. `update({ ...changes,
+ * [auditContext]: { user: session.userId, roles, via: "approve" } })`.
+ * See `auditTrail` and `stateMachine`.
+ */
+export const auditContext = Symbol("auditContext");
+
+/**
+ * Key of the `auditContext` in changes sent to the host, where symbols
+ * don't survive serialization. Set by the API from the session of the
+ * caller, see `makeApi`.
+ */
+export const AUDIT_CONTEXT = "auditContext";
+
+/**
+ * Reference from the input data to the model being updated, so
+ * validations of the input can look up other models.
+ */
+const modelRef = Symbol("modelRef");
 /**
  * Process mixin pre or post update
  */
@@ -106,7 +163,7 @@ export function updateMixins(type, o, name, cb) {
 /**
  * bitmask for identifying events
  */
-const eventMask = {
+export const eventMask = {
   update: 1, //  0001 Update
   create: 1 << 1, //  0010 Create
   onload: 1 << 2, //  0100 Load
@@ -143,37 +200,215 @@ function containsUpdates(model, changes, event) {
 }
 
 /**
- * Run validation functions enabled for a given event.
+ * Keys of the properties encrypted by `encryptProperties`.
+ * @param {Model} model
+ * @returns {string[]}
+ */
+function encryptedKeys(model) {
+  const config = model[validations].find(
+    v => v.name === encryptProperties.name
+  );
+  return config ? parseKeys(model, ...config.args) : [];
+}
+
+/**
+ * Turn whatever a validation throws into a list of violations.
+ * @param {Error} error
+ * @param {{name:string}} v - the validation that threw
+ * @returns {import("./validation-error").violation[]}
+ */
+function toViolations(error, v) {
+  if (error instanceof ValidationError) {
+    return error.violations;
+  }
+  return [violation(v.name, undefined, undefined, error.message)];
+}
+
+/**
+ * Validations that don't settle within this many milliseconds fail,
+ * unless they set their own `timeout`.
+ */
+export const VALIDATION_TIMEOUT = 10000;
+
+/**
+ * Run a validation, failing it if it doesn't settle within its `timeout`.
+ * @param {{name:string,timeout:number}} v - the validation to run
+ * @param {function({name:string}):Object|Promise<Object>} run
+ * @returns {Promise<Object>} result of the validation
+ */
+function runWithTimeout(v, run) {
+  const result = Promise.resolve().then(() => run(v));
+  if (!(v.timeout > 0)) return result;
+
+  let timerId;
+  const timeout = new Promise((resolve, reject) => {
+    timerId = setTimeout(
+      () =>
+        reject(
+          new ValidationError([
+            violation(
+              "timeout",
+              undefined,
+              undefined,
+              `${v.name} timed out after ${v.timeout} ms`
+            ),
+          ])
+        ),
+      v.timeout
+    );
+  });
+  return Promise.race([result, timeout]).finally(() => clearTimeout(timerId));
+}
+
+/**
+ * Group validations by `order`, lowest first. Validations with the same
+ * `order` don't depend on each other and can run concurrently.
+ * @param {Array<{name:string,order:number}>} enabled
+ * @returns {Array<Array<{name:string,order:number}>>}
+ */
+function groupByOrder(enabled) {
+  return enabled
+    .sort((a, b) => a.order - b.order)
+    .reduce((groups, v) => {
+      const last = groups[groups.length - 1];
+      return last && last[0].order === v.order
+        ? [...groups.slice(0, -1), [...last, v]]
+        : [...groups, [v]];
+    }, []);
+}
+
+/**
+ * Run each validation, even if an earlier one fails, and throw
+ * a `ValidationError` listing every violation found. Groups of
+ * validations run in `order`, each group waiting for the last,
+ * while validations in the same group run concurrently. The results
+ * of each group are applied before the next group runs, so e.g.
+ * values coerced by one validation are seen by the next. A validation
+ * with `sideEffects`, e.g. one invoking a port, is skipped once
+ * another has failed.
+ * @param {Model} model - model being validated, used to
+ * name the model and redact encrypted values in the error
+ * @param {Array<{name:string,order:number}>} enabled - validations to run
+ * @param {function({name:string},Object):Object|Promise<Object>} run -
+ * runs a validation against the data validated so far
+ * @param {Object} data - data to validate
+ * @returns {Promise<Object>} `data` with the results of the validations
+ */
+async function runValidations(model, enabled, run, data) {
+  const violations = [];
+  let current = data;
+
+  for (const group of groupByOrder(enabled)) {
+    const failed = violations.length > 0;
+    const input = current;
+
+    const settled = await Promise.all(
+      group.map(v =>
+        v.sideEffects && failed
+          ? { result: {} }
+          : runWithTimeout(v, v => run(v, input)).then(
+              result => ({ result }),
+              error => ({ result: {}, violations: toViolations(error, v) })
+            )
+      )
+    );
+
+    settled.forEach(s => {
+      current = { ...current, ...s.result };
+      violations.push(...(s.violations || []));
+    });
+  }
+
+  if (violations.length > 0) {
+    const encrypted = encryptedKeys(model);
+    const modelName = model.getName?.();
+    const conflict = violations.every(v => CONFLICT_CODES.includes(v.code));
+
+    throw new (conflict ? ConflictError : ValidationError)(
+      violations.map(v => ({
+        ...v,
+        ...(encrypted.includes(v.propKey) && "value" in v
+          ? { value: REDACTED }
+          : {}),
+        ...(modelName ? { modelName } : {}),
+      }))
+    );
+  }
+  return current;
+}
+
+/**
+ * Run validation functions enabled for a given event. All validations
+ * of the input data run before any errors are thrown, then all
+ * validations of the updated model. Errors are reported together as
+ * a `ValidationError`. Validations can return promises, which are
+ * awaited before their results are applied. If the only violations are
+ * values other models already use, or a stale version, a `ConflictError`
+ * is thrown.
  * @param {Model} model - the composed object
  * @param {*} changes - object containing changes
  * @param {Number} event - Indicates what event is occuring:
  * 1st bit turned on means update, 2nd bit create, 3rd load,
  * see `eventMask`.
+ * @param {{dryRun?:boolean}} [options] - on a dry run, validations with
+ * side effects, e.g. invoking a port, are skipped
+ * @returns {Promise<Model>} the validated model
+ * @throws {ValidationError|ConflictError}
  */
-export function validateModel(model, changes, event) {
+export async function validateModel(
+  model,
+  changes,
+  event,
+  { dryRun = false } = {}
+) {
+  if (changes?.[AUDIT_CONTEXT]) {
+    const { [AUDIT_CONTEXT]: context, ...rest } = changes;
+    return validateModel(model, { ...rest, [auditContext]: context }, event, {
+      dryRun,
+    });
+  }
+
   // if there are no changes, and the event is an update, return
   if (!containsUpdates(model, changes, event)) {
     return model;
   }
 
+  const runs = v => !(dryRun && v.sideEffects);
+
   // keep a history of the last saved model
-  const input = { ...changes, [prevmodel]: JSON.parse(JSON.stringify(model)) };
+  const input = {
+    ...changes,
+    [prevmodel]: JSON.parse(JSON.stringify(model)),
+    [modelRef]: model,
+  };
 
   // Validate just the input data
-  const updates = model[validations]
-    .filter(v => v.input & event)
-    .sort((a, b) => a.order - b.order)
-    .map(v => model[v.name].apply(input))
-    .reduce((p, c) => ({ ...p, ...c }), input);
+  const { [modelRef]: ref, ...updates } = await runValidations(
+    { ...model, ...changes },
+    model[validations].filter(v => v.input & event && runs(v)),
+    (v, current) => model[v.name].apply(current),
+    input
+  ).catch(error => {
+    releaseUniqueKeys(model);
+    throw error;
+  });
 
   const updated = { ...model, ...updates };
 
   // Validate the updated model
-  return updated[validations]
-    .filter(v => v.output & event)
-    .sort((a, b) => a.order - b.order)
-    .map(v => updated[v.name]())
-    .reduce((p, c) => ({ ...p, ...c }), updated);
+  const validated = await runValidations(
+    updated,
+    updated[validations].filter(v => v.output & event && runs(v)),
+    (v, current) => current[v.name](),
+    updated
+  ).catch(error => {
+    releaseUniqueKeys(updated);
+    throw error;
+  });
+
+  // the context applies to these changes only
+  const { [auditContext]: context, ...rest } = validated;
+  return context ? rest : validated;
 }
 
 /**
@@ -249,10 +484,26 @@ function enableEvent(onUpdate = true, onCreate = true, onLoad = false) {
  * to provide a value for this param.
  * @property {number} output - "output" functions run against the
  * model after the changes have been applied.
- * @property {number} order - order in which validation runs
+ * @property {number} order - order in which validation runs,
+ * validations with the same order run concurrently
+ * @property {*} [args] - arguments the mixin was created with,
+ * kept so tools can describe the model, e.g. the OpenAPI document
+ * @property {number} [timeout] - milliseconds the validation has to
+ * settle before it fails, 0 to wait indefinitely
+ * @property {boolean} [sideEffects] - skip the validation
+ * if another has already failed, e.g. when it invokes a port
  * @param {validationConfig} param0
  */
-function addValidation({ model, name, input = 0, output = 0, order = 50 }) {
+function addValidation({
+  model,
+  name,
+  input = 0,
+  output = 0,
+  order = 50,
+  args,
+  timeout = VALIDATION_TIMEOUT,
+  sideEffects = false,
+}) {
   const config = model[validations] || [];
 
   if (config.some(v => v.name === name)) {
@@ -262,10 +513,48 @@ function addValidation({ model, name, input = 0, output = 0, order = 50 }) {
   return {
     ...model,
     validateModel,
-    [validations]: [...config, { name, input, output, order }],
+    [validations]: [
+      ...config,
+      { name, input, output, order, args, timeout, sideEffects },
+    ],
+  };
+}
+
+/**
+ * Keep the arguments a mixin without a validation was created with,
+ * keyed by the mixin's name, see `mixinConfig`.
+ * @param {{model:Object,name:string,args:*}} config
+ */
+function addConfig({ model, name, args }) {
+  return {
+    ...model,
+    [mixinConfig]: { ...model[mixinConfig], [name]: args },
   };
 }
 
+/**
+ * Apply `mixins` to an empty object and return the arguments each
+ * mixin was created with, keyed by mixin name. Mixins that can't
+ * handle an empty object are skipped.
+ * @param {functionalMixin[]} [mixins]
+ * @returns {{[x:string]:*}}
+ */
+export function mixinArgs(mixins = []) {
+  const probe = mixins.reduceRight((o, mixin) => {
+    try {
+      const next = mixin(o);
+      return next instanceof Promise ? o : next;
+    } catch (error) {
+      return o;
+    }
+  }, {});
+
+  return (probe[validations] || []).reduce(
+    (p, v) => ({ ...p, [v.name]: v.args }),
+    { ...probe[mixinConfig] }
+  );
+}
+
 /**
  * Resolve keys:
  * If the value includes an array, flatten it, then for each element:
@@ -278,7 +567,7 @@ function addValidation({ model, name, input = 0, output = 0, order = 50 }) {
  * Names (or functions that return names) of properties
  * @returns {string[]} list of (resolved) property keys
  */
-function parseKeys(o, ...propKeys) {
+function resolveKeys(o, ...propKeys) {
   const keys = propKeys.flat().map(function (k) {
     if (typeof k === "function") return k(o);
     if (k instanceof RegExp) return Object.keys(o).filter(key => k.test(key));
@@ -288,23 +577,176 @@ function parseKeys(o, ...propKeys) {
   return keys.flat();
 }
 
+/**
+ * Split a path into its segments, e.g. "orderItems[0].price"
+ * into `["orderItems", "[0]", "price"]`.
+ * @param {string} path
+ * @returns {string[]}
+ */
+function splitPath(path) {
+  return path
+    .replace(/\[(\d*)\]/g, ".[$1]")
+    .split(".")
+    .filter(segment => segment);
+}
+
+function joinPath(path, segment) {
+  if (segment.startsWith("[")) return `${path}${segment}`;
+  return path ? `${path}.${segment}` : segment;
+}
+
+function arrayIndex(segment) {
+  const match = /^\[(\d+)\]$/.exec(segment);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Is `key` a path into a nested object or array, rather than a property?
+ * @param {string} key
+ */
+export function isPath(key) {
+  return typeof key === "string" && /[.[]/.test(key);
+}
+
+/**
+ * Get the value at `path`, e.g. "billingAddress.zip" or "orderItems[0].price".
+ * @param {*} o
+ * @param {string} path
+ */
+export function getPath(o, path) {
+  return splitPath(path).reduce((value, segment) => {
+    const index = arrayIndex(segment);
+    return index === null ? value?.[segment] : value?.[index];
+  }, o);
+}
+
+/**
+ * Return a copy of `o` with the value at the path set to `value`.
+ * @param {*} o
+ * @param {string[]} segments - path, see `splitPath`
+ * @param {*} value
+ */
+function setPath(o, segments, value) {
+  if (segments.length < 1) return value;
+
+  const [segment, ...rest] = segments;
+  const index = arrayIndex(segment);
+
+  if (index !== null) {
+    const array = Array.isArray(o) ? [...o] : [];
+    array[index] = setPath(array[index], rest, value);
+    return array;
+  }
+  return { ...o, [segment]: setPath(o?.[segment], rest, value) };
+}
+
+/**
+ * Expand the wildcards in a path against an object: "[]" matches
+ * each element of an array and "*" each key of a nested object.
+ * E.g. "orderItems[].price" expands to "orderItems[0].price",
+ * "orderItems[1].price" and so on. Paths without wildcards
+ * are returned as they are, whether or not they exist.
+ * @param {*} o
+ * @param {string} path
+ * @returns {string[]} concrete paths
+ */
+function expandPath(o, path) {
+  const segments = splitPath(path);
+
+  if (!segments.some(s => s === "[]" || s === "*")) {
+    return [path];
+  }
+
+  return segments
+    .reduce(
+      (matches, segment) =>
+        matches.flatMap(({ path, value }) => {
+          if (segment === "[]") {
+            return Array.isArray(value)
+              ? value.map((v, i) => ({ path: `${path}[${i}]`, value: v }))
+              : [];
+          }
+          if (segment === "*") {
+            return isObject(value) && !Array.isArray(value)
+              ? Object.keys(value).map(k => ({
+                  path: joinPath(path, k),
+                  value: value[k],
+                }))
+              : [];
+          }
+          const index = arrayIndex(segment);
+          return [
+            {
+              path: joinPath(path, segment),
+              value: index === null ? value?.[segment] : value?.[index],
+            },
+          ];
+        }),
+      [{ path: "", value: o }]
+    )
+    .map(match => match.path);
+}
+
+/**
+ * Resolve keys as `resolveKeys` does, then expand any paths into
+ * nested objects and arrays, e.g. "billingAddress.zip",
+ * "orderItems[].price" or "paymentAuthorization.*".
+ * @param {*} o - Object to compose
+ * @param  {Array<string | function(*):string | RegExp>} propKeys -
+ * Names, paths (or functions that return them) of properties
+ * @returns {string[]} list of (resolved) property keys and paths
+ */
+export function parseKeys(o, ...propKeys) {
+  return resolveKeys(o, ...propKeys).flatMap(key =>
+    isPath(key) ? expandPath(o, key) : [key]
+  );
+}
+
+/**
+ * Apply `fn` to the value at each path that has one, and return the
+ * changed top-level properties, e.g. the whole `billingAddress` when
+ * only `billingAddress.zip` is changed.
+ * @param {*} o
+ * @param {string[]} paths
+ * @param {function(*,string):*} fn - passed the value and its path
+ * @returns {Object} changes
+ */
+function mapPaths(o, paths, fn) {
+  return paths
+    .filter(path => path && getPath(o, path))
+    .reduce((changes, path) => {
+      const [key, ...rest] = splitPath(path);
+      const current = key in changes ? changes[key] : o[key];
+      return {
+        ...changes,
+        [key]: setPath(current, rest, fn(getPath(o, path), path)),
+      };
+    }, {});
+}
+
 /**
  * Encrypt properties. Properties remain encrypted indefinitely, and
  * must be explicitly decrypted as needed, e.g. reading values in memory,
  * from storage, serializing and sending to an external system.
+ *
+ * Values are encrypted with the current key of the keyring. After a new
+ * key is added, `rotateKeys` encrypts the values again with it.
  * @param  {Array<string | function(*):string>} propKeys -
  * Names (or functions that return names) of properties to encrypt
  * @returns {functionalMixin} mixin function
  */
 export const encryptProperties = (...propKeys) => o => {
-  const keys = parseKeys(o, ...propKeys);
-
   const encryptProps = obj => {
-    return keys
-      .map(key => (obj[key] ? { [key]: encrypt(obj[key]) } : {}))
-      .reduce((p, c) => ({ ...p, ...c }));
+    return mapPaths(obj, parseKeys(obj, ...propKeys), encrypt);
   };
 
+  // erased values are no longer encrypted
+  const encryptedPaths = obj =>
+    parseKeys(obj, ...propKeys).filter(
+      path =>
+        typeof getPath(obj, path) === "string" && getPath(obj, path) !== ERASED
+    );
+
   return {
     encryptProperties() {
       return encryptProps(this);
@@ -316,28 +758,190 @@ export const encryptProperties = (...propKeys) => o => {
       input: enableValidation.onUpdate,
       output: enableValidation.onCreate,
       order: 99,
+      args: propKeys,
     }),
 
     decrypt() {
-      return keys
-        .map(key => (this[key] ? { [key]: decrypt(this[key]) } : {}))
-        .reduce((p, c) => ({ ...p, ...c }));
+      return mapPaths(this, encryptedPaths(this), decrypt);
+    },
+
+    /**
+     * Encrypt the values encrypted with an older key, or before
+     * the keyring, with the current key and save the model.
+     * @returns {Promise<Model>} the model, unchanged if up to date
+     */
+    async rotateKeys() {
+      const stale = encryptedPaths(this).filter(path =>
+        needsRotation(getPath(this, path))
+      );
+      if (stale.length < 1) return this;
+
+      const changes = mapPaths(this, stale, value => encrypt(decrypt(value)));
+      return this.update({ ...changes, ...nextVersion(this) }, false);
     },
   };
 };
 
+/**
+ * Operators comparing a property with an argument in a `condition`.
+ */
+const operators = {
+  eq: (value, arg) => util.isDeepStrictEqual(value, arg),
+  ne: (value, arg) => !util.isDeepStrictEqual(value, arg),
+  in: (value, arg) => arg.some(a => util.isDeepStrictEqual(value, a)),
+  nin: (value, arg) => !arg.some(a => util.isDeepStrictEqual(value, a)),
+  exists: (value, arg) =>
+    (value !== undefined && value !== null && value !== "") === arg,
+  gt: (value, arg) => value > arg,
+  gte: (value, arg) => value >= arg,
+  lt: (value, arg) => value < arg,
+  lte: (value, arg) => value <= arg,
+};
+
+/**
+ * Keys combining conditions, rather than naming properties.
+ */
+const combinators = ["and", "or", "not", "prev"];
+
+function isOperatorTest(test) {
+  return (
+    isObject(test) &&
+    !Array.isArray(test) &&
+    Object.keys(test).length > 0 &&
+    Object.keys(test).every(op => op in operators)
+  );
+}
+
+/**
+ * @typedef {{[propKey:string]:*}} condition - a property name or path
+ * and the value it must equal, or operators to test it with, e.g.
+ * `{ orderStatus: { in: ["COMPLETE", "CANCELED"] } }`. All properties
+ * listed must match. Combine conditions with `and`, `or` and `not`, and
+ * test the model as it was before the update with `prev`, e.g.
+ * `{ prev: { orderStatus: { ne: "PENDING" } } }`.
+ *
+ * @typedef {{
+ *  when:condition,
+ *  require?:Array<string|RegExp>,
+ *  freeze?:Array<string|RegExp>
+ * }} conditionalRule - properties to require or freeze when the
+ * condition holds
+ */
+
+/**
+ * Does `o` meet the `condition`?
+ * @param {condition} condition
+ * @param {Object} o - the data being validated
+ * @returns {boolean}
+ */
+export function matchesCondition(condition, o) {
+  return Object.entries(condition).every(([key, test]) => {
+    if (key === "and") return test.every(c => matchesCondition(c, o));
+    if (key === "or") return test.some(c => matchesCondition(c, o));
+    if (key === "not") return !matchesCondition(test, o);
+    if (key === "prev") return matchesCondition(test, o?.[prevmodel] || {});
+
+    const value = getPath(o, key);
+    return isOperatorTest(test)
+      ? Object.entries(test).every(([op, arg]) => operators[op](value, arg))
+      : util.isDeepStrictEqual(value, test);
+  });
+}
+
+/**
+ * Describe what is wrong with a condition, e.g. an unknown operator.
+ * @param {condition} condition
+ * @param {string} path - where the condition is
+ * @returns {{path:string,message:string}[]}
+ */
+export function conditionProblems(condition, path) {
+  if (!isObject(condition) || Array.isArray(condition)) {
+    return [{ path, message: "expected object" }];
+  }
+
+  return Object.entries(condition).flatMap(([key, test]) => {
+    const at = `${path}.${key}`;
+
+    if (key === "and" || key === "or") {
+      return Array.isArray(test)
+        ? test.flatMap((c, i) => conditionProblems(c, `${at}[${i}]`))
+        : [{ path: at, message: "expected array" }];
+    }
+    if (key === "not" || key === "prev") {
+      return conditionProblems(test, at);
+    }
+
+    const ops = isObject(test) && !Array.isArray(test) ? Object.keys(test) : [];
+    if (!ops.some(op => op in operators)) return [];
+
+    return ops.flatMap(op =>
+      !(op in operators)
+        ? [{ path: `${at}.${op}`, message: "unknown operator" }]
+        : ["in", "nin"].includes(op) && !Array.isArray(test[op])
+        ? [{ path: `${at}.${op}`, message: "expected array" }]
+        : []
+    );
+  });
+}
+
+/**
+ * Is `k` a `conditionalRule`, rather than a key?
+ */
+function isRule(k) {
+  return isObject(k) && !(k instanceof RegExp) && "when" in k;
+}
+
+/**
+ * Replace each rule in `propKeys` with the keys it lists under `field`,
+ * if its condition holds for `o`, or with none.
+ * @param {Object} o
+ * @param {Array<string|function|RegExp|conditionalRule>} propKeys
+ * @param {"require"|"freeze"} field
+ */
+function applyRules(o, propKeys, field) {
+  return propKeys
+    .flat()
+    .map(k =>
+      !isRule(k) ? k : k[field] && matchesCondition(k.when, o) ? k[field] : []
+    );
+}
+
 /**
  * Prevent properties from being modified.
- * Accepts a property name or a function that returns a property name.
- * @param  {Array<string | function(*):string | RegExp>} propKeys - names of properties to freeze
+ * Accepts a property name or a function that returns a property name,
+ * or a rule freezing properties under a condition, e.g.
+ * `{ when: { prev: { orderStatus: "COMPLETE" } }, freeze: ["*"] }`.
+ * @param  {Array<string | function(*):string | RegExp | conditionalRule>} propKeys - names of properties to freeze
  */
 export const freezeProperties = (...propKeys) => o => {
   const preventUpdates = obj => {
-    const keys = parseKeys(obj, ...propKeys);
-
-    const sideEffects = Object.keys(obj).filter(key => keys.includes(key));
+    // conditions see the model as updated
+    const updated = { ...obj[prevmodel], ...obj };
+    const keys = resolveKeys(obj, ...applyRules(updated, propKeys, "freeze"));
+    const changed = Object.keys(obj);
+
+    // a nested path is only changed if its value is
+    const paths = keys
+      .filter(key => isPath(key) && changed.includes(splitPath(key)[0]))
+      .flatMap(key => [
+        ...new Set([
+          ...expandPath(obj, key),
+          ...expandPath(obj[prevmodel], key),
+        ]),
+      ])
+      .filter(
+        path =>
+          !util.isDeepStrictEqual(
+            getPath(obj, path),
+            getPath(obj[prevmodel], path)
+          )
+      );
+
+    const sideEffects = changed.filter(key => keys.includes(key)).concat(paths);
     if (sideEffects?.length > 0) {
-      throw new Error(`cannot update readonly properties: ${sideEffects}`);
+      throw new ValidationError(
+        sideEffects.map(key => violation("freeze", key, getPath(obj, key)))
+      );
     }
   };
 
@@ -351,23 +955,24 @@ export const freezeProperties = (...propKeys) => o => {
       name: freezeProperties.name,
       input: enableValidation.onUpdate,
       order: 20,
+      args: propKeys,
     }),
   };
 };
 
 /**
  * Enforce required fields.
- * @param {Array<string | function(*):string | RegExp>} propKeys -
+ * @param {Array<string | function(*):string | RegExp | conditionalRule>} propKeys -
  * required property key names - can be a function or regex
- * that returns the property key names
+ * that returns the property key names, or a rule requiring them under
+ * a condition, e.g. `{ when: { orderStatus: "APPROVED" }, require: [...] }`
  */
 export const requireProperties = (...propKeys) => o => {
-  const keys = parseKeys(o, ...propKeys);
-
   function requireProps(obj) {
-    const missing = keys.filter(key => key && !obj[key]);
+    const keys = parseKeys(obj, ...applyRules(obj, propKeys, "require"));
+    const missing = keys.filter(key => key && !getPath(obj, key));
     if (missing?.length > 0) {
-      throw new Error(`missing required properties: ${missing}`);
+      throw new ValidationError(missing.map(key => violation("require", key)));
     }
   }
   return {
@@ -380,22 +985,26 @@ export const requireProperties = (...propKeys) => o => {
       name: requireProperties.name,
       output: enableValidation.onCreateAndUpdate,
       order: 75,
+      args: propKeys,
     }),
   };
 };
 
 /**
- * Hash passwords.
- * @param {*} hash hash algorithm
+ * Hash passwords with scrypt and a random salt, see `hashPassword`.
+ * Adds `verifyPassword`, which upgrades legacy or outdated hashes
+ * when the password is correct.
  * @param  {Array<string | function(*):string | RegExp>} propKeys name of password props
  */
 export const hashPasswords = (...propKeys) => o => {
-  const keys = parseKeys(o, ...propKeys);
-
-  function hashPwds(obj) {
-    return keys
-      .map(key => (obj[key] ? { [key]: hash(obj[key]) } : {}))
-      .reduce((p, c) => ({ ...p, ...c }));
+  async function hashPwds(obj) {
+    const paths = parseKeys(obj, ...propKeys).filter(
+      path => path && getPath(obj, path)
+    );
+    const hashes = await Promise.all(
+      paths.map(path => hashPassword(getPath(obj, path)))
+    );
+    return mapPaths(obj, paths, (value, path) => hashes[paths.indexOf(path)]);
   }
 
   return {
@@ -403,12 +1012,340 @@ export const hashPasswords = (...propKeys) => o => {
       return hashPwds(this);
     },
 
+    /**
+     * Check a password, e.g. when the user logs in. If it's correct,
+     * but hashed with SHA-1 or outdated parameters, hash it again
+     * and save the model.
+     * @param {string} password
+     * @param {string} [propKey] - defaults to the first password property
+     * @returns {Promise<boolean>}
+     */
+    async verifyPassword(password, propKey = parseKeys(this, ...propKeys)[0]) {
+      const stored = propKey && getPath(this, propKey);
+      const verified = await verifyPassword(password, stored);
+
+      if (verified && needsRehash(stored)) {
+        const [key, ...rest] = splitPath(propKey);
+        await this.update(
+          {
+            [key]: setPath(this[key], rest, await hashPassword(password)),
+            ...nextVersion(this),
+          },
+          false
+        );
+      }
+      return verified;
+    },
+
     ...addValidation({
       model: o,
       name: hashPasswords.name,
       input: enableValidation.onUpdate,
       output: enableValidation.onCreate,
       order: 80,
+      args: propKeys,
+    }),
+  };
+};
+
+/**
+ * Serialized data of a model without the values only the host has use
+ * for: ciphertext and password hashes, see `encryptProperties` and
+ * `hashPasswords`. Values changed in `data`, e.g. decrypted for the
+ * caller by `mask`, are kept.
+ * @param {Model} model
+ * @param {Object} [data] - the model as JSON by default
+ * @returns {Object}
+ */
+export function withoutSecrets(
+  model,
+  data = JSON.parse(JSON.stringify(model))
+) {
+  const secrets = [encryptProperties.name, hashPasswords.name];
+
+  return (model[validations] || [])
+    .filter(v => secrets.includes(v.name))
+    .flatMap(v => parseKeys(model, ...(v.args || [])))
+    .filter(
+      path =>
+        getPath(model, path) != null &&
+        getPath(data, path) === getPath(model, path)
+    )
+    .reduce((o, path) => setPath(o, splitPath(path), undefined), data);
+}
+
+/**
+ * Built-in masks, passed the decrypted value.
+ */
+const masks = {
+  /** all but the last 4 digits, e.g. `**** **** **** 1234` */
+  card: value => {
+    let keep = 4;
+    return value
+      .split("")
+      .reverse()
+      .map(c => (/\d/.test(c) && keep-- <= 0 ? "*" : c))
+      .reverse()
+      .join("");
+  },
+  /** first letter and domain, e.g. `j***@example.com` */
+  email: value => value.replace(/^(.)[^@]*@/, "$1***@"),
+  /** city and state, e.g. `Bloomington, MN` */
+  address: value => {
+    const [city, region = ""] = value.split(",").slice(-2);
+    return [city, region.trim().split(/\s+/)[0]]
+      .map(part => part.trim())
+      .filter(part => part)
+      .join(", ");
+  },
+  /** last 4 characters, e.g. `***1234` */
+  last4: value => `***${value.slice(-4)}`,
+};
+
+/**
+ * @typedef {{
+ *  mask: "card"|"email"|"address"|"last4"|function(string):string,
+ *  clear?: string[],
+ *  masked?: string[]
+ * }} fieldMask - roles that see the value in the `clear`, or `masked`
+ */
+
+/**
+ * Mask properties when the model is serialized for a caller, based on
+ * the caller's roles, as named in the spec's `accessControlList`. Roles
+ * listed in `clear` see the decrypted value, those in `masked` see it
+ * masked and everyone else sees it redacted, never the ciphertext.
+ * The API serves models through `mask`, see `makeApi`, but `toJSON`
+ * is left alone: models are also serialized to be saved.
+ * @param {{[propKey:string]:fieldMask}} fields - properties to mask,
+ * keyed by name or path
+ * @returns {functionalMixin}
+ */
+export const maskProperties = fields => o => {
+  const show = (roles, field, value) => {
+    if (typeof value !== "string" || value === ERASED) return value;
+    if (field.clear?.some(role => roles.includes(role))) {
+      return isEncrypted(value) ? decrypt(value) : value;
+    }
+    if (field.masked?.some(role => roles.includes(role))) {
+      const plain = isEncrypted(value) ? decrypt(value) : value;
+      return typeof field.mask === "function"
+        ? field.mask(plain)
+        : masks[field.mask](plain);
+    }
+    return REDACTED;
+  };
+
+  return {
+    /**
+     * Serialize the model for a caller with `roles`.
+     * @param  {...string} roles
+     * @returns {Object}
+     */
+    mask(...roles) {
+      const data = JSON.parse(JSON.stringify(this));
+      const masked = Object.entries(fields).reduce(
+        (changes, [propKey, field]) => ({
+          ...changes,
+          ...mapPaths(
+            { ...data, ...changes },
+            parseKeys(data, propKey),
+            value => show(roles, field, value)
+          ),
+        }),
+        {}
+      );
+      return { ...data, ...masked };
+    },
+
+    ...addConfig({
+      model: o,
+      name: maskProperties.name,
+      args: fields,
+    }),
+  };
+};
+
+/**
+ * Property holding the audit trail of a model.
+ */
+const HISTORY = "history";
+
+/**
+ * Serializable properties of a model, other than its history.
+ */
+function auditedData(obj) {
+  const { [HISTORY]: history, ...data } = JSON.parse(JSON.stringify(obj));
+  return data;
+}
+
+/**
+ * Properties that differ between `before` and `after`.
+ * @returns {{[propKey:string]:{from:*,to:*}}}
+ */
+function diff(before, after) {
+  return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(key => !util.isDeepStrictEqual(before[key], after[key]))
+    .reduce(
+      (changes, key) => ({
+        ...changes,
+        [key]: { from: before[key] ?? null, to: after[key] ?? null },
+      }),
+      {}
+    );
+}
+
+/**
+ * @typedef {{
+ *  revision:number,
+ *  at:string,
+ *  user:string|null,
+ *  via:string,
+ *  event:"create"|"update",
+ *  changes:{[propKey:string]:{from:*,to:*}}
+ * }} auditEntry
+ */
+
+/**
+ * Marks a model being created, see `auditTrail`.
+ */
+const creating = Symbol("creating");
+
+/**
+ * Keep an audit trail of every change to the model in its `history`:
+ * which properties changed, from what and to what, when, by whom and
+ * through which port or command, as passed in `auditContext`. Values
+ * are recorded as saved, i.e. encrypted properties stay encrypted.
+ * Any `history` in the changes, or in the input of a new model, is
+ * ignored, so it can't be rewritten.
+ * @returns {functionalMixin}
+ */
+export const auditTrail = () => o => {
+  const model = addValidation({
+    model: o,
+    name: "startAuditTrail",
+    output: enableValidation.onCreate,
+    order: 99,
+  });
+
+  return {
+    startAuditTrail() {
+      return { [creating]: true };
+    },
+
+    auditTrail() {
+      // the first entry records the whole model, so any revision can be
+      // restored, even for models saved before they were audited
+      const history = this[creating] ? [] : this[prevmodel]?.[HISTORY] || [];
+      const prev = history.length > 0 ? this[prevmodel] : null;
+      const changes = diff(prev ? auditedData(prev) : {}, auditedData(this));
+
+      if (Object.keys(changes).length < 1) {
+        return {
+          [HISTORY]: history,
+          [auditContext]: undefined,
+          [creating]: undefined,
+        };
+      }
+
+      const { user = null, via = "api" } = this[auditContext] || {};
+      return {
+        // the context applies to this change only
+        [auditContext]: undefined,
+        [creating]: undefined,
+        [HISTORY]: [
+          ...history,
+          {
+            revision: history.length + 1,
+            at: new Date().toISOString(),
+            user,
+            via,
+            event: prev ? "update" : "create",
+            changes,
+          },
+        ],
+      };
+    },
+
+    /**
+     * The audit trail, with encrypted values redacted.
+     * @returns {auditEntry[]}
+     */
+    getHistory() {
+      const redact = value => (isEncrypted(value) ? REDACTED : value);
+
+      return (this[HISTORY] || []).map(entry => ({
+        ...entry,
+        changes: Object.entries(entry.changes).reduce(
+          (changes, [key, { from, to }]) => ({
+            ...changes,
+            [key]: { from: redact(from), to: redact(to) },
+          }),
+          {}
+        ),
+      }));
+    },
+
+    /**
+     * Restore properties to their values at an earlier revision. The
+     * update is validated like any other, so e.g. frozen properties
+     * can't be reverted.
+     * @param {number} [revision] - defaults to the one before the last
+     * @param {string[]} [propKeys] - defaults to those changed since
+     * @param {{user?:string,roles?:string[]}} [context] - who is
+     * reverting, see `auditContext`
+     * @returns {Promise<Model>}
+     */
+    async revert(revision, propKeys, { user = null, roles } = {}) {
+      const history = this[HISTORY] || [];
+      const target = revision ?? history.length - 1;
+
+      if (!Number.isInteger(target) || target < 1 || target > history.length) {
+        throw new Error(`no revision ${target} in history`);
+      }
+
+      const state = history
+        .slice(0, target)
+        .reduce(
+          (state, entry) =>
+            Object.entries(entry.changes).reduce(
+              (s, [key, { to }]) => ({ ...s, [key]: to }),
+              state
+            ),
+          {}
+        );
+
+      const keys = propKeys || [
+        ...new Set(
+          history.slice(target).flatMap(entry => Object.keys(entry.changes))
+        ),
+      ];
+
+      // encryptProperties encrypts the values again
+      const changes = keys.reduce(
+        (changes, key) => ({
+          ...changes,
+          [key]: isEncrypted(state[key])
+            ? decrypt(state[key])
+            : state[key] ?? null,
+        }),
+        {}
+      );
+
+      return this.update(
+        {
+          ...changes,
+          [auditContext]: { user, roles, via: `revert:${target}` },
+        },
+        true
+      );
+    },
+
+    ...addValidation({
+      model,
+      name: auditTrail.name,
+      output: enableValidation.onCreateAndUpdate,
+      order: 100,
     }),
   };
 };
@@ -427,7 +1364,9 @@ export const allowProperties = (...propKeys) => o => {
     const unknownProps = Object.keys(o).filter(key => !allowList.includes(key));
 
     if (unknownProps?.length > 0) {
-      throw new Error(`invalid properties: ${unknownProps}`);
+      throw new ValidationError(
+        unknownProps.map(key => violation("allow", key, o[key]))
+      );
     }
   }
 
@@ -441,6 +1380,7 @@ export const allowProperties = (...propKeys) => o => {
       name: "rejectUnknownProperties",
       input: enableValidation.onUpdate,
       order: 15,
+      args: propKeys,
     }),
   };
 };
@@ -450,11 +1390,11 @@ export const allowProperties = (...propKeys) => o => {
  */
 export const RegEx = {
   email: /^(.+)@(.+){2,}\.(.+){2,}$/,
-  ipv4Address: /^([01]?[0-9]?[0-9]|2[0-4][0-9]|25[0-5])\\.([01]?[0-9]?[0-9]|2[0-4][0-9]|25[0-5])\\.([01]?[0-9]?[0-9]|2[0-4][0-9]|25[0-5])\\.([01]?[0-9]?[0-9]|2[0-4][0-9]|25[0-5])$/,
+  ipv4Address: /^([01]?[0-9]?[0-9]|2[0-4][0-9]|25[0-5])\.([01]?[0-9]?[0-9]|2[0-4][0-9]|25[0-5])\.([01]?[0-9]?[0-9]|2[0-4][0-9]|25[0-5])\.([01]?[0-9]?[0-9]|2[0-4][0-9]|25[0-5])$/,
   ipv6Address: /^((?:[0-9A-Fa-f]{1,4}))((?::[0-9A-Fa-f]{1,4}))*::((?:[0-9A-Fa-f]{1,4}))((?::[0-9A-Fa-f]{1,4}))*|((?:[0-9A-Fa-f]{1,4}))((?::[0-9A-Fa-f]{1,4})){7}$/,
   phone: /^[1-9]\d{2}-\d{3}-\d{4}/,
   creditCard: /^(?:4[0-9]{12}(?:[0-9]{3})?|[25][1-7][0-9]{14}|6(?:011|5[0-9][0-9])[0-9]{12}|3[47][0-9]{13}|3(?:0[0-5]|[68][0-9])[0-9]{11}|(?:2131|1800|35\d{3})\d{11})$/,
-  ssn: /^(?!666|000|9\\d{2})\\d{3}-(?!00)\\d{2}-(?!0{4})\\d{4}$/,
+  ssn: /^(?!666|000|9\d{2})\d{3}-(?!00)\d{2}-(?!0{4})\d{4}$/,
   /**
    * Allow caller to pass a keyword that refers to one of the regex above
    * @param {regexType} expr
@@ -477,21 +1417,77 @@ export const RegEx = {
  *
  * @typedef {'email'|'phone'|'ipv4Address'|'ipv6Address'|'creditCard'|'ssn'|RegExp} regexType
  *
+ * @typedef {string|{name:string,[option:string]:*}} validatorRef - name
+ * of a validator added with `registerValidator`, with any options, e.g.
+ * `{ name: "postalCode", countryKey: "shippingCountry" }`. Built-in:
+ * "creditCard" (Luhn, brand), "phone" (E.164), "iban", "postalCode"
+ * and "currency" (ISO 4217)
+ *
  * @typedef {{
  *  propKey:string,
  *  isValid?:isValid,
  *  values?:any[],
  *  regex?:regexType,
+ *  validator?:validatorRef,
  *  maxlen?:number
  *  maxnum?:number
  *  typeof?:string
  *  unique?:{ encrypted:boolean }
- * }} validation
+ *  when?:condition
+ * }} validation - `when` validates the property only if the
+ * condition holds, see `matchesCondition`
  */
 
+/**
+ * Check that no other saved model has the value, then reserve it in
+ * the model's unique index, so a concurrent writer can't claim it
+ * before the model is saved. Encrypted values are compared by their
+ * `blindIndex`, since the same value never encrypts the same way twice.
+ * Saved models hold theirs in `UNIQUE_KEYS`, so only models saved
+ * before it was added need to be decrypted.
+ * @param {validation} v validation config
+ * @param {Object} o model or input data being validated
+ * @param {*} propVal value to check
+ * @returns {boolean} true if the value is unique
+ */
 function evaluateUniqueness(v, o, propVal) {
-  const compareVal = v.unique.encrypted ? encrypt(propVal) : propVal;
-  return o.listSync({ [v.propKey]: compareVal }).length < 1;
+  const model = o[modelRef] || o;
+  const id = model.getId?.();
+  const modelName = model.getName?.();
+  const plain = value => (isEncrypted(value) ? decrypt(value) : value);
+  const compareVal = v.unique.encrypted ? blindIndex(plain(propVal)) : propVal;
+
+  const indexed = m =>
+    m[UNIQUE_KEYS]
+      ? m[UNIQUE_KEYS][v.propKey]
+      : m[v.propKey] && blindIndex(plain(m[v.propKey]));
+
+  const saved = (
+    (v.unique.encrypted
+      ? model.listSync?.({})?.filter(m => indexed(m) === compareVal)
+      : model.listSync?.({ [v.propKey]: compareVal })) || []
+  ).filter(m => !id || m.getId?.() !== id);
+
+  if (saved.length > 0) return false;
+  if (!id || !modelName) return true;
+
+  return (
+    uniqueIndex(modelName).reserve(id, { [v.propKey]: compareVal }).length < 1
+  );
+}
+
+/**
+ * Release the unique values reserved while validating a model
+ * that failed validation.
+ * @param {Model} model
+ */
+function releaseUniqueKeys(model) {
+  const id = model.getId?.();
+  const modelName = model.getName?.();
+
+  if (id && modelName) {
+    uniqueIndex(modelName).release(id, { pendingOnly: true });
+  }
 }
 
 /**
@@ -502,11 +1498,36 @@ const Validator = {
     isValid: (v, o, propVal) => v.isValid(o, propVal),
     values: (v, o, propVal) => v.values.includes(propVal),
     regex: (v, o, propVal) => RegEx.test(v.regex, propVal),
+    // the owner as updated, e.g. for the saved country of a postal code
+    validator: (v, o, propVal) =>
+      runValidator(v.validator, propVal, { ...o[prevmodel], ...o }),
     typeof: (v, o, propVal) => v.typeof === typeof propVal,
     maxnum: (v, o, propVal) => v.maxnum + 1 > propVal,
     maxlen: (v, o, propVal) => v.maxlen + 1 > propVal.length,
     unique: (v, o, propVal) => evaluateUniqueness(v, o, propVal),
   },
+  /**
+   * Returns the tests that fail. A test that throws fails
+   * with the message of the error.
+   * @param {validation} v validation config
+   * @param {Object} o object to compose
+   * @param {*} propVal value of property to validate
+   * @returns {{rule:string,message?:string}[]} failed tests
+   */
+  failedTests(v, o, propVal) {
+    // run the tests specified in `v`
+    return Object.keys(this.tests)
+      .filter(key => v[key])
+      .reduce((failed, key) => {
+        try {
+          return this.tests[key](v, o, propVal)
+            ? failed
+            : [...failed, { rule: key }];
+        } catch (error) {
+          return [...failed, { rule: key, message: error.message }];
+        }
+      }, []);
+  },
   /**
    * Returns true if tests pass.
    * @param {validation} v validation config
@@ -515,13 +1536,7 @@ const Validator = {
    * @returns {boolean} true if tests pass
    */
   isValid(v, o, propVal) {
-    return Object.keys(this.tests).every(key => {
-      if (v[key]) {
-        // the test `key` is specified, run it
-        return this.tests[key](v, o, propVal);
-      }
-      return true;
-    });
+    return this.failedTests(v, o, propVal).length < 1;
   },
 };
 
@@ -529,23 +1544,33 @@ const Validator = {
  * Verify a property value is a member of a list,
  * is unique within a set of model instances,
  * is of a certain length, size or type,
- * matches a regular expression,
+ * matches a regular expression, passes a registered validator,
  * or satisfies a custom validation function.
  * @param {validation[]} validations
  */
 export const validateProperties = validations => o => {
   function validate(obj) {
-    const invalid = validations.filter(v => {
-      const propVal = obj[v.propKey];
-
-      if (!propVal) {
-        return false;
-      }
-      return !Validator.isValid(v, obj, propVal);
-    });
+    const updated = { ...obj[prevmodel], ...obj };
+    const enabled = validations.filter(
+      v => !v.when || matchesCondition(v.when, updated)
+    );
+    const invalid = enabled.flatMap(v =>
+      parseKeys(obj, v.propKey).flatMap(path => {
+        const propVal = getPath(obj, path);
+
+        if (!propVal) {
+          return [];
+        }
+        return Validator.failedTests(
+          { ...v, propKey: path },
+          obj,
+          propVal
+        ).map(test => violation(test.rule, path, propVal, test.message));
+      })
+    );
 
     if (invalid?.length > 0) {
-      throw new Error(`invalid value for ${[...invalid.map(v => v.propKey)]}`);
+      throw new ValidationError(invalid);
     }
   }
 
@@ -560,6 +1585,305 @@ export const validateProperties = validations => o => {
       input: enableValidation.onUpdate,
       output: enableValidation.onCreate,
       order: 90,
+      args: validations,
+    }),
+  };
+};
+
+/**
+ * @typedef {{
+ *  name:string,
+ *  fields:string[],
+ *  isValid:function(...*):boolean | condition,
+ *  message?:string
+ * }} crossFieldRule - `isValid` is passed the values of `fields`, in
+ * order, or is a condition the model must meet, see `matchesCondition`
+ */
+
+/**
+ * Validate combinations of properties, e.g. a billing address is
+ * required when a card number is given. Each rule declares the
+ * `fields` it reads. All rules run when the model is created. On
+ * update, a rule runs if any of its fields change, including computed
+ * ones. A violation names every field of the rule that failed.
+ * @param {crossFieldRule[]} rules
+ */
+export const crossValidateProperties = rules => o => {
+  function validate(obj, enabled) {
+    const failed = enabled.filter(r =>
+      typeof r.isValid === "function"
+        ? !r.isValid(...r.fields.map(f => getPath(obj, f)))
+        : !matchesCondition(r.isValid, obj)
+    );
+    if (failed.length > 0) {
+      throw new ValidationError(
+        failed.map(r => ({
+          ...violation(
+            "crossField",
+            undefined,
+            undefined,
+            r.message || `invalid combination of ${r.fields.join(", ")}`
+          ),
+          name: r.name,
+          propKeys: r.fields,
+        }))
+      );
+    }
+  }
+
+  function revalidate(changes) {
+    const prev = changes[prevmodel];
+    const updated = { ...prev, ...changes };
+    const changed = f =>
+      splitPath(f)[0] in changes &&
+      !util.isDeepStrictEqual(getPath(updated, f), getPath(prev, f));
+
+    validate(
+      updated,
+      rules.filter(r => r.fields.some(changed))
+    );
+  }
+
+  // after computed properties are recomputed, see `computeProperties`
+  const model = addValidation({
+    model: o,
+    name: "recrossValidateProperties",
+    input: enableValidation.onUpdate,
+    order: 95,
+  });
+
+  return {
+    crossValidateProperties() {
+      validate(this, rules);
+    },
+
+    recrossValidateProperties() {
+      revalidate(this);
+    },
+
+    ...addValidation({
+      model,
+      name: crossValidateProperties.name,
+      output: enableValidation.onCreate,
+      order: 95,
+      args: rules,
+    }),
+  };
+};
+
+/**
+ * @typedef {{
+ *  type:"string"|"number"|"integer"|"boolean"|"date"|"object"|"array"|"any",
+ *  enum?:any[],
+ *  min?:number|string,
+ *  max?:number|string,
+ *  required?:boolean,
+ *  default?:*,
+ *  properties?:{[x:string]:fieldSchema},
+ *  items?:fieldSchema
+ * }} fieldSchema - `min` and `max` bound the value of numbers and
+ * dates, and the length of strings and arrays. `default` can be a
+ * function, called to get the value.
+ */
+
+const numeric = /^\s*-?\d+(\.\d+)?([eE][+-]?\d+)?\s*$/;
+
+const toNumber = v => (typeof v === "string" && numeric.test(v) ? +v : v);
+
+const isDate = v => typeof v === "string" && !isNaN(Date.parse(v));
+
+/**
+ * Test and safely coerce values of each type. Coercion only converts
+ * values that represent the type exactly, e.g. "12" to 12 but not
+ * "12px", as HTTP bodies and query strings often carry strings.
+ */
+const schemaTypes = {
+  string: { test: v => typeof v === "string" },
+  number: {
+    test: v => typeof v === "number" && isFinite(v),
+    coerce: toNumber,
+  },
+  integer: { test: v => Number.isInteger(v), coerce: toNumber },
+  boolean: {
+    test: v => typeof v === "boolean",
+    coerce: v => ({ true: true, false: false }[v] ?? v),
+  },
+  date: {
+    test: isDate,
+    coerce: v =>
+      v instanceof Date || typeof v === "number" || isDate(v)
+        ? new Date(v).toISOString()
+        : v,
+  },
+  object: { test: v => isObject(v) && !Array.isArray(v) },
+  array: { test: v => Array.isArray(v) },
+  any: { test: () => true },
+};
+
+/**
+ * The measure `min` and `max` apply to.
+ */
+function measure(field, value) {
+  if (["string", "array"].includes(field.type)) return value.length;
+  if (field.type === "date") return Date.parse(value);
+  return value;
+}
+
+function bound(field, limit) {
+  return field.type === "date" ? Date.parse(limit) : limit;
+}
+
+/**
+ * Check a value against its schema, coercing it if need be.
+ * @param {fieldSchema} field
+ * @param {*} value
+ * @param {string} path - path of the value, used in violations
+ * @returns {{value:*,violations:import("./validation-error").violation[]}}
+ */
+function checkField(field, value, path) {
+  if (value === undefined || value === null) {
+    if (field.default !== undefined) {
+      const value =
+        typeof field.default === "function" ? field.default() : field.default;
+      return { value, violations: [] };
+    }
+    return {
+      value,
+      violations: field.required ? [violation("require", path)] : [],
+    };
+  }
+
+  const type = schemaTypes[field.type] || schemaTypes.any;
+  const coerced = type.coerce ? type.coerce(value) : value;
+
+  if (!type.test(coerced)) {
+    return {
+      value,
+      violations: [
+        violation("type", path, value, `${path} must be of type ${field.type}`),
+      ],
+    };
+  }
+
+  const violations = [
+    ...(field.enum && !field.enum.includes(coerced)
+      ? [violation("values", path, coerced)]
+      : []),
+    ...(field.min !== undefined &&
+    measure(field, coerced) < bound(field, field.min)
+      ? [violation("min", path, coerced, `${path} is less than ${field.min}`)]
+      : []),
+    ...(field.max !== undefined &&
+    measure(field, coerced) > bound(field, field.max)
+      ? [violation("max", path, coerced, `${path} exceeds ${field.max}`)]
+      : []),
+  ];
+
+  if (field.type === "object" && field.properties) {
+    const nested = checkObject(field.properties, coerced, path, true);
+    return {
+      value: { ...coerced, ...nested.value },
+      violations: [...violations, ...nested.violations],
+    };
+  }
+
+  if (field.type === "array" && field.items) {
+    const items = coerced.map((item, index) =>
+      checkField(field.items, item, `${path}[${index}]`)
+    );
+    return {
+      value: items.map(i => i.value),
+      violations: [...violations, ...items.flatMap(i => i.violations)],
+    };
+  }
+
+  return { value: coerced, violations };
+}
+
+/**
+ * Check the properties of an object against a schema.
+ * @param {{[x:string]:fieldSchema}} schema
+ * @param {Object} obj
+ * @param {string} path - path of `obj`, empty at the top level
+ * @param {boolean} complete - check every property in the schema,
+ * rather than only those present, e.g. on update
+ * @returns {{value:Object,violations:import("./validation-error").violation[]}}
+ * the checked properties, coerced and with defaults applied
+ */
+function checkObject(schema, obj, path, complete) {
+  const results = Object.keys(schema)
+    .filter(key => complete || key in obj)
+    .map(key => ({
+      key,
+      ...checkField(schema[key], obj[key], path ? `${path}.${key}` : key),
+    }));
+
+  return {
+    value: results
+      .filter(r => r.value !== undefined)
+      .reduce((p, r) => ({ ...p, [r.key]: r.value }), {}),
+    violations: results.flatMap(r => r.violations),
+  };
+}
+
+/**
+ * Declare the type and constraints of each property, including
+ * nested objects and array items. Values that safely convert to
+ * the declared type, e.g. numeric strings, are coerced, and missing
+ * properties get their `default` when the model is created.
+ * On update, only the properties being changed are checked.
+ *
+ * ```js
+ * defineSchema({
+ *   orderItems: {
+ *     type: "array",
+ *     min: 1,
+ *     items: {
+ *       type: "object",
+ *       properties: {
+ *         itemId: { type: "string", required: true },
+ *         price: { type: "number", min: 0, required: true },
+ *         qty: { type: "integer", min: 1, default: 1 },
+ *       },
+ *     },
+ *   },
+ * })
+ * ```
+ * @param {{[x:string]:fieldSchema}} schema
+ */
+export const defineSchema = schema => o => {
+  function check(obj, complete) {
+    const { value, violations } = checkObject(schema, obj, "", complete);
+
+    if (violations.length > 0) {
+      throw new ValidationError(violations);
+    }
+    return value;
+  }
+
+  // check just the changes on update
+  const model = addValidation({
+    model: o,
+    name: "checkSchemaChanges",
+    input: enableValidation.onUpdate,
+    order: 10,
+  });
+
+  return {
+    checkSchemaChanges() {
+      return check(this, false);
+    },
+
+    defineSchema() {
+      return check(this, true);
+    },
+
+    ...addValidation({
+      model,
+      name: defineSchema.name,
+      output: enableValidation.onCreate,
+      order: 10,
+      args: schema,
     }),
   };
 };
@@ -601,37 +1925,466 @@ export const updateProperties = updaters => o => {
       name: updateProperties.name,
       input: enableValidation.onUpdate,
       order: 35,
+      args: updaters,
+    }),
+  };
+};
+
+/**
+ * @typedef {{
+ *  propKey: string,
+ *  inputs: string[],
+ *  compute: function(...any):any
+ * }} computedProperty - `compute` is a pure function called with the
+ * values of the `inputs`, in the order they're listed
+ */
+
+/**
+ * Order computed properties so that any property used as an input
+ * to another is computed first.
+ * @param {computedProperty[]} computed
+ * @returns {computedProperty[]}
+ */
+function sortByDependency(computed) {
+  const sorted = [];
+
+  function visit(c, path = []) {
+    if (sorted.includes(c)) return;
+    if (path.includes(c)) {
+      throw new Error(
+        `circular dependency: ${[...path, c].map(p => p.propKey).join(" > ")}`
+      );
+    }
+    computed
+      .filter(d => c.inputs.includes(d.propKey))
+      .forEach(d => visit(d, [...path, c]));
+    sorted.push(c);
+  }
+
+  computed.forEach(c => visit(c));
+  return sorted;
+}
+
+/**
+ * Derive properties from other properties. Each computed property
+ * declares the `inputs` it depends on. All computed properties are
+ * set when the model is created. On update, a property is recomputed
+ * if any of its inputs change, including inputs that are themselves
+ * computed. Computed properties are read-only: updates that try to set
+ * them are rejected.
+ * @param {computedProperty[]} computed
+ */
+export const computeProperties = computed => o => {
+  const sorted = sortByDependency(computed);
+  const computedKeys = computed.map(c => c.propKey);
+
+  function compute(obj, changed) {
+    return sorted.reduce((values, c) => {
+      if (changed && !c.inputs.some(key => changed.includes(key))) {
+        return values;
+      }
+      if (changed) changed.push(c.propKey);
+      const current = { ...obj, ...values };
+      return {
+        ...values,
+        [c.propKey]: c.compute(...c.inputs.map(key => current[key])),
+      };
+    }, {});
+  }
+
+  function recompute(changes) {
+    const readonly = Object.keys(changes).filter(key =>
+      computedKeys.includes(key)
+    );
+    if (readonly.length > 0) {
+      throw new ValidationError(
+        readonly.map(key => violation("computed", key, changes[key]))
+      );
+    }
+    return compute({ ...changes[prevmodel], ...changes }, Object.keys(changes));
+  }
+
+  // recompute on update, when the caller's changes are validated
+  const model = addValidation({
+    model: o,
+    name: "recomputeProperties",
+    input: enableValidation.onUpdate,
+    order: 35,
+  });
+
+  return {
+    computeProperties() {
+      return compute(this);
+    },
+
+    recomputeProperties() {
+      return recompute(this);
+    },
+
+    ...addValidation({
+      model,
+      name: computeProperties.name,
+      output: enableValidation.onCreate,
+      order: 35,
+      args: computed,
     }),
   };
 };
 
+/**
+ * @typedef {string|function(Model):boolean|condition} guard - name of
+ * a model method, a function passed the model, or a condition the
+ * model must meet, see `matchesCondition`
+ *
+ * @typedef {{
+ *  guard?:guard,
+ *  acl?:string[],
+ *  desc?:string
+ * }} transition - `acl` lists the permissions a role needs to make the
+ * transition, see `accessControlList`
+ *
+ * @typedef {{
+ *  transitions?:{[state:string]:transition},
+ *  entry?:function(Model):Promise<*>,
+ *  exit?:function(Model):Promise<*>,
+ *  terminal?:boolean,
+ *  desc?:string
+ * }} state - `entry` and `exit` actions run once the model is saved
+ * in, or out of, the state
+ *
+ * @typedef {{
+ *  propKey:string,
+ *  initial:string,
+ *  states:{[state:string]:state}
+ * }} stateMachineConfig
+ */
+
+/**
+ * Does the model pass the guard of a transition?
+ * @param {guard} [guard]
+ * @param {Model} model
+ */
+function passesGuard(guard, model) {
+  if (!guard) return true;
+  if (typeof guard === "string") return !!model[guard]?.();
+  if (typeof guard === "function") return !!guard(model);
+  return matchesCondition(guard, model);
+}
+
+/**
+ * Does the access control list give any of `roles` all `permissions`?
+ * Permissions granted by functions can't be known in advance, so
+ * they aren't.
+ * @param {string[]} [permissions]
+ * @param {string|string[]} [roles]
+ * @param {{[name:string]:{allow?:*,deny?:*,type:string}}} acl
+ */
+export function rolesAllow(permissions, roles = [], acl = {}) {
+  if (!permissions || permissions.length < 1) return true;
+
+  const list = p => (Array.isArray(p) ? p : p ? [p] : []);
+
+  return list(roles).some(role => {
+    const entry = acl[role];
+    if (entry?.type !== "role") return false;
+
+    const allowed = list(entry.allow);
+    const denied = list(entry.deny);
+
+    return permissions.every(
+      p =>
+        (allowed.includes("*") || allowed.includes(p)) &&
+        !denied.includes("*") &&
+        !denied.includes(p)
+    );
+  });
+}
+
+/**
+ * Allow the property `propKey` to change only from one state to another
+ * listed in its `transitions`, if the transition's guard passes and, if
+ * the transition has an `acl`, one of the caller's `roles` passed in
+ * `auditContext` has its permissions. Changes without roles, e.g. by
+ * ports and commands that don't say on whose behalf they run, only make
+ * transitions without an `acl`. Nothing leaves a `terminal` state. Adds:
+ *
+ * - `transitions(roles, acl)`, listing the states the model can move to
+ * now, those needing permissions limited to what the roles are allowed
+ * in `acl`.
+ * - `enterState()`, running the `exit` action of the previous state and
+ * the `entry` action of the current one. Call it once the model is saved.
+ *
+ * @param {stateMachineConfig} machine
+ * @param {{[name:string]:{allow?:*,deny?:*,type:string}}} [acl] - the
+ * `accessControlList` of the spec
+ */
+export const stateMachine = (machine, acl) => o => {
+  const { propKey, states } = machine;
+
+  function checkTransition(obj) {
+    const from = obj[prevmodel]?.[propKey];
+    const to = obj[propKey];
+
+    if (!states[to]) {
+      throw new ValidationError([
+        violation("transition", propKey, to, `unknown ${propKey}: ${to}`),
+      ]);
+    }
+    if (!from || from === to) return;
+
+    const transition = states[from]?.transitions?.[to];
+    if (!transition || states[from].terminal) {
+      throw new ValidationError([
+        violation(
+          "transition",
+          propKey,
+          to,
+          `cannot change ${propKey} from ${from} to ${to}`
+        ),
+      ]);
+    }
+    if (!passesGuard(transition.guard, obj)) {
+      throw new ValidationError([
+        violation(
+          "transition",
+          propKey,
+          to,
+          `guard of ${from} to ${to} failed` +
+            (typeof transition.guard === "string"
+              ? `: ${transition.guard}`
+              : "")
+        ),
+      ]);
+    }
+
+    const { roles } = obj[auditContext] || {};
+    if (!rolesAllow(transition.acl, roles, acl)) {
+      throw new ValidationError([
+        violation(
+          "acl",
+          propKey,
+          to,
+          `${from} to ${to} requires ${transition.acl.join(", ")}`
+        ),
+      ]);
+    }
+  }
+
+  return {
+    stateMachine() {
+      checkTransition(this);
+    },
+
+    transitions(roles, acl) {
+      const state = states[this[propKey]];
+      if (!state || state.terminal) return [];
+
+      return Object.entries(state.transitions || {})
+        .filter(([, t]) => rolesAllow(t.acl, roles, acl))
+        .filter(([, t]) => passesGuard(t.guard, this))
+        .map(([to, t]) => ({ state: to, ...(t.desc ? { desc: t.desc } : {}) }));
+    },
+
+    async enterState() {
+      const from = this[prevmodel]?.[propKey];
+      const to = this[propKey];
+
+      if (from && from !== to) await states[from]?.exit?.(this);
+      return states[to]?.entry?.(this);
+    },
+
+    ...addValidation({
+      model: o,
+      name: stateMachine.name,
+      output: enableValidation.onCreateAndUpdate,
+      order: 80,
+      args: machine,
+    }),
+  };
+};
+
+/**
+ * Undo the completed steps of the model's workflow, see `withSagaLog`.
+ * Adds `compensate()`, which runs the `undo` functions of the ports of
+ * completed steps, most recent first, `getSagaLog()`, the state of
+ * each step, and `eraseSagaLog()`. Added by the framework to models
+ * with ports that have an `undo` function.
+ * @param {string} modelName
+ * @param {import(".").ports} ports
+ * @param {{retries?:number,delay?:number}} [options] - retries of each undo
+ */
+export const sagaLog = (modelName, ports, options = {}) => o => {
+  return {
+    compensate() {
+      return compensate(this, { ...options, modelName, ports });
+    },
+
+    getSagaLog() {
+      return sagaState({ modelName, id: this.getId() });
+    },
+
+    /**
+     * Overwrite the payloads of the steps, see `erasePersonalInfo`.
+     * @param {string} erased
+     */
+    eraseSagaLog(erased) {
+      return eraseSagaLog({ modelName, id: this.getId() }, erased);
+    },
+
+    ...addConfig({
+      model: o,
+      name: sagaLog.name,
+      args: Object.keys(ports).filter(port => ports[port].undo),
+    }),
+  };
+};
+
+/**
+ * @typedef {{
+ *  version: number,
+ *  migrate: function(Object):Object,
+ *  desc?: string
+ * }} migration - returns the changes needed to bring a model
+ * saved under an earlier version of the spec up to `version`
+ */
+
+/**
+ * Key of the property holding the spec version a model was saved under.
+ * Models saved before the spec was versioned don't have it (version 0).
+ */
+export const schemaVersion = "schemaVersion";
+
+/**
+ * Upgrade models saved under an earlier version of the spec. When a
+ * saved model is loaded, the migrations between its version and the
+ * current `version` run in order. The current version is stamped on the
+ * model, so it is stored on the next save. New models get the current
+ * version when they're created.
+ * @param {number} version - current version of the spec
+ * @param {migration[]} migrations
+ */
+export const migrateModel = (version, migrations = []) => o => {
+  const sorted = [...migrations].sort((a, b) => a.version - b.version);
+
+  function migrate(obj) {
+    const from = obj[schemaVersion] || 0;
+
+    return sorted
+      .filter(m => m.version > from && m.version <= version)
+      .reduce(
+        (changes, m) => ({ ...changes, ...m.migrate({ ...obj, ...changes }) }),
+        { [schemaVersion]: version }
+      );
+  }
+
+  return {
+    migrateModel() {
+      return migrate(this);
+    },
+
+    ...addValidation({
+      model: o,
+      name: migrateModel.name,
+      output: enableValidation.onAll,
+      order: 5,
+      args: { version, migrations },
+    }),
+  };
+};
+
+/**
+ * Key of the property counting the updates of a model, used as its
+ * `ETag`. Not to be confused with the spec version, see `schemaVersion`.
+ */
+export const modelVersion = "version";
+
+/**
+ * Optimistic concurrency control. The version of a model starts at 1
+ * and increments on every update. An update that passes the version it
+ * was based on, e.g. from an `If-Match` header, fails with a
+ * `ConflictError` if the model has changed since. The datasource
+ * rejects saves of stale models, see `withVersionCheck`.
+ */
+export const optimisticLock = () => o => {
+  const model = addValidation({
+    model: o,
+    name: "checkVersion",
+    input: enableValidation.onUpdate,
+    order: 1,
+  });
+
+  return {
+    checkVersion() {
+      const expected = this[prevmodel]?.[modelVersion];
+      const given = this[modelVersion];
+
+      if (given !== undefined && Number(given) !== expected) {
+        throw new ConflictError([
+          violation(
+            "version",
+            modelVersion,
+            given,
+            `version ${given} is stale, the model is at version ${expected}`
+          ),
+        ]);
+      }
+      return {};
+    },
+
+    optimisticLock() {
+      return { [modelVersion]: (this[prevmodel]?.[modelVersion] || 0) + 1 };
+    },
+
+    ...addValidation({
+      model,
+      name: optimisticLock.name,
+      output: enableValidation.onCreateAndUpdate,
+      order: 1,
+    }),
+  };
+};
+
+/**
+ * The version of a model after an update that skips validation, and
+ * so `optimisticLock`, so the datasource still accepts the save.
+ * @param {Model} model
+ */
+function nextVersion(model) {
+  const version = model[modelVersion];
+  return typeof version === "number" ? { [modelVersion]: version + 1 } : {};
+}
+
 /**
  * Set a validation that invokes a port. The port must be configured
- * in the `ModelSpecification`.
+ * in the `ModelSpecification`. The port is not invoked if another
+ * validation fails.
  * @param {string} fn - name of port (as it appears in the ModelSpec)
  * @param {boolean} onCreate - invoke on create
  * @param {boolean} onUpdate - invoke on update
  * @param  {...any} args - pass arguments
  */
-export const invokePort = (fn, onCreate, onUpdate, ...args) => async o => {
+export const invokePort = (fn, onCreate, onUpdate, ...args) => o => {
   return {
     ...o,
     invokePort() {
       console.log({ func: "invokePort", fn, args });
-      return this[fn](...args).then(o => o);
+      return this[fn](...args);
     },
 
     ...addValidation({
       model: o,
       name: "invokePort",
-      output: enableValidation.onUpdate,
+      output: enableEvent(onUpdate, onCreate),
       order: 85,
+      args: [fn, ...args],
+      sideEffects: true,
     }),
   };
 };
 
 /**
  * Set a validation that calls a model method or provided function.
+ * The method is not called if another validation fails.
  * @param {string|function(Model, ...any):Promise<any>} fn - callback function
  * or name of method to executee
  * @param {boolean} onCreate - invoke on create
@@ -639,10 +2392,10 @@ export const invokePort = (fn, onCreate, onUpdate, ...args) => async o => {
  * @param  {...any} args - pass arguments to the method/function
  * @return {Model}
  */
-export const execMethod = (fn, onCreate, onUpdate, ...args) => async o => {
+export const execMethod = (fn, onCreate, onUpdate, ...args) => o => {
   const functionType = {
-    function: (fn, obj, ...args) => fn(obj, ...args).then(o => o),
-    string: (fn, obj, ...args) => obj[fn](...args).then(o => o),
+    function: (fn, obj, ...args) => fn(obj, ...args),
+    string: (fn, obj, ...args) => obj[fn](...args),
   };
 
   return {
@@ -655,8 +2408,10 @@ export const execMethod = (fn, onCreate, onUpdate, ...args) => async o => {
     ...addValidation({
       model: o,
       name: "execMethod",
-      output: enableValidation.onUpdate,
+      output: enableEvent(onUpdate, onCreate),
       order: 40,
+      args: [fn, ...args],
+      sideEffects: true,
     }),
   };
 };
@@ -681,7 +2436,9 @@ export const createMethod = (fn, ...args) => o => {
  */
 export const withValidFormat = (propKey, expr) => o => {
   if (o[propKey] && !RegEx.test(expr, o[propKey])) {
-    throw new Error(`invalid ${propKey}`);
+    throw new ValidationError([
+      violation("regex", propKey, o[propKey], `invalid ${propKey}`),
+    ]);
   }
   return propKey;
 };
@@ -694,14 +2451,16 @@ export const withValidFormat = (propKey, expr) => o => {
 export const checkFormat = (value, expr) => {
   if (value && !RegEx.test(expr, value)) {
     const x = expr instanceof RegExp ? value : expr;
-    throw new Error(`${x} invalid`);
+    throw new ValidationError([
+      violation("regex", undefined, value, `${x} invalid`),
+    ]);
   }
 };
 
 /**
- * Implement GDPR encryption requirement across models
+ * Patterns matching the names of properties holding personal info.
  */
-export const encryptPersonalInfo = encryptProperties(
+export const personalInfo = [
   /^last.*Name$|^surname$|^family.*Name$/i,
   /^shipping.*Address$/i,
   /^billing.*Address$/i,
@@ -712,12 +2471,114 @@ export const encryptPersonalInfo = encryptProperties(
   /^credit.*Card/i,
   /^cvv$/i,
   /^ssn$|^socialSecurity/i,
-  /^encrypted/i
-);
+  /^encrypted/i,
+];
+
+/**
+ * Implement GDPR encryption requirement across models
+ */
+export const encryptPersonalInfo = encryptProperties(...personalInfo);
+
+/**
+ * Overwrite the personal info of a model, in its properties as well as
+ * its history, and save it. Other properties, e.g. `orderTotal`, are
+ * kept. The update isn't validated, so required and frozen properties
+ * can be erased as well. The payloads of its saga log, e.g. the
+ * shipping address a port returned, are overwritten too, see `sagaLog`.
+ * @param {Model} model
+ * @returns {Promise<import("./erasure-log").erasureRecord["erased"][0]>}
+ */
+async function eraseModel(model) {
+  const fields = parseKeys(model, ...personalInfo).filter(
+    key =>
+      model[key] != null &&
+      typeof model[key] !== "function" &&
+      model[key] !== ERASED
+  );
+  const erase = (changes, key) =>
+    !personalInfo.some(regex => regex.test(key))
+      ? changes
+      : { ...changes, [key]: { from: ERASED, to: ERASED } };
+
+  const history = model[HISTORY]?.map(entry => ({
+    ...entry,
+    changes: Object.keys(entry.changes).reduce(erase, entry.changes),
+  }));
+
+  await model.update(
+    {
+      ...fields.reduce((changes, key) => ({ ...changes, [key]: ERASED }), {}),
+      ...(history ? { [HISTORY]: history } : {}),
+      ...nextVersion(model),
+    },
+    false
+  );
+  const sagaKeys = await model.eraseSagaLog?.(ERASED);
+
+  return {
+    modelName: model.getName?.(),
+    id: model.getId?.(),
+    fields,
+    ...(sagaKeys ? { sagaLog: sagaKeys } : {}),
+  };
+}
+
+/**
+ * Erase the personal info of the model and of the related models,
+ * following the relations of each model that uses this mixin.
+ * @param {Model} model
+ * @param {Set<string>} visited - models already erased
+ */
+async function eraseRelated(model, visited) {
+  const key = `${model.getName?.()}:${model.getId?.()}`;
+  if (visited.has(key)) return [];
+  visited.add(key);
+
+  const relations = model[mixinConfig]?.[erasePersonalInfo.name] || [];
+  const erased = [await eraseModel(model)];
+
+  for (const relation of relations) {
+    const related = makeArray(await model[relation]()).filter(m => m);
+    for (const m of related) {
+      erased.push(...(await eraseRelated(m, visited)));
+    }
+  }
+  return erased;
+}
+
+/**
+ * Right to be forgotten: `erase` irreversibly overwrites the personal
+ * info of the model, i.e. the properties matched by `personalInfo`,
+ * then follows `relations` to erase related models, e.g. the orders of a
+ * customer. Each erasure is recorded in a tamper-evident log, which
+ * lists the models and fields erased, but not their values.
+ * @param {...string} relations - names of the relations to follow
+ * @returns {functionalMixin}
+ */
+export const erasePersonalInfo = (...relations) => o => {
+  return {
+    /**
+     * @returns {Promise<import("./erasure-log").erasureRecord>}
+     */
+    async erase() {
+      const erased = await eraseRelated(this, new Set());
+      return logErasure({
+        subject: { modelName: this.getName?.(), id: this.getId?.() },
+        erased,
+      });
+    },
+
+    ...addConfig({
+      model: o,
+      name: erasePersonalInfo.name,
+      args: relations,
+    }),
+  };
+};
 
 /**
  * Global mixins
  */
-const GlobalMixins = [encryptPersonalInfo];
+const GlobalMixins = [encryptPersonalInfo, optimisticLock()];
 
 export default GlobalMixins;
@@ -1,7 +1,8 @@
 "use strict";
 
-import { prevmodel } from "./mixins";
+import { auditContext, prevmodel } from "./mixins";
 import checkPayload from "./check-payload";
+import retryOnConflict from "./retry-on-conflict";
 import { async, encrypt } from "../lib/utils";
 
 /** @typedef {string|RegExp} topic*/
@@ -55,31 +56,12 @@ export const OrderStatus = {
   CANCELED: "CANCELED",
 };
 
-/**
- *
- * @param {*} items
- */
-export const checkItems = function (orderItems) {
-  if (!orderItems) {
-    throw new Error("order contains no items");
-  }
-  const items = Array.isArray(orderItems) ? orderItems : [orderItems];
-
-  if (
-    items.length > 0 &&
-    items.every(i => i.itemId && typeof i.price === "number")
-  ) {
-    return items;
-  }
-  throw new Error("order items invalid");
-};
-
 /**
  * Calculate order total
  * @param {*} items
  */
-export const calcTotal = function (orderItems) {
-  const items = checkItems(orderItems);
+export const calcTotal = function (orderItems = []) {
+  const items = Array.isArray(orderItems) ? orderItems : [orderItems];
 
   return items.reduce((total, item) => {
     const qty = item.qty || 1;
@@ -88,117 +70,14 @@ export const calcTotal = function (orderItems) {
 };
 
 /**
- * No changes to `propKey` properties once the order is approved
- * @param {*} o - the order
- * @param {*} propKey
- * @returns {string | null} the key or `null`
+ * The order total is the sum of the items.
+ * @param {{price:number,qty:number}[]} orderItems
+ * @param {number} orderTotal
  */
-export const freezeOnApproval = propKey => o => {
-  return o[prevmodel].orderStatus !== OrderStatus.PENDING ? propKey : null;
+export const orderTotalValid = (orderItems, orderTotal) => {
+  return calcTotal(orderItems) === orderTotal;
 };
 
-/**
- * No changes to `propKey` once order is complete or canceled
- * @param {*} o - the order
- * @param {*} propKey
- * @returns {string | null} the key or `null`
- */
-export const freezeOnCompletion = propKey => o => {
-  return [OrderStatus.COMPLETE, OrderStatus.CANCELED].includes(
-    o[prevmodel].orderStatus
-  )
-    ? propKey
-    : null;
-};
-
-/**
- * If not a registered customer, provide shipping & payment details.
- * @param {*} o
- * @param {*} propKey
- * @returns {string | void} the key or `void`
- */
-export const requiredForGuest = propKey => o => {
-  return o.customerId ? null : propKey;
-};
-
-/**
- * Value required to approve orde1r.
- * @param {*} propKey
- */
-export const requiredForApproval = propKey => o => {
-  if (!o.orderStatus) return;
-  return o.orderStatus === OrderStatus.APPROVED ? propKey : void 0;
-};
-
-/**
- * Value required to complete order
- * @param {*} o
- * @param {*} propKey
- * @returns {string | void} the key or `void`
- */
-export const requiredForCompletion = propKey => o => {
-  if (!o.orderStatus) return;
-  return o.orderStatus === OrderStatus.COMPLETE ? propKey : void 0;
-};
-
-const invalidStatusChange = (from, to) => (o, propVal) => {
-  return propVal === to && o[prevmodel].orderStatus === from;
-};
-
-const invalidStatusChanges = [
-  // Can't change back to pending once approved
-  invalidStatusChange(OrderStatus.APPROVED, OrderStatus.PENDING),
-  // Can't change back to pending once shipped
-  invalidStatusChange(OrderStatus.SHIPPING, OrderStatus.PENDING),
-  // Can't change back to approved once shipped
-  invalidStatusChange(OrderStatus.SHIPPING, OrderStatus.APPROVED),
-  // Can't change directly to shipping from pending
-  invalidStatusChange(OrderStatus.PENDING, OrderStatus.SHIPPING),
-  // Can't change directly to complete from pending
-  invalidStatusChange(OrderStatus.PENDING, OrderStatus.COMPLETE),
-  // Can't change final status
-  invalidStatusChange(OrderStatus.COMPLETE, OrderStatus.PENDING),
-  // Can't change final status
-  invalidStatusChange(OrderStatus.COMPLETE, OrderStatus.SHIPPING),
-];
-
-/**
- * Check that status changes are valid
- */
-export const statusChangeValid = (o, propVal) => {
-  if (invalidStatusChanges.some(isc => isc(o, propVal))) {
-    throw new Error("invalid status change");
-  }
-  return true;
-};
-
-/**
- *
- * @param {*} o
- * @param {*} propVal
- */
-export const orderTotalValid = (o, propVal) => {
-  return calcTotal(o.orderItems) === propVal;
-};
-
-/**
- * Recalculate order total
- * @param {object} o - the object (order)
- * @param {number} propVal - the property value
- */
-export const recalcTotal = (o, propVal) => ({
-  orderTotal: calcTotal(propVal),
-});
-
-/**
- * Updated signature requirement if `orderTotal` above certain value
- * @param {object} o - the object (order)
- * @param {number} propVal - the property value
- */
-export const updateSignature = (o, propVal) => ({
-  signatureRequired: calcTotal(propVal) > 999.99 || o.signatureRequired,
-});
-
 /**
  * Don't delete orders before they're complete.
  */
@@ -227,6 +106,23 @@ function handleError(error, order, func) {
   throw new Error(error);
 }
 
+/**
+ * Record the port whose callback changes the order, or the command,
+ * in the audit trail, see `auditContext`. They change the status in the
+ * `workflow` role, the host having authorized the command or port.
+ * @param {{port?:string}} options - passed to the callback
+ * @param {function} fn - the callback or command
+ */
+function via(options, fn) {
+  return {
+    [auditContext]: {
+      user: null,
+      roles: ["workflow"],
+      via: options.port || fn.name,
+    },
+  };
+}
+
 /**
  * Callback invoked by adapter when payment is complete
  * @param {{model:Order}} options
@@ -239,7 +135,11 @@ export async function paymentCompleted(options = {}, payload = {}) {
     payload,
     paymentCompleted.name
   );
-  return order.update({ ...changes, orderStatus: OrderStatus.COMPLETE });
+  return order.update({
+    ...changes,
+    orderStatus: OrderStatus.COMPLETE,
+    ...via(options, paymentCompleted),
+  });
 }
 
 /**
@@ -258,6 +158,7 @@ export async function orderShipped(options = {}, payload = {}) {
   return order.update({
     shipmentId: shipmentPayload.shipmentId,
     orderStatus: OrderStatus.SHIPPING,
+    ...via(options, orderShipped),
   });
 }
 
@@ -273,7 +174,7 @@ export async function orderPicked(options = {}, payload = {}) {
     payload,
     addressValidated.name
   );
-  return order.update(changes);
+  return order.update({ ...(await changes), ...via(options, orderPicked) });
 }
 
 /**
@@ -289,7 +190,10 @@ export async function addressValidated(options = {}, payload = {}) {
     payload,
     addressValidated.name
   );
-  return order.update({ shippingAddress: addressPayload.shippingAddress });
+  return order.update({
+    shippingAddress: addressPayload.shippingAddress,
+    ...via(options, addressValidated),
+  });
 }
 
 /**
@@ -305,7 +209,10 @@ export async function paymentAuthorized(options = {}, payload = {}) {
     payload,
     paymentAuthorized.name
   );
-  return order.update(changes);
+  return order.update({
+    ...(await changes),
+    ...via(options, paymentAuthorized),
+  });
 }
 
 /**
@@ -322,7 +229,7 @@ export async function refundPayment(options = {}, payload = {}) {
     payload,
     refundPayment.name
   );
-  return order.update(changes);
+  return order.update({ ...(await changes), ...via(options, refundPayment) });
 }
 
 /**
@@ -364,126 +271,126 @@ async function getCustomerOrder(order) {
 }
 
 /**
- * Starts the order service workflow.
+ * Entry action of `PENDING`: verifies the shipping address and
+ * authorizes payment for the order total when the order is first
+ * created, or when it is updated while still pending.
+ *
+ * @param {Order} order - the order
  */
-const OrderActions = {
-  /**
-   * Verifies the shipping address and authorizes payment
-   * for the order total when the order is first created,
-   * or when it is updated while still in pending status.
-   *
-   * @param {Order} order - the order
-   */
-  [OrderStatus.PENDING]: async order => {
-    try {
-      // If requester is a customer, get shipping data from customer service.
-      const customerOrder = await getCustomerOrder(order);
-
-      // const inventoryAvailable = await customerOrder.checkInventory();
-      // if (!inventoryAvailable) {
-      //   // Design the system so this is impossible.
-      //   customerOrder.emit(
-      //     customerOrder.checkInventory.name,
-      //     "item displayted to, and selected by, customer is not available!"
-      //   );
-      // }
-
-      // Authorize payment for the current total.
-      const payment = await async(
-        customerOrder.authorizePayment(paymentAuthorized)
-      );
-
-      if (!payment.ok) {
-        throw new Error("payment auth problem", payment.error);
-      }
+export async function startCheckout(order) {
+  try {
+    // If requester is a customer, get shipping data from customer service.
+    const customerOrder = await getCustomerOrder(order);
+
+    // const inventoryAvailable = await customerOrder.checkInventory();
+    // if (!inventoryAvailable) {
+    //   // Design the system so this is impossible.
+    //   customerOrder.emit(
+    //     customerOrder.checkInventory.name,
+    //     "item displayted to, and selected by, customer is not available!"
+    //   );
+    // }
+
+    // Authorize payment for the current total.
+    const payment = await async(
+      customerOrder.authorizePayment(retryOnConflict(paymentAuthorized))
+    );
+
+    if (!payment.ok) {
+      throw new Error("payment auth problem", payment.error);
+    }
 
-      if (!payment.object.paymentAccepted()) {
-        throw new Error("payment authorization declined");
-      }
+    if (!payment.object.paymentAccepted()) {
+      throw new Error("payment authorization declined");
+    }
 
-      // Now verify address
-      const address = await async(
-        payment.object.validateAddress(addressValidated)
+    // Now verify address
+    const address = await async(
+      payment.object.validateAddress(addressValidated)
+    );
+
+    if (customerOrder.autoCheckout()) {
+      handleStatusChange(
+        await customerOrder.update(
+          {
+            ...payment.object,
+            ...(address.ok ? address.object : {}),
+            orderStatus: OrderStatus.APPROVED,
+          },
+          false
+        )
       );
-
-      if (customerOrder.autoCheckout()) {
-        handleStatusChange(
-          await customerOrder.update(
-            {
-              ...payment.object,
-              ...(address.ok ? address.object : {}),
-              orderStatus: OrderStatus.APPROVED,
-            },
-            false
-          )
-        );
-      }
-    } catch (e) {
-      console.error(e);
-    }
-  },
-  /**
-   * If payment is authorized, notify inventory.
-   * This kicks off the rest of the workflow,
-   * which is controlled through port config.
-   * @param {Order} order
-   */
-  [OrderStatus.APPROVED]: async order => {
-    try {
-      if (order.paymentAccepted()) {
-        return order.pickOrder(orderPicked);
-      }
-      await order.emit("PayAuthFail", "Payment authorization problem");
-      return order;
-    } catch (error) {
-      handleError(error, order, OrderStatus.APPROVED);
     }
-  },
-  /**
-   * Useful if we need to restart tracking.
-   * @param {Order} order
-   */
-  [OrderStatus.SHIPPING]: async order => {
-    try {
-      // don't block the caller waiting for this
-      // order.trackShipment(trackingUpdate);
-      console.debug({ func: OrderStatus.SHIPPING, order });
-    } catch (error) {
-      handleError(error, order, OrderStatus.SHIPPING);
-    }
-  },
-  /**
-   * Start cancellation process.
-   * @param {Order} order
-   */
-  [OrderStatus.CANCELED]: async order => {
-    try {
-      console.debug({
-        func: OrderStatus.CANCELED,
-        desc: "calling undo",
-        orderNo: order.orderNo,
-      });
-      return order.undo();
-    } catch (error) {
-      handleError(error, order, OrderStatus.CANCELED);
+  } catch (e) {
+    console.error(e);
+  }
+}
+
+/**
+ * Entry action of `APPROVED`: if payment is authorized, notify
+ * inventory. This kicks off the rest of the workflow, which is
+ * controlled through port config.
+ * @param {Order} order
+ */
+export async function startFulfillment(order) {
+  try {
+    if (order.paymentAccepted()) {
+      return order.pickOrder(orderPicked);
     }
-  },
-  /**
-   *
-   * @param {Order} order
-   */
-  [OrderStatus.COMPLETE]: async order => {
-    console.log("do customer sentiment etc");
-    return;
-  },
-};
+    await order.emit("PayAuthFail", "Payment authorization problem");
+    return order;
+  } catch (error) {
+    handleError(error, order, OrderStatus.APPROVED);
+  }
+}
+
+/**
+ * Entry action of `SHIPPING`. Useful if we need to restart tracking.
+ * @param {Order} order
+ */
+export async function trackDelivery(order) {
+  try {
+    // don't block the caller waiting for this
+    // order.trackShipment(trackingUpdate);
+    console.debug({ func: OrderStatus.SHIPPING, order });
+  } catch (error) {
+    handleError(error, order, OrderStatus.SHIPPING);
+  }
+}
+
+/**
+ * Entry action of `CANCELED`: start cancellation process.
+ * @param {Order} order
+ */
+export async function startCancellation(order) {
+  try {
+    console.debug({
+      func: OrderStatus.CANCELED,
+      desc: "compensating completed steps",
+      orderNo: order.orderNo,
+    });
+    return order.compensate();
+  } catch (error) {
+    handleError(error, order, OrderStatus.CANCELED);
+  }
+}
+
+/**
+ * Entry action of `COMPLETE`.
+ * @param {Order} order
+ */
+export async function orderCompleted(order) {
+  console.log("do customer sentiment etc");
+  return;
+}
 
 /**
- * Call order service workflow - controlled by status
+ * Call order service workflow - controlled by status, see the
+ * `stateMachine` of the order spec
  * @param {Order} order
  */
 export async function handleStatusChange(order) {
-  return OrderActions[order.orderStatus](order);
+  return order.enterState();
 }
 
 /**
@@ -497,11 +404,12 @@ export async function handleOrderEvent({ model: order, eventType, changes }) {
 }
 
 /**
- * Require a signature for orders $1000 and up
- * @param {*} input
- * @param {*} orderTotal
+ * Require a signature for orders $1000 and up,
+ * unless the customer says otherwise.
+ * @param {boolean} [input] - customer's preference
+ * @param {number} orderTotal
  */
-function needsSignature(input, orderTotal) {
+export function needsSignature(input, orderTotal) {
   return typeof input === "boolean" ? input : orderTotal > 999.99;
 }
 
@@ -522,10 +430,8 @@ export function makeOrderFactory(dependencies) {
     shippingPriority = null,
     autoCheckout = false,
     saveShippingDetails = false,
-    requireSignature,
+    requireSignature = null,
   }) {
-    const total = calcTotal(orderItems);
-    const signatureRequired = needsSignature(requireSignature, total);
     const order = {
       email,
       lastName,
@@ -535,11 +441,12 @@ export function makeOrderFactory(dependencies) {
       creditCardNumber,
       billingAddress,
       shippingAddress,
-      signatureRequired,
+      requireSignature,
+      signatureRequired: null,
       saveShippingDetails,
       shippingPriority,
       estimatedArrival: null,
-      [orderTotal]: total,
+      [orderTotal]: null,
       [orderStatus]: OrderStatus.PENDING,
       [orderNo]: dependencies.uuid(),
       /**
@@ -569,7 +476,10 @@ export function makeOrderFactory(dependencies) {
  * @param {*} order
  */
 export async function approve(order) {
-  const updated = await order.update({ orderStatus: OrderStatus.APPROVED });
+  const updated = await order.update({
+    orderStatus: OrderStatus.APPROVED,
+    ...via({}, approve),
+  });
   handleStatusChange(updated);
 }
 
@@ -578,7 +488,10 @@ export async function approve(order) {
  * @param {*} order
  */
 export async function cancel(order) {
-  const updated = await order.update({ orderStatus: OrderStatus.CANCELED });
+  const updated = await order.update({
+    orderStatus: OrderStatus.CANCELED,
+    ...via({}, cancel),
+  });
   return handleStatusChange(updated);
 }
 
@@ -592,8 +505,7 @@ export async function submit(order) {
  */
 export function errorCallback({ port, model: order, error }) {
   console.error("error...", port, error);
-  return order.undo();
-  ``;
+  return order.compensate();
 }
 
 /**
@@ -610,20 +522,32 @@ export function timeoutCallback({ port, ports, adapterFn, model: order }) {
  */
 export async function returnInventory(order) {
   console.log(returnInventory.name);
-  return order.update({ orderStatus: OrderStatus.CANCELED });
+  return order.update({
+    orderStatus: OrderStatus.CANCELED,
+    ...via({}, returnInventory),
+  });
 }
 
 export async function returnShipment(order) {
   console.log(returnShipment.name);
-  return order.update({ orderStatus: OrderStatus.CANCELED });
+  return order.update({
+    orderStatus: OrderStatus.CANCELED,
+    ...via({}, returnShipment),
+  });
 }
 
 export async function returnDelivery(order) {
   console.log(returnDelivery.name);
-  return order.update({ orderStatus: OrderStatus.CANCELED });
+  return order.update({
+    orderStatus: OrderStatus.CANCELED,
+    ...via({}, returnDelivery),
+  });
 }
 
 export async function cancelPayment(order) {
   console.log(cancelPayment.name);
-  return order.update({ orderStatus: OrderStatus.CANCELED });
+  return order.update({
+    orderStatus: OrderStatus.CANCELED,
+    ...via({}, cancelPayment),
+  });
 }
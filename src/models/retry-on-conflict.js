@@ -0,0 +1,28 @@
+"use strict";
+
+import { isVersionConflict } from "./validation-error";
+
+/**
+ * Retry a port callback when its update fails because the model
+ * changed since the port was invoked, e.g. when another port's
+ * callback updated it first. Each retry reads the latest model with
+ * `model.find()` and runs the callback again with it.
+ * @param {function({model:*},*):Promise<*>} callback - port callback
+ * @param {{retries?:number}} [options] - retries before giving up
+ * @returns {function({model:*},*):Promise<*>}
+ */
+export default function retryOnConflict(callback, { retries = 3 } = {}) {
+  async function retry(options = {}, payload = {}, attempt = 0) {
+    try {
+      return await callback(options, payload);
+    } catch (error) {
+      if (!isVersionConflict(error) || attempt >= retries) {
+        throw error;
+      }
+      const latest = await options.model.find();
+      return retry({ ...options, model: latest }, payload, attempt + 1);
+    }
+  }
+
+  return (options, payload) => retry(options, payload);
+}
@@ -0,0 +1,370 @@
+"use strict";
+
+import fs from "fs";
+import path from "path";
+import { encrypt } from "../lib/utils";
+
+/**
+ * @typedef {"STARTED"|"COMPLETED"|"FAILED"|"COMPENSATING"|"COMPENSATED"|"COMPENSATION_FAILED"} stepStatus
+ *
+ * @typedef {{
+ *  seq:number,
+ *  at:string,
+ *  port?:string,
+ *  status?:stepStatus,
+ *  payload?:Object,
+ *  error?:string,
+ *  attempt?:number,
+ *  saga?:"COMPENSATED"|"PARTIALLY_COMPENSATED"
+ * }} sagaRecord - a step of a port, or the outcome of the saga
+ *
+ * @typedef {{
+ *  status:"RUNNING"|"FAILED"|"COMPENSATING"|"COMPENSATED"|"PARTIALLY_COMPENSATED",
+ *  steps:{port:string,status:stepStatus,payload?:Object,error?:string}[]
+ * }} sagaState
+ *
+ * @typedef {{modelName:string,id:string}} saga - the model instance
+ */
+
+/**
+ * Directory of the saga logs, one file per model instance with one
+ * JSON record per line, unless set in `SAGA_LOG_DIR`.
+ */
+const DEFAULT_DIR = "saga-logs";
+
+function logDir() {
+  return process.env.SAGA_LOG_DIR || DEFAULT_DIR;
+}
+
+function logFile({ modelName, id }, dir) {
+  return path.join(dir, `${modelName}-${encodeURIComponent(id)}.jsonl`);
+}
+
+async function readLog(file) {
+  try {
+    const text = await fs.promises.readFile(file, "utf8");
+    return text
+      .split("\n")
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line));
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+}
+
+/**
+ * The number of records in each log written to by this process, after
+ * the writes queued so far. The log directory is local to the process,
+ * so logs are only read to count their records when first written to,
+ * e.g. after a restart. Writes to a log run one at a time, so each
+ * record gets the next `seq`.
+ * @type {Map<string,Promise<number>>}
+ */
+const written = new Map();
+
+/**
+ * Queue a write of the log `file`, passed the number of records so far.
+ * @param {string} file
+ * @param {function(number):Promise<{seq:number}>} write - resolves with
+ * the `seq` of the last record in the log
+ */
+function queueWrite(file, write) {
+  const queued = written.get(file) || readLog(file).then(r => r.length);
+  const done = queued.then(write);
+
+  // count the records again if the write failed halfway
+  written.set(
+    file,
+    done.then(
+      ({ seq }) => seq,
+      () => readLog(file).then(r => r.length)
+    )
+  );
+  return done;
+}
+
+/**
+ * Read the log `file`, once the writes queued so far are done.
+ * @param {string} file
+ */
+async function readWritten(file) {
+  await written.get(file)?.catch(() => {});
+  return readLog(file);
+}
+
+/**
+ * Append records to the log `file`, numbered from `seq`. Only call it
+ * from a write queued by `queueWrite`.
+ * @param {string} file
+ * @param {number} seq - the number of records in the log
+ * @param {Omit<sagaRecord,"seq"|"at">[]} records
+ * @returns {Promise<sagaRecord[]>}
+ */
+async function append(file, seq, records) {
+  if (records.length < 1) return [];
+
+  const at = new Date().toISOString();
+  const logged = records.map((record, i) => ({
+    seq: seq + i + 1,
+    at,
+    ...record,
+  }));
+
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.appendFile(
+    file,
+    logged.map(r => `${JSON.stringify(r)}\n`).join("")
+  );
+  return logged;
+}
+
+/**
+ * Append a record to the log of a saga.
+ * @param {saga} saga
+ * @param {Omit<sagaRecord,"seq"|"at">} record
+ * @param {string} [dir]
+ * @returns {Promise<sagaRecord>}
+ */
+export function logStep(saga, record, dir = logDir()) {
+  const file = logFile(saga, dir);
+
+  return queueWrite(file, async seq => {
+    const [logged] = await append(file, seq, [record]);
+    return logged;
+  });
+}
+
+/**
+ * Overwrite the payloads of the steps of a saga, when the personal info
+ * of its model is erased, see `erasePersonalInfo`. The steps, and the
+ * keys of their payloads, are kept.
+ * @param {saga} saga
+ * @param {string} erased - the value to overwrite with
+ * @param {string} [dir]
+ * @returns {Promise<string[]>} the keys overwritten
+ */
+export async function eraseSagaLog(saga, erased, dir = logDir()) {
+  const file = logFile(saga, dir);
+
+  const { keys } = await queueWrite(file, async () => {
+    const records = await readLog(file);
+    const keys = [
+      ...new Set(records.flatMap(r => Object.keys(r.payload || {}))),
+    ];
+
+    if (keys.length > 0) {
+      const overwritten = records.map(record =>
+        record.payload
+          ? {
+              ...record,
+              payload: Object.keys(record.payload).reduce(
+                (payload, key) => ({ ...payload, [key]: erased }),
+                {}
+              ),
+            }
+          : record
+      );
+      await fs.promises.writeFile(
+        file,
+        overwritten.map(r => `${JSON.stringify(r)}\n`).join("")
+      );
+    }
+    return { seq: records.length, keys };
+  });
+  return keys;
+}
+
+/**
+ * The state of the saga logged in `records`.
+ * @param {sagaRecord[]} records
+ * @returns {sagaState}
+ */
+function stateOf(records) {
+  const outcome = records.filter(r => r.saga).pop();
+
+  const steps = records
+    .filter(r => r.port)
+    .reduce((steps, { port, status, payload, error }) => {
+      // the payload of a step is kept once it completes, errors are not
+      const step = steps.find(s => s.port === port);
+      const kept = payload || step?.payload;
+      return [
+        ...steps.filter(s => s !== step),
+        {
+          port,
+          status,
+          ...(kept ? { payload: kept } : {}),
+          ...(error ? { error } : {}),
+        },
+      ];
+    }, [])
+    .sort(
+      (a, b) =>
+        records.findIndex(r => r.port === a.port) -
+        records.findIndex(r => r.port === b.port)
+    );
+
+  const any = status => steps.some(s => s.status === status);
+  const status = any("COMPENSATING")
+    ? "COMPENSATING"
+    : outcome
+    ? outcome.saga
+    : any("FAILED")
+    ? "FAILED"
+    : "RUNNING";
+
+  return { status, steps };
+}
+
+/**
+ * The state of each step of a saga, in the order the steps started,
+ * and of the saga as a whole.
+ * @param {saga} saga
+ * @param {string} [dir]
+ * @returns {Promise<sagaState>}
+ */
+export async function sagaState(saga, dir = logDir()) {
+  return stateOf(await readWritten(logFile(saga, dir)));
+}
+
+/**
+ * Log each call of a port adapter as a step of the saga of the model
+ * it is called for: when it starts, and when it completes, with the
+ * values of the port's `keys`, or fails. The values, e.g. a shipping
+ * address or a payment authorization, are encrypted as JSON.
+ * @param {string} modelName
+ * @param {string} port - name of the port
+ * @param {function({model:*}):Promise<*>} adapter
+ * @param {{keys?:string|string[],dir?:string}} [options]
+ */
+export function withSagaLog(modelName, port, adapter, { keys, dir } = {}) {
+  const pick = model =>
+    []
+      .concat(keys || [])
+      .reduce(
+        (payload, key) =>
+          model?.[key] === undefined
+            ? payload
+            : { ...payload, [key]: encrypt(JSON.stringify(model[key])) },
+        {}
+      );
+
+  return async function (options) {
+    const id = options?.model?.getId?.();
+    if (!id) return adapter(options);
+
+    const saga = { modelName, id };
+    await logStep(saga, { port, status: "STARTED" }, dir);
+
+    try {
+      const result = await adapter(options);
+      await logStep(
+        saga,
+        { port, status: "COMPLETED", payload: pick(result) },
+        dir
+      );
+      return result;
+    } catch (error) {
+      await logStep(
+        saga,
+        { port, status: "FAILED", error: error.message },
+        dir
+      );
+      throw error;
+    }
+  };
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Undo the completed steps of the saga of `model`, most recent first,
+ * with the `undo` function of each step's port. The steps to undo are
+ * read and marked as being compensated in one write of the log, before
+ * any undo runs, so calls running at the same time, e.g. when a failed
+ * step and a cancellation both compensate, or an undo that cancels the
+ * model, never undo a step twice: only the call that marked a step
+ * undoes it. Each undo
+ * gets the latest model and is retried, with exponential backoff,
+ * before it is given up on.
+ * @param {*} model
+ * @param {{
+ *  modelName:string,
+ *  ports:import(".").ports,
+ *  retries?:number,
+ *  delay?:number,
+ *  dir?:string
+ * }} options - `delay` before the first retry in ms
+ * @returns {Promise<sagaState>} `COMPENSATED` if every step was undone,
+ * `PARTIALLY_COMPENSATED` if any undo kept failing
+ */
+export async function compensate(
+  model,
+  { modelName, ports, retries = 3, delay = 200, dir = logDir() }
+) {
+  const saga = { modelName, id: model.getId() };
+  const file = logFile(saga, dir);
+
+  const { records, pending } = await queueWrite(file, async seq => {
+    const records = await readLog(file);
+    const completedAt = port =>
+      records.filter(r => r.port === port && r.status === "COMPLETED").pop()
+        .seq;
+
+    const pending = stateOf(records)
+      .steps.filter(s => s.status === "COMPLETED")
+      .filter(s => typeof ports[s.port]?.undo === "function")
+      .sort((a, b) => completedAt(b.port) - completedAt(a.port));
+
+    await append(
+      file,
+      seq,
+      pending.map(s => ({ port: s.port, status: "COMPENSATING" }))
+    );
+    return { seq: seq + pending.length, records, pending };
+  });
+
+  if (pending.length < 1) return stateOf(records);
+
+  async function undo(step, attempt = 1) {
+    try {
+      const latest = (await model.find?.()) || model;
+      await ports[step.port].undo(latest);
+      await logStep(
+        saga,
+        { port: step.port, status: "COMPENSATED", attempt },
+        dir
+      );
+      return true;
+    } catch (error) {
+      if (attempt > retries) {
+        await logStep(
+          saga,
+          {
+            port: step.port,
+            status: "COMPENSATION_FAILED",
+            attempt,
+            error: error.message,
+          },
+          dir
+        );
+        return false;
+      }
+      await wait(delay * 2 ** (attempt - 1));
+      return undo(step, attempt + 1);
+    }
+  }
+
+  const undone = [];
+  for (const step of pending) {
+    undone.push(await undo(step));
+  }
+
+  await logStep(
+    saga,
+    { saga: undone.every(u => u) ? "COMPENSATED" : "PARTIALLY_COMPENSATED" },
+    dir
+  );
+  return sagaState(saga, dir);
+}
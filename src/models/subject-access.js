@@ -0,0 +1,121 @@
+"use strict";
+
+import { validations, parseKeys } from "./mixins";
+import { makeArray } from "../lib/utils";
+
+/**
+ * @typedef {import(".").Model} Model
+ *
+ * @typedef {{
+ *  generatedAt:string,
+ *  subject:{modelName:string,id:string},
+ *  customer:object,
+ *  orders:object[],
+ *  user:object|null
+ * }} personalDataDocument
+ */
+
+/**
+ * Properties of a model with the personal info decrypted. Password
+ * hashes and the history, which holds encrypted values, are left out.
+ * @param {Model} model
+ */
+function personalData(model) {
+  const passwords = (model[validations] || [])
+    .filter(v => v.name === "hashPasswords")
+    .flatMap(v => parseKeys(model, ...v.args));
+
+  const data = {
+    ...JSON.parse(JSON.stringify(model)),
+    ...(typeof model.decrypt === "function" ? model.decrypt() : {}),
+  };
+  [...passwords, "history"].forEach(key => delete data[key]);
+  return data;
+}
+
+/**
+ * Get the models of a relation, none if it can't be followed,
+ * e.g. a customer without a user account.
+ * @param {Model} model
+ * @param {string} relation
+ * @returns {Promise<Model[]>}
+ */
+async function related(model, relation) {
+  try {
+    const result = await model[relation]();
+    return makeArray(result).filter(m => m);
+  } catch (error) {
+    console.error({ func: related.name, relation, error: error.message });
+    return [];
+  }
+}
+
+const escape = value =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+function table(data) {
+  const rows = Object.entries(data)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(
+      ([key, value]) =>
+        `<tr><th>${escape(key)}</th><td>${escape(
+          typeof value === "object" ? JSON.stringify(value) : value
+        )}</td></tr>`
+    );
+  return `<table>${rows.join("")}</table>`;
+}
+
+/**
+ * Render the document as a page a person can read.
+ * @param {personalDataDocument} doc
+ * @returns {string} HTML
+ */
+function toHtml(doc) {
+  return [
+    "<!DOCTYPE html>",
+    '<html><head><meta charset="utf-8">',
+    `<title>Personal data held about ${escape(doc.subject.id)}</title>`,
+    "</head><body>",
+    "<h1>Personal data we hold about you</h1>",
+    `<p>Generated ${escape(doc.generatedAt)}</p>`,
+    "<h2>Customer record</h2>",
+    table(doc.customer),
+    `<h2>Orders (${doc.orders.length})</h2>`,
+    ...doc.orders.map(
+      order => `<h3>Order ${escape(order.orderNo || "")}</h3>${table(order)}`
+    ),
+    "<h2>User account</h2>",
+    doc.user ? table(doc.user) : "<p>None</p>",
+    "</body></html>",
+  ].join("\n");
+}
+
+/**
+ * Answer a data subject access request: gather the customer record,
+ * its orders and its user account, with the personal info decrypted,
+ * as a portable JSON document and an HTML summary. Run as the
+ * `exportPersonalData` command, it is only available to callers
+ * allowed to decrypt. See `GET /api/customers/:id/personal-data`
+ * to download it.
+ * @param {Model} customer
+ * @returns {Promise<{document:personalDataDocument,html:string}>}
+ */
+export default async function exportPersonalData(customer) {
+  const orders = await related(customer, "orders");
+  const [user] = await related(customer, "user");
+
+  const document = {
+    generatedAt: new Date().toISOString(),
+    subject: { modelName: customer.getName?.(), id: customer.getId?.() },
+    customer: personalData(customer),
+    orders: orders.map(personalData),
+    user: user ? personalData(user) : null,
+  };
+
+  return { document, html: toHtml(document) };
+}
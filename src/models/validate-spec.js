@@ -0,0 +1,522 @@
+"use strict";
+
+import { conditionProblems, mixinArgs } from "./mixins";
+import { getValidator } from "./validators";
+
+/**
+ * @typedef {import(".").ModelSpecification} ModelSpecification
+ *
+ * @typedef {{
+ *  modelName:string,
+ *  path:string,
+ *  message:string
+ * }} specProblem - where and what is wrong with a spec
+ *
+ * @typedef {{
+ *  type:string,
+ *  required?:boolean,
+ *  values?:any[]
+ * }} rule - `type` can list alternatives, e.g. "string|function"
+ */
+
+/**
+ * Services injected by the host rather than by this remote,
+ * e.g. for the `save`, `find`, `listen` and `notify` ports.
+ */
+const hostServices = ["Persistence", "Event"];
+
+/**
+ * Methods the host generates on every model.
+ */
+const hostMethods = ["update", "toJSON", "addListener", "emit"];
+
+const types = {
+  string: v => typeof v === "string",
+  number: v => typeof v === "number",
+  boolean: v => typeof v === "boolean",
+  function: v => typeof v === "function",
+  object: v => v !== null && typeof v === "object" && !Array.isArray(v),
+  array: v => Array.isArray(v),
+  RegExp: v => v instanceof RegExp,
+  any: () => true,
+};
+
+const specShape = {
+  modelName: { type: "string", required: true },
+  endpoint: { type: "string", required: true },
+  factory: { type: "function", required: true },
+  dependencies: { type: "object" },
+  mixins: { type: "array" },
+  onUpdate: { type: "function" },
+  onDelete: { type: "function" },
+  validate: { type: "function" },
+  ports: { type: "object" },
+  eventHandlers: { type: "array" },
+  serializers: { type: "array" },
+  relations: { type: "object" },
+  commands: { type: "object" },
+  accessControlList: { type: "object" },
+  endpoints: { type: "object" },
+  datasource: { type: "object" },
+  version: { type: "number" },
+  migrations: { type: "array" },
+  extends: { type: "array" },
+  stateMachine: { type: "object" },
+};
+
+const portShape = {
+  service: { type: "string" },
+  type: { type: "string", values: ["inbound", "outbound"] },
+  timeout: { type: "number" },
+  callback: { type: "function" },
+  errorCallback: { type: "function" },
+  timeoutCallback: { type: "function" },
+  consumesEvent: { type: "string" },
+  producesEvent: { type: "string" },
+  disabled: { type: "boolean" },
+  adapter: { type: "string" },
+  keys: { type: "string|array" },
+  undo: { type: "function" },
+  settings: { type: "object" },
+  desc: { type: "string" },
+};
+
+const relationShape = {
+  modelName: { type: "string", required: true },
+  type: {
+    type: "string",
+    required: true,
+    values: ["oneToMany", "oneToOne", "manyToOne"],
+  },
+  foreignKey: { type: "any", required: true },
+  desc: { type: "string" },
+};
+
+const commandShape = {
+  command: { type: "string|function", required: true },
+  acl: { type: "array" },
+  desc: { type: "string" },
+};
+
+const aclShape = {
+  allow: { type: "string|function|array" },
+  deny: { type: "string|function|array" },
+  type: {
+    type: "string",
+    required: true,
+    values: ["role", "relation", "command"],
+  },
+  desc: { type: "string" },
+};
+
+const serializerShape = {
+  on: { type: "string", required: true, values: ["serialize", "deserialize"] },
+  key: { type: "string|RegExp|function", required: true },
+  type: { type: "string|function" },
+  value: { type: "function", required: true },
+  enabled: { type: "boolean" },
+};
+
+const endpointShape = {
+  uri: { type: "string" },
+  endpointUri: { type: "string" },
+  method: { type: "string", values: ["get", "post", "patch", "delete"] },
+  port: { type: "string" },
+  callback: { type: "function", required: true },
+};
+
+const migrationShape = {
+  version: { type: "number", required: true },
+  migrate: { type: "function", required: true },
+  desc: { type: "string" },
+};
+
+const datasourceShape = {
+  factory: { type: "function", required: true },
+  url: { type: "string" },
+  credentials: { type: "string" },
+  cacheSize: { type: "number" },
+  baseClass: { type: "string" },
+};
+
+const crossFieldShape = {
+  name: { type: "string", required: true },
+  fields: { type: "array", required: true },
+  isValid: { type: "function|object", required: true },
+  message: { type: "string" },
+};
+
+const stateMachineShape = {
+  propKey: { type: "string", required: true },
+  initial: { type: "string", required: true },
+  states: { type: "object", required: true },
+};
+
+const stateShape = {
+  transitions: { type: "object" },
+  entry: { type: "function" },
+  exit: { type: "function" },
+  terminal: { type: "boolean" },
+  desc: { type: "string" },
+};
+
+const transitionShape = {
+  guard: { type: "string|function|object" },
+  acl: { type: "array" },
+  desc: { type: "string" },
+};
+
+function join(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+function isType(type, value) {
+  return type.split("|").some(t => types[t](value));
+}
+
+/**
+ * Check `obj` against `shape`: required, unknown and mistyped properties,
+ * as well as values outside of an allowed list.
+ * @param {*} obj
+ * @param {{[x:string]:rule}} shape
+ * @param {string} path
+ * @returns {{path:string,message:string}[]}
+ */
+function checkShape(obj, shape, path) {
+  if (!types.object(obj)) {
+    return [{ path, message: "expected object" }];
+  }
+
+  const unknown = Object.keys(obj)
+    .filter(key => !shape[key])
+    .map(key => ({ path: join(path, key), message: "unknown property" }));
+
+  const invalid = Object.entries(shape).map(([key, rule]) => {
+    const value = obj[key];
+    const at = join(path, key);
+
+    if (value === undefined || value === null) {
+      return rule.required ? { path: at, message: "missing" } : null;
+    }
+    if (!isType(rule.type, value)) {
+      return { path: at, message: `expected ${rule.type}` };
+    }
+    if (rule.values && !rule.values.includes(value)) {
+      return { path: at, message: `expected one of ${rule.values}` };
+    }
+    return null;
+  });
+
+  return unknown.concat(invalid.filter(p => p));
+}
+
+/**
+ * Check each entry of a keyed section, e.g. `ports`, against `shape`.
+ * @param {*} section
+ * @param {string} name
+ * @param {*} shape
+ * @param {function(string,*):{path:string,message:string}[]} [check] -
+ * additional checks for each entry
+ */
+function checkSection(section, name, shape, check = () => []) {
+  if (!types.object(section)) return [];
+
+  return Object.entries(section).flatMap(([key, entry]) => {
+    const path = `${name}.${key}`;
+    const problems = checkShape(entry, shape, path);
+    return types.object(entry)
+      ? problems.concat(check(path, entry, key))
+      : problems;
+  });
+}
+
+/**
+ * Check each element of a list, e.g. `mixins`, with `check`.
+ */
+function checkList(list, name, check) {
+  if (!types.array(list)) return [];
+
+  return list.flatMap((element, index) => check(`${name}[${index}]`, element));
+}
+
+/**
+ * Names of the methods the mixins add to a model. Mixins are applied to
+ * an empty object, so any that can't handle that are skipped.
+ * @param {Array<import("./mixins").functionalMixin>} mixins
+ * @returns {string[]}
+ */
+function mixinMethods(mixins) {
+  return mixins
+    .filter(mixin => typeof mixin === "function")
+    .flatMap(mixin => {
+      try {
+        const o = mixin({});
+        if (o instanceof Promise) {
+          o.catch(() => null);
+          return [];
+        }
+        return Object.keys(o).filter(key => typeof o[key] === "function");
+      } catch (error) {
+        return [];
+      }
+    });
+}
+
+/**
+ * Check the states of a state machine, and that its transitions
+ * lead to known states and nothing leaves a terminal state.
+ * @param {import("./mixins").stateMachineConfig} machine
+ */
+function checkStateMachine(machine) {
+  const problems = checkShape(machine, stateMachineShape, "stateMachine");
+  if (problems.length > 0) return problems;
+
+  const names = Object.keys(machine.states);
+  const initial = names.includes(machine.initial)
+    ? []
+    : [{ path: "stateMachine.initial", message: "unknown state" }];
+
+  return initial.concat(
+    checkSection(
+      machine.states,
+      "stateMachine.states",
+      stateShape,
+      (path, state) =>
+        state.terminal && Object.keys(state.transitions || {}).length > 0
+          ? [{ path: `${path}.transitions`, message: "terminal state" }]
+          : checkSection(
+              state.transitions,
+              `${path}.transitions`,
+              transitionShape,
+              (at, transition) => [
+                ...(names.includes(at.split(".").pop())
+                  ? []
+                  : [{ path: at, message: "unknown state" }]),
+                ...checkList(transition.acl, `${at}.acl`, (p, permission) =>
+                  types.string(permission)
+                    ? []
+                    : [{ path: p, message: "expected string" }]
+                ),
+              ]
+            )
+    )
+  );
+}
+
+/**
+ * Validate the structure of a {@link ModelSpecification} against the
+ * typedefs in `./index.js`, as well as its references to services,
+ * other models and model methods. Every problem found is returned, so
+ * they can be reported all at once.
+ *
+ * @param {ModelSpecification} spec
+ * @param {{
+ *  services?:{[x:string]:object},
+ *  adapters?:{[x:string]:function},
+ *  modelNames?:string[],
+ *  mixins?:Array<import("./mixins").functionalMixin>
+ * }} [options] - `services` injected into `adapters`, the `modelNames`
+ * relations may refer to, and any `mixins` applied to every model. If
+ * `adapters` are given, only the services of ports with an adapter are
+ * checked, since only those are injected. Related models are only
+ * checked if `modelNames` are given, including those the host loads
+ * from other remotes.
+ * @returns {specProblem[]} empty if the spec is valid
+ */
+export default function validateSpec(
+  spec,
+  { services = {}, adapters, modelNames, mixins = [] } = {}
+) {
+  const modelName = spec?.modelName || "(unnamed spec)";
+
+  if (!types.object(spec)) {
+    return [{ modelName, path: "", message: "expected object" }];
+  }
+
+  const serviceNames = Object.keys(services).concat(hostServices);
+  const methods = hostMethods.concat(
+    Object.keys(spec.ports || {}),
+    Object.keys(spec.relations || {}),
+    mixinMethods([...(spec.mixins || []), ...mixins])
+  );
+
+  const args = mixinArgs(spec.mixins);
+
+  const roles = Object.entries(spec.accessControlList || {})
+    .filter(([, acl]) => acl?.type === "role")
+    .map(([name]) => name);
+
+  const isFunction = (path, fn) =>
+    types.function(fn) ? [] : [{ path, message: "expected function" }];
+
+  const isPermission = (path, p) =>
+    isType("string|function", p)
+      ? []
+      : [{ path, message: "expected string|function" }];
+
+  const problems = [
+    ...checkShape(spec, specShape, ""),
+
+    ...checkList(spec.mixins, "mixins", isFunction),
+
+    ...checkList(spec.eventHandlers, "eventHandlers", isFunction),
+
+    ...checkSection(spec.ports, "ports", portShape, (path, port, name) => {
+      if (!port.service) {
+        return port.adapter
+          ? []
+          : [
+              {
+                path: `${path}.service`,
+                message: "service or adapter required",
+              },
+            ];
+      }
+      if (
+        !port.disabled &&
+        (!adapters || adapters[name]) &&
+        !serviceNames.includes(port.service)
+      ) {
+        return [
+          {
+            path: `${path}.service`,
+            message: `unknown service "${port.service}"`,
+          },
+        ];
+      }
+      return [];
+    }),
+
+    ...checkSection(spec.relations, "relations", relationShape, (path, rel) =>
+      modelNames &&
+      types.string(rel.modelName) &&
+      !modelNames.some(m => m.toLowerCase() === rel.modelName.toLowerCase())
+        ? [
+            {
+              path: `${path}.modelName`,
+              message: `no spec loaded for model "${rel.modelName}"`,
+            },
+          ]
+        : []
+    ),
+
+    ...checkSection(spec.commands, "commands", commandShape, (path, cmd) => [
+      ...(types.string(cmd.command) && !methods.includes(cmd.command)
+        ? [
+            {
+              path: `${path}.command`,
+              message: `no model method named "${cmd.command}"`,
+            },
+          ]
+        : []),
+      ...checkList(cmd.acl, `${path}.acl`, (at, permission) =>
+        types.string(permission)
+          ? []
+          : [{ path: at, message: "expected string" }]
+      ),
+    ]),
+
+    ...checkSection(
+      spec.accessControlList,
+      "accessControlList",
+      aclShape,
+      (path, acl) => [
+        ...checkList(acl.allow, `${path}.allow`, isPermission),
+        ...checkList(acl.deny, `${path}.deny`, isPermission),
+      ]
+    ),
+
+    ...Object.entries(args.maskProperties || {}).flatMap(([propKey, field]) =>
+      ["clear", "masked"].flatMap(list =>
+        checkList(
+          field?.[list],
+          `mixins.maskProperties.${propKey}.${list}`,
+          (path, role) =>
+            roles.includes(role)
+              ? []
+              : [{ path, message: `no role "${role}" in accessControlList` }]
+        )
+      )
+    ),
+
+    ...[
+      "requireProperties",
+      "freezeProperties",
+      "validateProperties",
+    ].flatMap(name =>
+      checkList(args[name], `mixins.${name}`, (path, rule) =>
+        types.object(rule) && rule.when !== undefined
+          ? conditionProblems(rule.when, `${path}.when`)
+          : []
+      )
+    ),
+
+    ...checkList(
+      args.validateProperties,
+      "mixins.validateProperties",
+      (path, v) => {
+        const name = types.string(v?.validator)
+          ? v.validator
+          : v?.validator?.name;
+        return v?.validator === undefined || getValidator(name)
+          ? []
+          : [
+              {
+                path: `${path}.validator`,
+                message: `unknown validator "${name}"`,
+              },
+            ];
+      }
+    ),
+
+    ...checkList(
+      args.crossValidateProperties,
+      "mixins.crossValidateProperties",
+      (path, rule) => {
+        const problems = checkShape(rule, crossFieldShape, path);
+        if (problems.length > 0) return problems;
+        return [
+          ...(rule.fields.length > 0
+            ? checkList(rule.fields, `${path}.fields`, (at, field) =>
+                types.string(field)
+                  ? []
+                  : [{ path: at, message: "expected string" }]
+              )
+            : [{ path: `${path}.fields`, message: "expected fields" }]),
+          ...(types.object(rule.isValid)
+            ? conditionProblems(rule.isValid, `${path}.isValid`)
+            : []),
+        ];
+      }
+    ),
+
+    ...checkList(spec.serializers, "serializers", (path, serializer) =>
+      checkShape(serializer, serializerShape, path)
+    ),
+
+    ...checkSection(spec.endpoints, "endpoints", endpointShape),
+
+    ...(types.object(spec.stateMachine)
+      ? checkStateMachine(spec.stateMachine)
+      : []),
+
+    ...checkList(spec.migrations, "migrations", (path, migration) => {
+      const problems = checkShape(migration, migrationShape, path);
+      if (problems.length > 0 || migration.version <= (spec.version || 0)) {
+        return problems;
+      }
+      return [
+        {
+          path: `${path}.version`,
+          message: `greater than spec version ${spec.version || 0}`,
+        },
+      ];
+    }),
+
+    ...(types.object(spec.datasource)
+      ? checkShape(spec.datasource, datasourceShape, "datasource")
+      : []),
+  ];
+
+  return problems.map(p => ({ modelName, ...p }));
+}
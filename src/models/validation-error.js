@@ -0,0 +1,156 @@
+"use strict";
+
+/**
+ * @typedef {object} violation
+ * @property {string} code - machine-readable error code, e.g. "INVALID_VALUE"
+ * @property {string} rule - the rule that failed, e.g. "regex", "maxnum",
+ * "values", "unique", "freeze", "require", "version", "timeout", "crossField",
+ * "transition", "acl"
+ * @property {string} [propKey] - the property that failed validation
+ * @property {string[]} [propKeys] - the properties a cross-field rule reads
+ * @property {string} [name] - the name of the cross-field rule
+ * @property {*} [value] - the offending value, redacted for encrypted properties
+ * @property {string} [modelName]
+ * @property {string} message - human-readable description
+ */
+
+/**
+ * Replaces the values of encrypted properties in violations.
+ */
+export const REDACTED = "[REDACTED]";
+
+/**
+ * Replaces the values of personal info erased on request,
+ * see `erasePersonalInfo`.
+ */
+export const ERASED = "[ERASED]";
+
+/**
+ * Error code and message for each rule. Rules not listed
+ * are reported as invalid values.
+ */
+const rules = {
+  require: {
+    code: "MISSING_PROPERTY",
+    message: key => `missing required property: ${key}`,
+  },
+  freeze: {
+    code: "READONLY_PROPERTY",
+    message: key => `cannot update readonly property: ${key}`,
+  },
+  computed: {
+    code: "READONLY_PROPERTY",
+    message: key => `cannot update computed property: ${key}`,
+  },
+  allow: {
+    code: "UNKNOWN_PROPERTY",
+    message: key => `invalid property: ${key}`,
+  },
+  unique: {
+    code: "DUPLICATE_VALUE",
+    message: key => `value of ${key} is already in use`,
+  },
+  version: {
+    code: "VERSION_CONFLICT",
+    message: () => "model was updated since it was read",
+  },
+  transition: {
+    code: "INVALID_TRANSITION",
+    message: key => `invalid change of ${key}`,
+  },
+  acl: {
+    code: "FORBIDDEN",
+    message: key => `not allowed to change ${key}`,
+  },
+  crossField: {
+    code: "INVALID_COMBINATION",
+    message: () => "invalid combination of values",
+  },
+  timeout: {
+    code: "VALIDATION_TIMEOUT",
+    message: () => "validation timed out",
+  },
+  default: {
+    code: "INVALID_VALUE",
+    message: key => `invalid value for ${key}`,
+  },
+};
+
+/**
+ * Describe a failed validation.
+ * @param {string} rule - the rule that failed
+ * @param {string} [propKey] - the property that failed
+ * @param {*} [value] - the offending value
+ * @param {string} [message] - overrides the default message of the rule
+ * @returns {violation}
+ */
+export function violation(rule, propKey, value, message) {
+  const { code, message: describe } = rules[rule] || rules.default;
+
+  return {
+    code,
+    rule,
+    propKey,
+    ...(value === undefined ? {} : { value }),
+    message: message || describe(propKey),
+  };
+}
+
+/**
+ * Thrown when a model fails validation. Lists every violation
+ * found, so clients can report all of them at once.
+ */
+export class ValidationError extends Error {
+  /**
+   * @param {violation[]} violations
+   */
+  constructor(violations) {
+    super(violations.map(v => v.message).join("; "));
+    this.name = "ValidationError";
+    this.code = "VALIDATION_FAILED";
+    this.violations = violations;
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      code: this.code,
+      message: this.message,
+      violations: this.violations,
+    };
+  }
+}
+
+/**
+ * Codes of violations caused by the current state of other models, or
+ * of the model itself, rather than by the request.
+ */
+export const CONFLICT_CODES = ["DUPLICATE_VALUE", "VERSION_CONFLICT"];
+
+/**
+ * Thrown when the only violations are values already used by other
+ * models, or a stale version, i.e. the request conflicts with the
+ * current state.
+ */
+export class ConflictError extends ValidationError {
+  /**
+   * @param {violation[]} violations
+   */
+  constructor(violations) {
+    super(violations);
+    this.name = "ConflictError";
+    this.code = "CONFLICT";
+  }
+}
+
+/**
+ * Did an update fail because the model changed since it was read?
+ * Reading the model again and retrying may succeed.
+ * @param {Error} error
+ */
+export function isVersionConflict(error) {
+  return (
+    error instanceof ConflictError &&
+    error.violations.some(v => v.code === "VERSION_CONFLICT")
+  );
+}
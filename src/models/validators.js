@@ -0,0 +1,281 @@
+"use strict";
+
+/**
+ * @callback validatorFn
+ * @param {*} value - the property value
+ * @param {Object} options - set in the validation, e.g. `{ country: "NL" }`
+ * @param {Object} o - the property owner, with the saved values of the
+ * properties an update doesn't change
+ * @returns {boolean} true if valid, throws to explain why not
+ */
+
+/**
+ * Validators referenced by name in `validateProperties`,
+ * e.g. `{ propKey: "iban", validator: "iban" }`.
+ * @type {Map<string,validatorFn>}
+ */
+const validators = new Map();
+
+/**
+ * Add a validator, or replace one, including the built-ins.
+ * @param {string} name
+ * @param {validatorFn} fn
+ */
+export function registerValidator(name, fn) {
+  if (typeof name !== "string" || !name) {
+    throw new TypeError("validator name must be a string");
+  }
+  if (typeof fn !== "function") {
+    throw new TypeError(`validator ${name} must be a function`);
+  }
+  validators.set(name, fn);
+}
+
+/**
+ * @param {string} name
+ * @returns {validatorFn|undefined}
+ */
+export function getValidator(name) {
+  return validators.get(name);
+}
+
+/**
+ * Run the validator a validation refers to, by name or as
+ * `{ name, ...options }`.
+ * @param {string|{name:string}} ref
+ * @param {*} value
+ * @param {Object} o - the property owner
+ * @returns {boolean}
+ * @throws {Error} if no validator has the name
+ */
+export function runValidator(ref, value, o) {
+  const { name, ...options } = typeof ref === "string" ? { name: ref } : ref;
+  const validator = validators.get(name);
+
+  if (!validator) throw new Error(`unknown validator ${name}`);
+  return validator(value, options, o);
+}
+
+/**
+ * Remove spaces, dashes, dots and parentheses people type in numbers.
+ * @param {*} value
+ */
+const compact = value => String(value).replace(/[\s\-.()]/g, "");
+
+const cardBrands = {
+  visa: /^4(\d{12}|\d{15}|\d{18})$/,
+  mastercard: /^(5[1-5]\d{2}|222[1-9]|22[3-9]\d|2[3-6]\d{2}|27[01]\d|2720)\d{12}$/,
+  amex: /^3[47]\d{13}$/,
+  discover: /^(6011|64[4-9]\d|65\d{2})\d{12,15}$/,
+  diners: /^3(0[0-5]|[689]\d)\d{11,16}$/,
+  jcb: /^35(2[89]|[3-8]\d)\d{12,15}$/,
+  unionpay: /^62\d{14,17}$/,
+};
+
+/**
+ * Find the brand of a card from its number.
+ * @param {string} number
+ * @returns {string|null} e.g. "visa", or null if unknown
+ */
+export function cardBrand(number) {
+  const digits = compact(number);
+  return Object.keys(cardBrands).find(b => cardBrands[b].test(digits)) || null;
+}
+
+/**
+ * Check the Luhn checksum of a card number.
+ * @param {string} number
+ */
+export function luhn(number) {
+  const digits = compact(number);
+  if (!/^\d+$/.test(digits)) return false;
+
+  const sum = [...digits].reverse().reduce((sum, d, i) => {
+    const n = Number(d) * (i % 2 ? 2 : 1);
+    return sum + (n > 9 ? n - 9 : n);
+  }, 0);
+  return sum % 10 === 0;
+}
+
+/**
+ * Length of the IBAN of each country.
+ */
+const ibanLengths = {
+  AD: 24,
+  AE: 23,
+  AL: 28,
+  AT: 20,
+  AZ: 28,
+  BA: 20,
+  BE: 16,
+  BG: 22,
+  BH: 22,
+  BR: 29,
+  CH: 21,
+  CR: 22,
+  CY: 28,
+  CZ: 24,
+  DE: 22,
+  DK: 18,
+  DO: 28,
+  EE: 20,
+  EG: 29,
+  ES: 24,
+  FI: 18,
+  FO: 18,
+  FR: 27,
+  GB: 22,
+  GE: 22,
+  GI: 23,
+  GL: 18,
+  GR: 27,
+  GT: 28,
+  HR: 21,
+  HU: 28,
+  IE: 22,
+  IL: 23,
+  IS: 26,
+  IT: 27,
+  JO: 30,
+  KW: 30,
+  KZ: 20,
+  LB: 28,
+  LI: 21,
+  LT: 20,
+  LU: 20,
+  LV: 21,
+  MC: 27,
+  MD: 24,
+  ME: 22,
+  MK: 19,
+  MR: 27,
+  MT: 31,
+  MU: 30,
+  NL: 18,
+  NO: 15,
+  PK: 24,
+  PL: 28,
+  PS: 29,
+  PT: 25,
+  QA: 29,
+  RO: 24,
+  RS: 22,
+  SA: 24,
+  SE: 24,
+  SI: 19,
+  SK: 24,
+  SM: 27,
+  TN: 24,
+  TR: 26,
+  UA: 29,
+  VG: 24,
+  XK: 20,
+};
+
+/**
+ * Check the length and mod-97 checksum of an IBAN.
+ * @param {string} value
+ */
+function iban(value) {
+  const code = compact(value).toUpperCase();
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(code)) return false;
+
+  const length = ibanLengths[code.slice(0, 2)];
+  if (length && code.length !== length) return false;
+
+  // letters count as 10 to 35, and the first four characters go last
+  const digits = [...(code.slice(4) + code.slice(0, 4))]
+    .map(c => parseInt(c, 36))
+    .join("");
+  return [...digits].reduce((rest, d) => (rest * 10 + Number(d)) % 97, 0) === 1;
+}
+
+/**
+ * Format of the postal codes of each country.
+ */
+const postalCodes = {
+  AT: /^\d{4}$/,
+  AU: /^\d{4}$/,
+  BE: /^\d{4}$/,
+  BR: /^\d{5}-?\d{3}$/,
+  CA: /^[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z] ?\d[ABCEGHJ-NPRSTV-Z]\d$/i,
+  CH: /^\d{4}$/,
+  DE: /^\d{5}$/,
+  DK: /^\d{4}$/,
+  ES: /^(0[1-9]|[1-4]\d|5[0-2])\d{3}$/,
+  FI: /^\d{5}$/,
+  FR: /^\d{5}$/,
+  GB: /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/i,
+  IE: /^[AC-FHKNPRTV-Y]\d{2}[0-9W] ?[AC-FHKNPRTV-Y0-9]{4}$/i,
+  IN: /^[1-9]\d{5}$/,
+  IT: /^\d{5}$/,
+  JP: /^\d{3}-?\d{4}$/,
+  MX: /^\d{5}$/,
+  NL: /^[1-9]\d{3} ?(?!SA|SD|SS)[A-Z]{2}$/i,
+  NO: /^\d{4}$/,
+  NZ: /^\d{4}$/,
+  PL: /^\d{2}-\d{3}$/,
+  PT: /^\d{4}-\d{3}$/,
+  SE: /^\d{3} ?\d{2}$/,
+  US: /^\d{5}(-\d{4})?$/,
+};
+
+/**
+ * Check a postal code against the format of its country, which is
+ * `options.country`, or the property of the owner named by
+ * `options.countryKey`, "country" by default. An update of the postal
+ * code alone is checked against the saved country.
+ * @type {validatorFn}
+ */
+function postalCode(value, options = {}, o = {}) {
+  const country = String(
+    options.country || o[options.countryKey || "country"] || ""
+  ).toUpperCase();
+
+  if (!postalCodes[country]) {
+    throw new Error(`no postal code format for country "${country}"`);
+  }
+  return postalCodes[country].test(String(value).trim());
+}
+
+/**
+ * Active ISO 4217 currency codes.
+ */
+const currencies = new Set(
+  (
+    "AED AFN ALL AMD ANG AOA ARS AUD AWG AZN BAM BBD BDT BGN BHD BIF BMD " +
+    "BND BOB BRL BSD BTN BWP BYN BZD CAD CDF CHF CLP CNY COP CRC CUP CVE " +
+    "CZK DJF DKK DOP DZD EGP ERN ETB EUR FJD FKP GBP GEL GHS GIP GMD GNF " +
+    "GTQ GYD HKD HNL HTG HUF IDR ILS INR IQD IRR ISK JMD JOD JPY KES KGS " +
+    "KHR KMF KPW KRW KWD KYD KZT LAK LBP LKR LRD LSL LYD MAD MDL MGA MKD " +
+    "MMK MNT MOP MRU MUR MVR MWK MXN MYR MZN NAD NGN NIO NOK NPR NZD OMR " +
+    "PAB PEN PGK PHP PKR PLN PYG QAR RON RSD RUB RWF SAR SBD SCR SDG SEK " +
+    "SGD SHP SLE SOS SRD SSP STN SVC SYP SZL THB TJS TMT TND TOP TRY TTD " +
+    "TWD TZS UAH UGX USD UYU UZS VES VND VUV WST XAF XCD XOF XPF YER ZAR " +
+    "ZMW ZWL"
+  ).split(" ")
+);
+
+/**
+ * A card number with a valid checksum and a known brand, optionally
+ * one of `options.brands`.
+ */
+registerValidator("creditCard", (value, options = {}) => {
+  const brand = cardBrand(value);
+  return (
+    luhn(value) &&
+    !!brand &&
+    (!options.brands || options.brands.includes(brand))
+  );
+});
+
+/**
+ * An international phone number in E.164 format, e.g. +31 20 123 4567.
+ */
+registerValidator("phone", value => /^\+[1-9]\d{1,14}$/.test(compact(value)));
+
+registerValidator("iban", iban);
+
+registerValidator("postalCode", postalCode);
+
+registerValidator("currency", value => currencies.has(value));
@@ -0,0 +1,614 @@
+"use strict";
+
+import assert from "assert";
+import express from "express";
+import session from "express-session";
+import makeApi, { parseRoles } from "../src/api";
+import {
+  auditTrail,
+  AUDIT_CONTEXT,
+  encryptProperties,
+  hashPasswords,
+  maskProperties,
+  stateMachine,
+} from "../src/models/mixins";
+import { REDACTED } from "../src/models/validation-error";
+import { encrypt } from "../src/lib/utils";
+
+const MODELS_URL = "http://host/api/models";
+
+/** An error response of the host, as axios throws it */
+function hostError(status, data) {
+  return Object.assign(new Error(`status ${status}`), {
+    isAxiosError: true,
+    response: { status, data },
+  });
+}
+
+/**
+ * Answers the requests of the API to the host from `routes`, by
+ * method and path, e.g. `"GET /orders/o1"`. Functions are passed
+ * the request body and config.
+ */
+function fakeHost(routes) {
+  const calls = [];
+  const request = method => async (url, ...args) => {
+    const [body, config] = method === "GET" ? [undefined, ...args] : args;
+    const route = `${method} ${url.replace(MODELS_URL, "")}`;
+    const found = routes[route];
+
+    calls.push({ route, body, config });
+    if (found === undefined) {
+      throw hostError(404);
+    }
+    return { data: typeof found === "function" ? found(body, config) : found };
+  };
+
+  return {
+    calls,
+    get: request("GET"),
+    post: request("POST"),
+    patch: request("PATCH"),
+  };
+}
+
+describe("api", function () {
+  const machine = {
+    propKey: "orderStatus",
+    initial: "PENDING",
+    states: {
+      PENDING: {
+        transitions: {
+          APPROVED: { acl: ["approve"] },
+          CANCELED: { acl: ["cancel"] },
+        },
+      },
+      APPROVED: {},
+      CANCELED: { terminal: true },
+    },
+  };
+  const acl = {
+    owner: { allow: "*", deny: "delete", type: "role" },
+    approver: { allow: "approve", type: "role" },
+    finance: { allow: ["read", "revert"], type: "role" },
+  };
+  const models = [
+    {
+      modelName: "order",
+      endpoint: "orders",
+      factory: () => async input => ({ ...input }),
+      mixins: [
+        stateMachine(machine, acl),
+        maskProperties({
+          email: { mask: "email", clear: ["owner"], masked: ["support"] },
+        }),
+        auditTrail(),
+      ],
+      stateMachine: machine,
+      relations: {
+        customer: {
+          modelName: "customer",
+          foreignKey: "customerId",
+          type: "manyToOne",
+        },
+      },
+      accessControlList: acl,
+      commands: { revert: { command: "revert", acl: ["revert"] } },
+      endpoints: { revert: { uri: "revert", method: "post" } },
+    },
+    {
+      modelName: "user",
+      endpoint: "users",
+      factory: () => async input => ({ ...input }),
+      mixins: [hashPasswords("password"), encryptProperties("email")],
+    },
+  ];
+  const order = {
+    version: 3,
+    orderStatus: "PENDING",
+    customerId: "c2",
+    email: "bob@example.com",
+    history: [
+      {
+        revision: 1,
+        user: "u2",
+        via: "api",
+        event: "create",
+        changes: { orderStatus: { from: null, to: "PENDING" } },
+      },
+    ],
+  };
+  // everyone's password is their user name
+  const users = [
+    {
+      userId: "u1",
+      userName: "alice",
+      password: "scrypt$16384$8$1$c2FsdA==$aGFzaA==",
+      email: encrypt("alice@example.com"),
+    },
+    { userId: "u2", userName: "bob", customerId: "c2" },
+    { userId: "u3", userName: "mallory", customerId: "c2" },
+    { userId: "u4", userName: "root" },
+    { userId: "u5", userName: "carol" },
+    { userId: "u6", userName: "finn" },
+  ];
+  const host = fakeHost({
+    "GET /users": users,
+    ...users.reduce(
+      (routes, { userId, userName }) => ({
+        ...routes,
+        [`POST /users/${userId}/login`]: body => ({
+          verified: body.password === userName,
+        }),
+      }),
+      {}
+    ),
+    "GET /customers/c2": (body, config) =>
+      config?.params?.command === "exportPersonalData"
+        ? { document: { customer: { lastName: "Bob" } }, html: "<h1>Bob</h1>" }
+        : { customerId: "c2", userId: "u2" },
+    "GET /orders": [order],
+    "GET /orders/o1": order,
+    "POST /orders": ({ [AUDIT_CONTEXT]: by, ...body }) => body,
+    "PATCH /orders/o1": ({ [AUDIT_CONTEXT]: by, ...body }) => {
+      if (body.orderStatus && !by.roles.includes("owner")) {
+        throw hostError(400, {
+          violations: [{ code: "FORBIDDEN", propKey: "orderStatus" }],
+        });
+      }
+      if (body.note === "raced") {
+        throw hostError(409, {
+          violations: [{ code: "VERSION_CONFLICT", propKey: "version" }],
+        });
+      }
+      return { ...order, ...body, version: order.version + 1 };
+    },
+    "POST /orders/o1/revert": { ...order, orderStatus: "APPROVED" },
+  });
+
+  let server;
+  let base;
+
+  before(function (done) {
+    const app = express();
+    app.use(
+      session({ secret: "test", resave: false, saveUninitialized: false })
+    );
+    app.use(express.json());
+    app.use(
+      makeApi({
+        models,
+        modelsUrl: MODELS_URL,
+        roles: parseRoles(
+          "approver:alice;admin:root;support:carol;finance:finn"
+        ),
+        client: host,
+      })
+    );
+    server = app.listen(0, () => {
+      base = `http://localhost:${server.address().port}`;
+      done();
+    });
+  });
+
+  after(function (done) {
+    server.close(done);
+  });
+
+  const login = body =>
+    fetch(`${base}/login`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+
+  /** Log in, and return the session cookie */
+  const as = async (userName, extra = {}) => {
+    const res = await login({ userName, password: userName, ...extra });
+    assert.strictEqual(res.status, 200);
+    return res.headers.get("set-cookie").split(";")[0];
+  };
+
+  const get = (path, cookie) =>
+    fetch(`${base}${path}`, { headers: cookie ? { cookie } : {} });
+
+  const send = (method, path, body, cookie) =>
+    fetch(`${base}${path}`, {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+        ...(cookie ? { cookie } : {}),
+      },
+      body: JSON.stringify(body),
+    });
+
+  /** The bodies of the requests the API sent the host for `route` */
+  const sent = route =>
+    host.calls.filter(c => c.route === route).map(c => c.body);
+
+  describe("parseRoles()", function () {
+    it("lists the roles of each user", function () {
+      assert.deepStrictEqual(
+        parseRoles("admin:alice; finance:bob,alice;broken;empty:"),
+        { alice: ["admin", "finance"], bob: ["finance"] }
+      );
+      assert.deepStrictEqual(parseRoles(undefined), {});
+    });
+  });
+
+  describe("POST /login", function () {
+    it("rejects unknown users and wrong passwords", async function () {
+      assert.strictEqual(
+        (await login({ userName: "eve", password: "x" })).status,
+        401
+      );
+      assert.strictEqual(
+        (await login({ userName: "alice", password: "bob" })).status,
+        401
+      );
+      assert.strictEqual((await login({ userName: "alice" })).status, 400);
+    });
+
+    it("takes the roles from the server, not the request", async function () {
+      const cookie = await as("mallory", {
+        role: "approver",
+        roles: ["approver"],
+      });
+      const res = await get("/api/orders/o1/transitions", cookie);
+
+      assert.deepStrictEqual((await res.json()).transitions, []);
+    });
+  });
+
+  describe("GET /api/:endpoint/:id", function () {
+    const email = async (path, user) =>
+      (await (await get(path, await as(user))).json()).email;
+
+    it("requires a session", async function () {
+      assert.strictEqual((await get("/api/orders/o1")).status, 401);
+      assert.strictEqual((await get("/api/orders")).status, 401);
+    });
+
+    it("masks properties for the caller's roles", async function () {
+      assert.strictEqual(await email("/api/orders/o1", "bob"), order.email);
+      assert.strictEqual(
+        await email("/api/orders/o1", "carol"),
+        "b***@example.com"
+      );
+      assert.strictEqual(await email("/api/orders/o1", "alice"), REDACTED);
+    });
+
+    it("masks lists of models too", async function () {
+      const res = await get("/api/orders", await as("carol"));
+
+      assert.deepStrictEqual(
+        (await res.json()).map(o => o.email),
+        ["b***@example.com"]
+      );
+    });
+
+    it("tags the model with its version", async function () {
+      const res = await get("/api/orders/o1", await as("bob"));
+
+      assert.strictEqual(res.headers.get("etag"), '"3"');
+    });
+
+    it("never sends password hashes or ciphertext", async function () {
+      const res = await get("/api/users", await as("bob"));
+      const [alice] = await res.json();
+
+      assert.strictEqual(alice.userName, "alice");
+      assert.ok(!("password" in alice));
+      assert.ok(!("email" in alice));
+    });
+
+    it("only passes on the filters of the model", async function () {
+      host.calls.length = 0;
+      await get(
+        "/api/orders?orderStatus=PENDING&customerId[$ne]=c1&command=exportPersonalData",
+        await as("carol")
+      );
+
+      assert.deepStrictEqual(
+        host.calls.find(c => c.route === "GET /orders").config.params,
+        { orderStatus: "PENDING" }
+      );
+    });
+
+    it("leaves other routes alone", async function () {
+      assert.strictEqual((await get("/api/nothing/o1")).status, 404);
+      assert.strictEqual(
+        host.calls.filter(c => c.route.includes("nothing")).length,
+        0
+      );
+    });
+  });
+
+  describe("POST and PATCH /api/:endpoint", function () {
+    beforeEach(function () {
+      host.calls.length = 0;
+    });
+
+    it("require a session", async function () {
+      assert.strictEqual((await send("POST", "/api/orders", {})).status, 401);
+      assert.strictEqual(
+        (await send("PATCH", "/api/orders/o1", {})).status,
+        401
+      );
+      assert.deepStrictEqual(host.calls, []);
+    });
+
+    it("pass the caller on, whoever the client claims to be", async function () {
+      const res = await send(
+        "PATCH",
+        "/api/orders/o1",
+        {
+          note: "leave at the door",
+          [AUDIT_CONTEXT]: { user: "root", roles: ["admin"] },
+        },
+        await as("bob")
+      );
+
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual((await res.json()).email, order.email);
+      assert.deepStrictEqual(sent("PATCH /orders/o1"), [
+        {
+          note: "leave at the door",
+          [AUDIT_CONTEXT]: { user: "u2", roles: ["owner"], via: "api" },
+        },
+      ]);
+    });
+
+    it("pass the caller on with new models", async function () {
+      const res = await send(
+        "POST",
+        "/api/orders",
+        { email: "carol@example.com" },
+        await as("carol")
+      );
+
+      assert.strictEqual(res.status, 201);
+      assert.strictEqual((await res.json()).email, "c***@example.com");
+      assert.deepStrictEqual(sent("POST /orders")[0][AUDIT_CONTEXT], {
+        user: "u5",
+        roles: ["support"],
+        via: "api",
+      });
+    });
+
+    it("forbid changes the caller's roles don't allow", async function () {
+      const res = await send(
+        "PATCH",
+        "/api/orders/o1",
+        { orderStatus: "CANCELED" },
+        await as("alice")
+      );
+
+      assert.strictEqual(res.status, 403);
+      assert.strictEqual((await res.json()).violations[0].code, "FORBIDDEN");
+    });
+  });
+
+  describe("PATCH /api/:endpoint/:id with If-Match", function () {
+    const patch = async (ifMatch, body = { note: "ring twice" }) =>
+      fetch(`${base}/api/orders/o1`, {
+        method: "PATCH",
+        headers: {
+          "Content-Type": "application/json",
+          "If-Match": ifMatch,
+          cookie: await as("bob"),
+        },
+        body: JSON.stringify(body),
+      });
+
+    beforeEach(function () {
+      host.calls.length = 0;
+    });
+
+    it("fails the precondition if the model changed since", async function () {
+      const res = await patch('"2"');
+
+      assert.strictEqual(res.status, 412);
+      assert.strictEqual(res.headers.get("etag"), '"3"');
+      assert.deepStrictEqual(sent("PATCH /orders/o1"), []);
+    });
+
+    it("passes the version on, and tags the updated model", async function () {
+      const res = await patch('W/"3"');
+
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.headers.get("etag"), '"4"');
+      assert.strictEqual(sent("PATCH /orders/o1")[0].version, 3);
+    });
+
+    it("fails the precondition if the host saved another update first", async function () {
+      const res = await patch('"3"', { note: "raced" });
+
+      assert.strictEqual(res.status, 412);
+      assert.strictEqual(
+        (await res.json()).violations[0].code,
+        "VERSION_CONFLICT"
+      );
+    });
+  });
+
+  describe("GET /api/:endpoint/:id/history", function () {
+    it("requires a session", async function () {
+      assert.strictEqual((await get("/api/orders/o1/history")).status, 401);
+    });
+
+    it("lists the changes to the model", async function () {
+      const res = await get("/api/orders/o1/history", await as("alice"));
+
+      assert.deepStrictEqual(await res.json(), order.history);
+    });
+  });
+
+  describe("POST /api/:endpoint/:id/revert", function () {
+    beforeEach(function () {
+      host.calls.length = 0;
+    });
+
+    it("needs the permissions of the revert command", async function () {
+      const res = await send(
+        "POST",
+        "/api/orders/o1/revert",
+        { revision: 1 },
+        await as("alice")
+      );
+
+      assert.strictEqual(res.status, 403);
+      assert.deepStrictEqual(sent("POST /orders/o1/revert"), []);
+    });
+
+    it("passes on who is reverting", async function () {
+      const res = await send(
+        "POST",
+        "/api/orders/o1/revert",
+        { revision: 1, propKeys: ["orderStatus"] },
+        await as("finn")
+      );
+
+      assert.strictEqual(res.status, 200);
+      assert.deepStrictEqual(sent("POST /orders/o1/revert"), [
+        {
+          revision: 1,
+          propKeys: ["orderStatus"],
+          [AUDIT_CONTEXT]: { user: "u6", roles: ["finance"], via: "api" },
+        },
+      ]);
+    });
+  });
+
+  describe("validate routes", function () {
+    it("require a session", async function () {
+      assert.strictEqual(
+        (await send("POST", "/api/orders/validate", {})).status,
+        401
+      );
+      assert.strictEqual(
+        (await send("PATCH", "/api/orders/o1/validate", {})).status,
+        401
+      );
+    });
+
+    it("only validate updates of models the caller may read", async function () {
+      const alice = await as("alice");
+
+      assert.strictEqual(
+        (await send("PATCH", "/api/orders/o1/validate", {}, alice)).status,
+        403
+      );
+      assert.strictEqual(
+        (await send("PATCH", "/api/orders/o9/validate", {}, alice)).status,
+        403
+      );
+
+      const res = await send(
+        "PATCH",
+        "/api/orders/o1/validate",
+        { note: "ring twice" },
+        await as("bob")
+      );
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual((await res.json()).valid, true);
+    });
+
+    it("validate transitions with the caller's roles", async function () {
+      const validate = async userName =>
+        (
+          await send(
+            "PATCH",
+            "/api/orders/o1/validate",
+            { orderStatus: "CANCELED" },
+            await as(userName)
+          )
+        ).json();
+
+      assert.strictEqual((await validate("bob")).valid, true);
+      const { valid, violations } = await validate("finn");
+      assert.strictEqual(valid, false);
+      assert.strictEqual(violations[0].code, "FORBIDDEN");
+    });
+  });
+
+  describe("GET /api/:endpoint/:id/transitions", function () {
+    it("requires a session", async function () {
+      assert.strictEqual((await get("/api/orders/o1/transitions")).status, 401);
+    });
+
+    it("lists the transitions of the caller's roles", async function () {
+      const res = await get("/api/orders/o1/transitions", await as("alice"));
+
+      assert.deepStrictEqual(await res.json(), {
+        state: "PENDING",
+        terminal: false,
+        transitions: [{ state: "APPROVED" }],
+      });
+    });
+
+    it("makes users the owners of the models of their customer", async function () {
+      const res = await get("/api/orders/o1/transitions", await as("bob"));
+
+      assert.deepStrictEqual((await res.json()).transitions, [
+        { state: "APPROVED" },
+        { state: "CANCELED" },
+      ]);
+    });
+
+    it("only if the customer is linked back to the user", async function () {
+      // mallory claims bob's customer
+      const res = await get("/api/orders/o1/transitions", await as("mallory"));
+
+      assert.deepStrictEqual((await res.json()).transitions, []);
+    });
+  });
+
+  describe("GET /api/customers/:id/personal-data", function () {
+    const path = "/api/customers/c2/personal-data";
+    const exports = () =>
+      host.calls.filter(
+        c => c.config?.params?.command === "exportPersonalData"
+      );
+
+    beforeEach(function () {
+      host.calls.length = 0;
+    });
+
+    it("requires a session", async function () {
+      assert.strictEqual((await get(path)).status, 401);
+    });
+
+    it("is forbidden to other users", async function () {
+      // mallory claims bob's customer, alice is no admin
+      assert.strictEqual((await get(path, await as("mallory"))).status, 403);
+      assert.strictEqual((await get(path, await as("alice"))).status, 403);
+      assert.deepStrictEqual(exports(), []);
+    });
+
+    it("downloads the personal data of the caller's customer", async function () {
+      const res = await get(path, await as("bob"));
+
+      assert.strictEqual(res.status, 200);
+      assert.match(
+        res.headers.get("content-disposition"),
+        /attachment; filename="personal-data-c2.json"/
+      );
+      assert.deepStrictEqual(await res.json(), {
+        customer: { lastName: "Bob" },
+      });
+      assert.deepStrictEqual(exports()[0].config.headers, {
+        "X-User-Id": "u2",
+        "X-User-Roles": "owner",
+      });
+    });
+
+    it("is available to admins", async function () {
+      const res = await get(`${path}?format=html`, await as("root"));
+
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(await res.text(), "<h1>Bob</h1>");
+      assert.strictEqual(exports()[0].config.headers["X-User-Roles"], "admin");
+    });
+  });
+});
@@ -0,0 +1,230 @@
+"use strict";
+
+import assert from "assert";
+import {
+  uniqueIndex,
+  withUniqueIndex,
+  UNIQUE_KEYS,
+} from "../../src/datasources/unique-index";
+import {
+  validateModel,
+  validateProperties,
+  requireProperties,
+  encryptProperties,
+  ConflictError,
+} from "../../src/models/mixins";
+import { blindIndex, compose } from "../../src/lib/utils";
+
+function makeUser(id, props) {
+  return compose(
+    requireProperties("password"),
+    encryptProperties("email"),
+    validateProperties([
+      { propKey: "userName", unique: { encrypted: false } },
+      { propKey: "email", unique: { encrypted: true } },
+    ])
+  )({
+    ...props,
+    getId: () => id,
+    getName: () => "uniqueTest",
+    listSync: () => [],
+  });
+}
+
+describe("unique constraints", function () {
+  it("fails the second of two concurrent writers with a conflict", async function () {
+    const results = await Promise.allSettled([
+      validateModel(makeUser("1", { userName: "ann", password: "x" }), {}, 2),
+      validateModel(makeUser("2", { userName: "ann", password: "x" }), {}, 2),
+    ]);
+
+    assert.strictEqual(results[0].status, "fulfilled");
+    assert.ok(results[1].reason instanceof ConflictError);
+    assert.strictEqual(results[1].reason.code, "CONFLICT");
+    assert.deepStrictEqual(
+      results[1].reason.violations.map(v => [v.code, v.propKey]),
+      [["DUPLICATE_VALUE", "userName"]]
+    );
+  });
+
+  it("compares encrypted values and redacts them", async function () {
+    await validateModel(
+      makeUser("3", { email: "bob@example.com", password: "x" }),
+      {},
+      2
+    );
+    await assert.rejects(
+      () =>
+        validateModel(
+          makeUser("4", { email: "bob@example.com", password: "x" }),
+          {},
+          2
+        ),
+      error =>
+        error instanceof ConflictError &&
+        !JSON.stringify(error).includes("bob@example.com")
+    );
+  });
+
+  it("compares the blind index saved with other models", async function () {
+    const saved = {
+      getId: () => "8",
+      email: "ciphertext",
+      [UNIQUE_KEYS]: { email: blindIndex("kim@example.com") },
+    };
+    const user = {
+      ...makeUser("9", { email: "kim@example.com", password: "x" }),
+      listSync: () => [saved],
+    };
+
+    await assert.rejects(() => validateModel(user, {}, 2), ConflictError);
+  });
+
+  it("releases the keys of a model that fails validation", async function () {
+    await assert.rejects(
+      () => validateModel(makeUser("5", { userName: "cat" }), {}, 2),
+      error => !(error instanceof ConflictError)
+    );
+    await validateModel(
+      makeUser("6", { userName: "cat", password: "x" }),
+      {},
+      2
+    );
+  });
+
+  it("enforces unique keys when saving to the datasource", async function () {
+    const saved = new Map();
+    class DataSource {
+      save(id, data) {
+        saved.set(id, data);
+      }
+      delete(id) {
+        saved.delete(id);
+      }
+    }
+    const UniqueDataSource = withUniqueIndex(DataSource, "uniqueSave", [
+      { propKey: "userName" },
+    ]);
+    const ds = new UniqueDataSource();
+
+    ds.save("1", { userName: "dan" });
+    ds.save("1", { userName: "dan" });
+    await assert.rejects(ds.save("2", { userName: "dan" }), ConflictError);
+    assert.strictEqual(saved.has("2"), false);
+
+    ds.delete("1");
+    ds.save("2", { userName: "dan" });
+    assert.deepStrictEqual(
+      uniqueIndex("uniqueSave").reserve("3", { userName: "dan" }),
+      ["userName"]
+    );
+  });
+
+  /**
+   * A collection shared by every instance, which enforces unique
+   * indexes like MongoDB, once they're created.
+   */
+  function makeCollection() {
+    const docs = new Map();
+    const indexed = [];
+
+    return {
+      docs,
+      async createIndex(keys, { unique }) {
+        if (unique) indexed.push(Object.keys(keys)[0]);
+      },
+      async replaceOne({ _id }, doc) {
+        await new Promise(resolve => setImmediate(resolve));
+        const get = (d, path) => path.split(".").reduce((v, k) => v?.[k], d);
+        const duplicate = indexed.find(path =>
+          [...docs.values()].some(
+            d =>
+              d._id !== _id &&
+              get(doc, path) !== undefined &&
+              get(d, path) === get(doc, path)
+          )
+        );
+        if (duplicate) {
+          throw Object.assign(new Error("E11000 duplicate key error"), {
+            code: 11000,
+            keyValue: { [duplicate]: get(doc, duplicate) },
+          });
+        }
+        docs.set(_id, doc);
+      },
+    };
+  }
+
+  /**
+   * Load the datasource module again, as another instance, or the
+   * same one after a restart, would: without any reservations.
+   */
+  function startInstance(collection, modelName) {
+    const file = require.resolve("../../src/datasources/unique-index");
+    const loaded = require.cache[file];
+    delete require.cache[file];
+    const { withUniqueIndex } = require(file);
+    require.cache[file] = loaded;
+
+    class DataSourceMongoDb {
+      collection() {
+        return collection;
+      }
+      async save(id, data) {
+        await collection.replaceOne({ _id: id }, { ...data, _id: id });
+      }
+      delete(id) {
+        collection.docs.delete(id);
+      }
+    }
+    const UniqueDataSource = withUniqueIndex(DataSourceMongoDb, modelName, [
+      { propKey: "userName" },
+      { propKey: "email", encrypted: true },
+    ]);
+    return new UniqueDataSource();
+  }
+
+  it("saves the indexed values of unique keys with the model", async function () {
+    const collection = makeCollection();
+    const ds = startInstance(collection, "uniqueSaved");
+
+    await ds.save("1", { userName: "eve", email: "eve@example.com" });
+    assert.deepStrictEqual(collection.docs.get("1")[UNIQUE_KEYS], {
+      userName: "eve",
+      email: blindIndex("eve@example.com"),
+    });
+  });
+
+  it("fails concurrent creates on two instances with a conflict", async function () {
+    const collection = makeCollection();
+    const first = startInstance(collection, "uniqueInstances");
+    const second = startInstance(collection, "uniqueInstances");
+
+    const results = await Promise.allSettled([
+      first.save("1", { userName: "fay", email: "fay@example.com" }),
+      second.save("2", { userName: "gus", email: "fay@example.com" }),
+    ]);
+
+    assert.strictEqual(results[0].status, "fulfilled");
+    assert.ok(results[1].reason instanceof ConflictError);
+    assert.deepStrictEqual(
+      results[1].reason.violations.map(v => [v.code, v.propKey]),
+      [["DUPLICATE_VALUE", "email"]]
+    );
+    assert.strictEqual(collection.docs.has("2"), false);
+  });
+
+  it("fails duplicates of values saved before a restart", async function () {
+    const collection = makeCollection();
+    await startInstance(collection, "uniqueRestart").save("1", {
+      userName: "hal",
+    });
+
+    const restarted = startInstance(collection, "uniqueRestart");
+    await assert.rejects(
+      () => restarted.save("2", { userName: "hal" }),
+      ConflictError
+    );
+    await restarted.save("2", { userName: "ida" });
+  });
+});
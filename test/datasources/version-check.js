@@ -0,0 +1,174 @@
+"use strict";
+
+import assert from "assert";
+import { withVersionCheck } from "../../src/datasources/version-check";
+import { ConflictError, isVersionConflict } from "../../src/models/mixins";
+
+describe("version check", function () {
+  const stale = error =>
+    error instanceof ConflictError && isVersionConflict(error);
+
+  /**
+   * A datasource saving to `db`, which every instance shares.
+   */
+  function makeDataSource(db) {
+    class DataSource {
+      async find(id) {
+        return db.get(id);
+      }
+      async save(id, data) {
+        await new Promise(resolve => setImmediate(resolve));
+        if (data.fail) throw new Error("disk full");
+        db.set(id, data);
+      }
+    }
+    return new (withVersionCheck(DataSource, "versionCheck"))();
+  }
+
+  it("rejects saves of stale models", async function () {
+    const db = new Map();
+    const ds = makeDataSource(db);
+
+    await ds.save("1", { version: 1, orderStatus: "PENDING" });
+    await ds.save("1", { version: 2, orderStatus: "APPROVED" });
+    await assert.rejects(
+      ds.save("1", { version: 2, orderStatus: "CANCELED" }),
+      stale
+    );
+    assert.strictEqual(db.get("1").orderStatus, "APPROVED");
+
+    await ds.save("1", { orderStatus: "SHIPPING" });
+    assert.strictEqual(db.get("1").orderStatus, "SHIPPING");
+  });
+
+  it("compares with the version saved by other instances", async function () {
+    const db = new Map();
+    const first = makeDataSource(db);
+    const second = makeDataSource(db);
+
+    await first.save("1", { version: 1 });
+    await first.save("1", { version: 2, orderStatus: "APPROVED" });
+    await assert.rejects(
+      second.save("1", { version: 2, orderStatus: "CANCELED" }),
+      stale
+    );
+    assert.strictEqual(db.get("1").orderStatus, "APPROVED");
+  });
+
+  it("rejects saves of a version already being saved", async function () {
+    const db = new Map();
+    const ds = makeDataSource(db);
+
+    const results = await Promise.allSettled([
+      ds.save("1", { version: 1, orderStatus: "PENDING" }),
+      ds.save("1", { version: 1, orderStatus: "CANCELED" }),
+    ]);
+
+    assert.strictEqual(results[0].status, "fulfilled");
+    assert.ok(stale(results[1].reason));
+    assert.strictEqual(db.get("1").orderStatus, "PENDING");
+  });
+
+  describe("with a MongoDB collection", function () {
+    /**
+     * A collection replacing documents matching `_id` and `version`.
+     */
+    function makeCollection() {
+      const docs = new Map();
+      const matches = (doc, filter) =>
+        Object.entries(filter).every(([key, value]) =>
+          value?.$exists === false ? !(key in doc) : doc[key] === value
+        );
+
+      return {
+        docs,
+        async replaceOne(filter, doc, { upsert } = {}) {
+          const saved = docs.get(filter._id);
+          if (saved && matches(saved, filter)) {
+            docs.set(filter._id, doc);
+            return { matchedCount: 1, upsertedCount: 0 };
+          }
+          if (!upsert) return { matchedCount: 0, upsertedCount: 0 };
+          if (saved) {
+            throw Object.assign(new Error("E11000 duplicate key"), {
+              code: 11000,
+              keyPattern: { _id: 1 },
+            });
+          }
+          docs.set(filter._id, doc);
+          return { matchedCount: 0, upsertedCount: 1 };
+        },
+      };
+    }
+
+    /**
+     * An instance caching what it saves, as the MongoDB datasource
+     * extends the in-memory one, saving to the shared `collection`.
+     */
+    function startInstance(collection) {
+      class DataSourceMemory {
+        constructor() {
+          this.cache = new Map();
+        }
+        save(id, data) {
+          this.cache.set(id, data);
+        }
+      }
+      class DataSourceMongoDb extends DataSourceMemory {
+        collection() {
+          return collection;
+        }
+        async save(id, data) {
+          super.save(id, data);
+          await collection.replaceOne({ _id: id }, { ...data, _id: id });
+        }
+      }
+      return new (withVersionCheck(DataSourceMongoDb, "versionCheck"))();
+    }
+
+    it("only replaces the version the model was read at", async function () {
+      const collection = makeCollection();
+      const first = startInstance(collection);
+      const second = startInstance(collection);
+
+      await first.save("1", { version: 1, orderStatus: "PENDING" });
+      await Promise.all([
+        first.save("1", { version: 2, orderStatus: "APPROVED" }),
+        assert.rejects(
+          second.save("1", { version: 2, orderStatus: "CANCELED" }),
+          stale
+        ),
+      ]);
+
+      assert.strictEqual(collection.docs.get("1").orderStatus, "APPROVED");
+      assert.strictEqual(first.cache.get("1").orderStatus, "APPROVED");
+      assert.ok(!second.cache.has("1"));
+    });
+
+    it("inserts new models once", async function () {
+      const collection = makeCollection();
+      const ds = startInstance(collection);
+
+      await ds.save("1", { version: 1, orderStatus: "PENDING" });
+      await assert.rejects(ds.save("1", { version: 1 }), stale);
+      assert.strictEqual(collection.docs.get("1").orderStatus, "PENDING");
+    });
+
+    it("versions models saved without one", async function () {
+      const collection = makeCollection();
+      const ds = startInstance(collection);
+
+      await ds.save("1", { orderStatus: "PENDING" });
+      await ds.save("1", { version: 1, orderStatus: "APPROVED" });
+      assert.strictEqual(collection.docs.get("1").version, 1);
+    });
+  });
+
+  it("can save the version again if the save fails", async function () {
+    const ds = makeDataSource(new Map());
+
+    await ds.save("2", { version: 1 });
+    await assert.rejects(ds.save("2", { version: 2, fail: true }), /disk full/);
+    await ds.save("2", { version: 2 });
+  });
+});
@@ -0,0 +1,164 @@
+"use strict";
+
+import assert from "assert";
+import crypto from "crypto";
+import {
+  encrypt,
+  decrypt,
+  isEncrypted,
+  needsRotation,
+  blindIndex,
+  setEncryptionKeys,
+  hash,
+  hashPassword,
+  verifyPassword,
+  needsRehash,
+  requireSecret,
+} from "../../src/lib/utils";
+import { encryptProperties } from "../../src/models/mixins";
+
+describe("utils", function () {
+  afterEach(function () {
+    setEncryptionKeys(`0:${process.env.ENCRYPTION_PWD}`);
+  });
+
+  describe("encrypt()", function () {
+    it("never encrypts a value the same way twice", function () {
+      const first = encrypt("jane@example.com");
+      const second = encrypt("jane@example.com");
+      assert.notStrictEqual(first, second);
+      assert.ok(isEncrypted(first));
+      assert.strictEqual(decrypt(first), "jane@example.com");
+      assert.strictEqual(decrypt(second), "jane@example.com");
+    });
+
+    it("fails to decrypt a value that was tampered with", function () {
+      const parts = encrypt("jane@example.com").split(":");
+      parts[5] = Buffer.from("john@example.com").toString("base64");
+      assert.throws(() => decrypt(parts.join(":")));
+    });
+
+    it("rejects truncated auth tags", function () {
+      const parts = encrypt("jane@example.com").split(":");
+      parts[4] = Buffer.from(parts[4], "base64").slice(0, 4).toString("base64");
+      assert.throws(() => decrypt(parts.join(":")), /invalid auth tag/);
+    });
+  });
+
+  describe("keyring", function () {
+    it("decrypts with old keys and encrypts with the current one", function () {
+      setEncryptionKeys("old:first secret");
+      const old = encrypt("555-1234");
+      assert.strictEqual(old.split(":")[2], "old");
+
+      setEncryptionKeys("new:second secret,old:first secret");
+      assert.strictEqual(decrypt(old), "555-1234");
+      assert.ok(needsRotation(old));
+      assert.strictEqual(encrypt("555-1234").split(":")[2], "new");
+      assert.ok(!needsRotation(encrypt("555-1234")));
+
+      setEncryptionKeys("new:second secret");
+      assert.throws(() => decrypt(old), /unknown encryption key: old/);
+    });
+
+    it("fails without keys instead of using an empty one", function () {
+      const { ENCRYPTION_PWD, BLIND_INDEX_KEY } = process.env;
+      delete process.env.ENCRYPTION_PWD;
+      delete process.env.BLIND_INDEX_KEY;
+      try {
+        assert.throws(() => blindIndex("jane"), /BLIND_INDEX_KEY is not set/);
+        assert.throws(
+          () => setEncryptionKeys(`0:${requireSecret("ENCRYPTION_PWD")}`),
+          /ENCRYPTION_PWD is not set/
+        );
+      } finally {
+        Object.assign(process.env, { ENCRYPTION_PWD, BLIND_INDEX_KEY });
+      }
+    });
+
+    it("uses a base64 secret of 32 bytes as the key", function () {
+      const secret = crypto.randomBytes(32).toString("base64");
+      setEncryptionKeys(`k1:${secret}`);
+      assert.strictEqual(decrypt(encrypt("text")), "text");
+    });
+
+    it("decrypts legacy values", function () {
+      const key = crypto.scryptSync(
+        String(process.env.ENCRYPTION_PWD),
+        "salt",
+        24
+      );
+      const cipher = crypto.createCipheriv(
+        "aes-192-cbc",
+        key,
+        Buffer.alloc(16, 0)
+      );
+      const legacy =
+        cipher.update("legacy", "utf8", "hex") + cipher.final("hex");
+      assert.strictEqual(decrypt(legacy), "legacy");
+      assert.ok(needsRotation(legacy));
+    });
+  });
+
+  describe("blindIndex()", function () {
+    it("doesn't change when keys rotate", function () {
+      const before = blindIndex("jane@example.com");
+      setEncryptionKeys("new:another secret");
+      assert.strictEqual(blindIndex("jane@example.com"), before);
+      assert.notStrictEqual(blindIndex("john@example.com"), before);
+    });
+  });
+
+  describe("hashPassword()", function () {
+    it("stores the parameters and salt with the hash", async function () {
+      const hashed = await hashPassword("s3cret", { N: 1024, r: 8, p: 1 });
+
+      assert.ok(hashed.startsWith("$scrypt$N=1024,r=8,p=1$"));
+      assert.notStrictEqual(await hashPassword("s3cret"), hashed);
+      assert.ok(await verifyPassword("s3cret", hashed));
+      assert.ok(!(await verifyPassword("S3cret", hashed)));
+      assert.ok(needsRehash(hashed));
+      assert.ok(!needsRehash(await hashPassword("s3cret")));
+    });
+
+    it("verifies legacy SHA-1 hashes, which need rehashing", async function () {
+      assert.ok(await verifyPassword("s3cret", hash("s3cret")));
+      assert.ok(!(await verifyPassword("guess", hash("s3cret"))));
+      assert.ok(needsRehash(hash("s3cret")));
+      assert.ok(!(await verifyPassword("s3cret", undefined)));
+    });
+  });
+
+  describe("rotateKeys()", function () {
+    it("encrypts stale values again with the current key", async function () {
+      setEncryptionKeys("old:first secret");
+      let saved;
+      const model = encryptProperties(
+        "email",
+        "phone"
+      )({
+        email: encrypt("jane@example.com"),
+        phone: encrypt("555-1234"),
+        update(changes, validate) {
+          saved = { changes, validate };
+          return { ...this, ...changes };
+        },
+      });
+
+      setEncryptionKeys("new:second secret,old:first secret");
+      const rotated = await model.rotateKeys();
+
+      assert.strictEqual(saved.validate, false);
+      assert.deepStrictEqual(Object.keys(saved.changes).sort(), [
+        "email",
+        "phone",
+      ]);
+      assert.strictEqual(rotated.email.split(":")[2], "new");
+      assert.strictEqual(decrypt(rotated.email), "jane@example.com");
+
+      saved = undefined;
+      await rotated.rotateKeys();
+      assert.strictEqual(saved, undefined);
+    });
+  });
+});
@@ -0,0 +1,52 @@
+"use strict";
+
+import assert from "assert";
+import analyzeWorkflow, {
+  assertWorkflow,
+} from "../../src/models/analyze-workflow";
+import { Order } from "../../src/config/order";
+
+const undo = () => null;
+
+describe("analyzeWorkflow", function () {
+  it("finds no problems in the order workflow", function () {
+    assertWorkflow(Order);
+  });
+
+  it("reports dangling events, cycles, unreachable ports and orphaned undos", function () {
+    const graph = analyzeWorkflow({
+      modelName: "test",
+      ports: {
+        start: { consumesEvent: "startWorkflow", producesEvent: "started" },
+        next: { consumesEvent: "started", producesEvent: "done" },
+        waiting: { consumesEvent: "neverSent", undo },
+        ping: { consumesEvent: "pong", producesEvent: "ping" },
+        pong: { consumesEvent: "ping", producesEvent: "pong" },
+        standalone: { undo },
+        disabled: { consumesEvent: "started", disabled: true, undo },
+      },
+    });
+
+    assert.deepStrictEqual(graph.terminalEvents, ["done"]);
+    assert.deepStrictEqual(
+      graph.problems.map(p => [p.type, ...p.ports]),
+      [
+        ["dangling-event", "waiting"],
+        ["cycle", "ping", "pong"],
+        ["unreachable", "ping"],
+        ["unreachable", "pong"],
+        ["orphaned-undo", "waiting"],
+        ["orphaned-undo", "standalone"],
+        ["orphaned-undo", "disabled"],
+      ]
+    );
+    assert.throws(
+      () =>
+        assertWorkflow({
+          modelName: "test",
+          ports: { waiting: { consumesEvent: "x" } },
+        }),
+      /waiting consumes "x"/
+    );
+  });
+});
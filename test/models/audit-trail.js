@@ -0,0 +1,147 @@
+"use strict";
+
+import assert from "assert";
+import {
+  auditTrail,
+  auditContext,
+  AUDIT_CONTEXT,
+  encryptProperties,
+  freezeProperties,
+  validateModel,
+} from "../../src/models/mixins";
+import { compose } from "../../src/lib/utils";
+import { REDACTED } from "../../src/models/validation-error";
+
+const CREATE = 2;
+const UPDATE = 1;
+
+function makeOrder(props) {
+  return compose(
+    freezeProperties("orderNo"),
+    encryptProperties("creditCardNumber"),
+    auditTrail()
+  )({
+    ...props,
+    update(changes) {
+      return validateModel(this, changes, UPDATE);
+    },
+  });
+}
+
+describe("auditTrail", function () {
+  it("records each change as a diff, with who made it and how", async function () {
+    const created = await validateModel(
+      makeOrder({ orderNo: "1", orderStatus: "PENDING" }),
+      {},
+      CREATE
+    );
+    const updated = await created.update({
+      orderStatus: "APPROVED",
+      creditCardNumber: "4111111111111111",
+      [auditContext]: { user: "jane", via: "approve" },
+    });
+
+    assert.deepStrictEqual(
+      updated.history.map(({ at, ...entry }) => entry),
+      [
+        {
+          revision: 1,
+          user: null,
+          via: "api",
+          event: "create",
+          changes: {
+            orderNo: { from: null, to: "1" },
+            orderStatus: { from: null, to: "PENDING" },
+          },
+        },
+        {
+          revision: 2,
+          user: "jane",
+          via: "approve",
+          event: "update",
+          changes: {
+            orderStatus: { from: "PENDING", to: "APPROVED" },
+            creditCardNumber: {
+              from: null,
+              to: updated.creditCardNumber,
+            },
+          },
+        },
+      ]
+    );
+    assert.strictEqual(
+      updated.getHistory()[1].changes.creditCardNumber.to,
+      REDACTED
+    );
+
+    const next = await updated.update({ history: [], orderStatus: "SHIPPING" });
+    assert.strictEqual(next.history.length, 3);
+    assert.strictEqual(next.history[2].user, null);
+  });
+
+  it("starts a new history for new models, whatever the input", async function () {
+    const forged = [
+      {
+        revision: 1,
+        user: "root",
+        via: "api",
+        event: "create",
+        changes: { orderStatus: { from: null, to: "APPROVED" } },
+      },
+    ];
+    const created = await validateModel(
+      makeOrder({ orderNo: "1", orderStatus: "PENDING", history: forged }),
+      {},
+      CREATE
+    );
+
+    assert.strictEqual(created.history.length, 1);
+    assert.strictEqual(created.history[0].user, null);
+    assert.deepStrictEqual(created.history[0].changes, {
+      orderNo: { from: null, to: "1" },
+      orderStatus: { from: null, to: "PENDING" },
+    });
+  });
+
+  it("reverts changes through validation", async function () {
+    const created = await validateModel(
+      makeOrder({ orderNo: "1", orderStatus: "PENDING" }),
+      {},
+      CREATE
+    );
+    const updated = await created.update({
+      orderStatus: "APPROVED",
+      creditCardNumber: "4111111111111111",
+    });
+
+    const reverted = await updated.revert(1, ["orderStatus"], {
+      user: "finn",
+      roles: ["finance"],
+    });
+    assert.strictEqual(reverted.orderStatus, "PENDING");
+    assert.strictEqual(reverted.creditCardNumber, updated.creditCardNumber);
+    assert.strictEqual(reverted.history[2].via, "revert:1");
+    assert.strictEqual(reverted.history[2].user, "finn");
+
+    const frozen = await reverted.update({ orderNo: "2" }).catch(e => e);
+    assert.strictEqual(frozen.name, "ValidationError");
+
+    await assert.rejects(reverted.revert(9), /no revision 9/);
+  });
+
+  it("takes the context passed to the host by the API", async function () {
+    const created = await validateModel(
+      makeOrder({ orderNo: "1", orderStatus: "PENDING" }),
+      {},
+      CREATE
+    );
+    const updated = await created.update({
+      orderStatus: "APPROVED",
+      [AUDIT_CONTEXT]: { user: "jane", via: "api" },
+    });
+
+    assert.strictEqual(updated.history[1].user, "jane");
+    assert.strictEqual(updated.history[1].via, "api");
+    assert.ok(!(AUDIT_CONTEXT in updated));
+  });
+});
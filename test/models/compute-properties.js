@@ -0,0 +1,95 @@
+"use strict";
+
+import assert from "assert";
+import {
+  computeProperties,
+  validateModel,
+  ValidationError,
+} from "../../src/models/mixins";
+
+const UPDATE = 1;
+const CREATE = 2;
+
+describe("computeProperties", function () {
+  let calls;
+
+  const total = items => {
+    calls.total++;
+    return items.reduce((sum, i) => sum + i.price * i.qty, 0);
+  };
+  const tax = orderTotal => {
+    calls.tax++;
+    return Math.round(orderTotal * 21) / 100;
+  };
+  const gross = (orderTotal, orderTax) => orderTotal + orderTax;
+
+  // listed out of order to check they're sorted by dependency
+  const mixin = computeProperties([
+    {
+      propKey: "grossTotal",
+      inputs: ["orderTotal", "orderTax"],
+      compute: gross,
+    },
+    { propKey: "orderTax", inputs: ["orderTotal"], compute: tax },
+    { propKey: "orderTotal", inputs: ["orderItems"], compute: total },
+  ]);
+
+  const create = props => validateModel(mixin(props), {}, CREATE);
+
+  beforeEach(function () {
+    calls = { total: 0, tax: 0 };
+  });
+
+  it("computes every property when the model is created", async function () {
+    const order = await create({ orderItems: [{ price: 10, qty: 2 }] });
+
+    assert.strictEqual(order.orderTotal, 20);
+    assert.strictEqual(order.orderTax, 4.2);
+    assert.strictEqual(order.grossTotal, 24.2);
+  });
+
+  it("recomputes chained properties when an input changes", async function () {
+    const order = await create({ orderItems: [{ price: 10, qty: 2 }] });
+    const updated = await validateModel(
+      order,
+      { orderItems: [{ price: 50, qty: 2 }] },
+      UPDATE
+    );
+
+    assert.strictEqual(updated.orderTotal, 100);
+    assert.strictEqual(updated.orderTax, 21);
+    assert.strictEqual(updated.grossTotal, 121);
+    assert.deepStrictEqual(calls, { total: 2, tax: 2 });
+  });
+
+  it("leaves properties alone when none of their inputs change", async function () {
+    const order = await create({ orderItems: [{ price: 10, qty: 2 }] });
+    const updated = await validateModel(order, { note: "gift" }, UPDATE);
+
+    assert.strictEqual(updated.grossTotal, 24.2);
+    assert.deepStrictEqual(calls, { total: 1, tax: 1 });
+  });
+
+  it("rejects updates that set computed properties", async function () {
+    const order = await create({ orderItems: [{ price: 10, qty: 2 }] });
+
+    await assert.rejects(
+      () => validateModel(order, { orderTotal: 1, orderTax: 0 }, UPDATE),
+      error =>
+        error instanceof ValidationError &&
+        error.violations.map(v => [v.code, v.propKey]).join() ===
+          "READONLY_PROPERTY,orderTotal,READONLY_PROPERTY,orderTax"
+    );
+  });
+
+  it("rejects circular dependencies", function () {
+    assert.throws(
+      () =>
+        computeProperties([
+          { propKey: "a", inputs: ["b"], compute: b => b },
+          { propKey: "b", inputs: ["a"], compute: a => a },
+        ])({}),
+      /circular dependency: a > b > a/
+    );
+  });
+});
@@ -0,0 +1,136 @@
+"use strict";
+
+import assert from "assert";
+import {
+  matchesCondition,
+  conditionProblems,
+  requireProperties,
+  freezeProperties,
+  validateProperties,
+  validateModel,
+  prevmodel,
+} from "../../src/models/mixins";
+
+const CREATE = 2;
+const UPDATE = 1;
+
+describe("matchesCondition", function () {
+  const order = {
+    orderStatus: "APPROVED",
+    orderTotal: 120,
+    shippingAddress: { country: "NL" },
+    [prevmodel]: { orderStatus: "PENDING" },
+  };
+
+  it("compares values and paths", function () {
+    assert.ok(matchesCondition({ orderStatus: "APPROVED" }, order));
+    assert.ok(matchesCondition({ "shippingAddress.country": "NL" }, order));
+    assert.ok(!matchesCondition({ orderStatus: "PENDING" }, order));
+  });
+
+  it("tests values with operators", function () {
+    assert.ok(
+      matchesCondition({ orderStatus: { in: ["APPROVED", "SHIPPING"] } }, order)
+    );
+    assert.ok(matchesCondition({ orderTotal: { gt: 100, lte: 120 } }, order));
+    assert.ok(matchesCondition({ customerId: { exists: false } }, order));
+    assert.ok(!matchesCondition({ orderStatus: { nin: ["APPROVED"] } }, order));
+  });
+
+  it("compares against the previous model", function () {
+    assert.ok(matchesCondition({ prev: { orderStatus: "PENDING" } }, order));
+    assert.ok(!matchesCondition({ prev: { orderStatus: "APPROVED" } }, {}));
+  });
+
+  it("combines conditions", function () {
+    assert.ok(
+      matchesCondition(
+        {
+          or: [{ orderStatus: "COMPLETE" }, { orderTotal: { gte: 100 } }],
+          not: { prev: { orderStatus: "CANCELED" } },
+        },
+        order
+      )
+    );
+    assert.ok(
+      !matchesCondition(
+        { and: [{ orderStatus: "APPROVED" }, { orderTotal: { lt: 100 } }] },
+        order
+      )
+    );
+  });
+
+  it("reports unknown operators and malformed lists", function () {
+    assert.deepStrictEqual(
+      conditionProblems(
+        {
+          orderStatus: { in: "APPROVED" },
+          orderTotal: { gt: 1, more: 2 },
+          or: {},
+        },
+        "when"
+      ),
+      [
+        { path: "when.orderStatus.in", message: "expected array" },
+        { path: "when.orderTotal.more", message: "unknown operator" },
+        { path: "when.or", message: "expected array" },
+      ]
+    );
+  });
+});
+
+describe("conditional rules", function () {
+  it("requires properties when the condition holds", async function () {
+    const model = requireProperties({
+      when: { orderStatus: "APPROVED" },
+      require: ["paymentAuthorization"],
+    })({ orderStatus: "PENDING" });
+    const created = await validateModel(model, {}, CREATE);
+
+    await assert.rejects(
+      validateModel(created, { orderStatus: "APPROVED" }, UPDATE),
+      { name: "ValidationError", message: /paymentAuthorization/ }
+    );
+  });
+
+  it("freezes properties depending on the previous model", async function () {
+    const model = freezeProperties({
+      when: { prev: { orderStatus: { ne: "PENDING" } } },
+      freeze: ["orderTotal"],
+    })({ orderStatus: "PENDING", orderTotal: 10 });
+    const created = await validateModel(model, {}, CREATE);
+    const approved = await validateModel(
+      created,
+      { orderStatus: "APPROVED", orderTotal: 12 },
+      UPDATE
+    );
+
+    assert.strictEqual(approved.orderTotal, 12);
+    await assert.rejects(validateModel(approved, { orderTotal: 14 }, UPDATE), {
+      name: "ValidationError",
+      message: /orderTotal/,
+    });
+  });
+
+  it("only validates properties when the condition holds", async function () {
+    const model = validateProperties([
+      {
+        propKey: "signature",
+        regex: /^sig:/,
+        when: { orderStatus: "COMPLETE" },
+      },
+    ])({ orderStatus: "SHIPPING" });
+    const created = await validateModel(model, {}, CREATE);
+    const signed = await validateModel(created, { signature: "x" }, UPDATE);
+
+    assert.strictEqual(signed.signature, "x");
+    await assert.rejects(
+      validateModel(
+        signed,
+        { orderStatus: "COMPLETE", signature: "y" },
+        UPDATE
+      ),
+      { name: "ValidationError" }
+    );
+  });
+});
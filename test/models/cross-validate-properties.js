@@ -0,0 +1,101 @@
+"use strict";
+
+import assert from "assert";
+import {
+  crossValidateProperties,
+  computeProperties,
+  validateModel,
+} from "../../src/models/mixins";
+
+const CREATE = 2;
+const UPDATE = 1;
+
+const billingAddressForCard = {
+  name: "billingAddressForCard",
+  fields: ["creditCardNumber", "billingAddress"],
+  isValid: (card, address) => !card || !!address,
+};
+
+const overnightNeedsSignature = {
+  name: "overnightNeedsSignature",
+  fields: ["shippingPriority", "signatureRequired"],
+  isValid: {
+    or: [
+      { shippingPriority: { ne: "overnight" } },
+      { signatureRequired: { ne: false } },
+    ],
+  },
+  message: "overnight shipping requires a signature",
+};
+
+describe("crossValidateProperties", function () {
+  it("names every field of a failed rule", async function () {
+    const model = crossValidateProperties([billingAddressForCard])({
+      creditCardNumber: "4111111111111111",
+    });
+
+    await assert.rejects(validateModel(model, {}, CREATE), error => {
+      assert.deepStrictEqual(error.violations, [
+        {
+          code: "INVALID_COMBINATION",
+          rule: "crossField",
+          propKey: undefined,
+          message: "invalid combination of creditCardNumber, billingAddress",
+          name: "billingAddressForCard",
+          propKeys: ["creditCardNumber", "billingAddress"],
+        },
+      ]);
+      return true;
+    });
+  });
+
+  it("only runs rules whose fields change", async function () {
+    let runs = 0;
+    const counted = {
+      ...billingAddressForCard,
+      isValid: (...values) =>
+        ++runs && billingAddressForCard.isValid(...values),
+    };
+    const model = crossValidateProperties([counted])({
+      creditCardNumber: "4111111111111111",
+      billingAddress: "1 Main St",
+      email: "a@example.com",
+    });
+    const created = await validateModel(model, {}, CREATE);
+    await validateModel(created, { email: "b@example.com" }, UPDATE);
+    assert.strictEqual(runs, 1);
+
+    await assert.rejects(
+      validateModel(created, { billingAddress: "" }, UPDATE),
+      { name: "ValidationError" }
+    );
+    assert.strictEqual(runs, 2);
+  });
+
+  it("checks computed fields and conditions", async function () {
+    const model = computeProperties([
+      {
+        propKey: "signatureRequired",
+        inputs: ["requireSignature"],
+        compute: input => input !== false,
+      },
+    ])(
+      crossValidateProperties([overnightNeedsSignature])({
+        shippingPriority: "overnight",
+        requireSignature: true,
+      })
+    );
+    const created = await validateModel(model, {}, CREATE);
+
+    await assert.rejects(
+      validateModel(created, { requireSignature: false }, UPDATE),
+      { message: "overnight shipping requires a signature" }
+    );
+    const standard = await validateModel(
+      created,
+      { shippingPriority: "standard", requireSignature: false },
+      UPDATE
+    );
+    assert.strictEqual(standard.signatureRequired, false);
+  });
+});
@@ -0,0 +1,75 @@
+"use strict";
+
+import assert from "assert";
+import { validateModel, defineSchema } from "../../src/models/mixins";
+import { compose } from "../../src/lib/utils";
+
+const itemSchema = defineSchema({
+  orderItems: {
+    type: "array",
+    min: 1,
+    items: {
+      type: "object",
+      properties: {
+        itemId: { type: "string", required: true },
+        price: { type: "number", min: 0, required: true },
+        qty: { type: "integer", min: 1, default: 1 },
+      },
+    },
+  },
+  status: { type: "string", enum: ["PENDING", "APPROVED"], default: "PENDING" },
+  dueDate: { type: "date" },
+  gift: { type: "boolean" },
+});
+
+describe("defineSchema", function () {
+  it("coerces values and applies defaults on create", async function () {
+    const model = await validateModel(
+      compose(itemSchema)({
+        orderItems: [{ itemId: "a", price: "10.5" }],
+        dueDate: 0,
+        gift: "true",
+      }),
+      {},
+      2
+    );
+
+    assert.deepStrictEqual(model.orderItems, [
+      { itemId: "a", price: 10.5, qty: 1 },
+    ]);
+    assert.strictEqual(model.status, "PENDING");
+    assert.strictEqual(model.dueDate, "1970-01-01T00:00:00.000Z");
+    assert.strictEqual(model.gift, true);
+  });
+
+  it("reports violations by path", async function () {
+    await assert.rejects(
+      () =>
+        validateModel(
+          compose(itemSchema)({
+            orderItems: [{ itemId: "a", price: 1 }],
+          }),
+          { orderItems: [{ price: "12px", qty: 0 }], status: "DONE" },
+          1
+        ),
+      error => {
+        assert.deepStrictEqual(
+          error.violations.map(v => [v.rule, v.propKey]),
+          [
+            ["require", "orderItems[0].itemId"],
+            ["type", "orderItems[0].price"],
+            ["min", "orderItems[0].qty"],
+            ["values", "status"],
+          ]
+        );
+        return true;
+      }
+    );
+  });
+
+  it("only checks the properties being changed on update", async function () {
+    const model = compose(itemSchema)({ orderItems: [] });
+    const updated = await validateModel(model, { gift: "false" }, 1);
+    assert.strictEqual(updated.gift, false);
+  });
+});
@@ -0,0 +1,59 @@
+"use strict";
+
+import assert from "assert";
+import dryRun from "../../src/models/dry-run";
+import {
+  execMethod,
+  requireProperties,
+  validateProperties,
+} from "../../src/models/mixins";
+
+describe("dryRun", function () {
+  let calls = 0;
+  const spec = {
+    modelName: "order",
+    endpoint: "orders",
+    dependencies: { uuid: () => "1" },
+    factory: ({ uuid }) => async ({ orderItems, email = null }) => ({
+      orderNo: uuid(),
+      orderItems,
+      email,
+    }),
+    mixins: [
+      requireProperties("orderItems"),
+      validateProperties([{ propKey: "email", regex: "email" }]),
+      execMethod(() => calls++, true, true),
+    ],
+  };
+
+  it("reports every violation of the input", async function () {
+    const result = await dryRun(spec, { email: "nope" });
+
+    assert.strictEqual(result.valid, false);
+    assert.deepStrictEqual(result.violations.map(v => v.code).sort(), [
+      "INVALID_VALUE",
+      "MISSING_PROPERTY",
+    ]);
+  });
+
+  it("validates updates of a saved model", async function () {
+    const saved = { orderNo: "1", orderItems: [{ itemId: "a" }], email: null };
+
+    assert.deepStrictEqual(
+      await dryRun(spec, { email: "a@example.com" }, saved),
+      {
+        valid: true,
+        violations: [],
+      }
+    );
+    assert.strictEqual(
+      (await dryRun(spec, { email: "nope" }, saved)).violations[0].propKey,
+      "email"
+    );
+  });
+
+  it("skips validations with side effects", async function () {
+    await dryRun(spec, { orderItems: [{ itemId: "a" }] });
+    assert.strictEqual(calls, 0);
+  });
+});
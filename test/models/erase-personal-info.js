@@ -0,0 +1,174 @@
+"use strict";
+
+import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  erasePersonalInfo,
+  encryptPersonalInfo,
+  sagaLog,
+  ERASED,
+} from "../../src/models/mixins";
+import { logErasure, verifyErasureLog } from "../../src/models/erasure-log";
+import { sagaState, withSagaLog } from "../../src/models/saga-log";
+import { compose, encrypt } from "../../src/lib/utils";
+
+function makeModel(modelName, id, props, ...mixins) {
+  const model = compose(
+    ...mixins,
+    encryptPersonalInfo
+  )({
+    ...props,
+    getName: () => modelName,
+    getId: () => id,
+    update(changes) {
+      Object.assign(model, changes);
+      return model;
+    },
+  });
+  return model;
+}
+
+describe("erasePersonalInfo", function () {
+  const log = path.join(os.tmpdir(), `erasure-${process.pid}.jsonl`);
+
+  before(function () {
+    process.env.ERASURE_LOG = log;
+  });
+
+  after(function () {
+    delete process.env.ERASURE_LOG;
+    if (fs.existsSync(log)) fs.unlinkSync(log);
+  });
+
+  it("erases personal info across relations, keeping business fields", async function () {
+    const order = makeModel("order", "o1", {
+      orderTotal: 25,
+      shippingAddress: encrypt("9612 Park Ave S, Bloomington, MN 55408"),
+      history: [
+        {
+          revision: 1,
+          changes: {
+            orderTotal: { from: null, to: 25 },
+            shippingAddress: { from: null, to: encrypt("1 Main St") },
+          },
+        },
+      ],
+    });
+    const customer = makeModel(
+      "customer",
+      "c1",
+      {
+        firstName: "Jane",
+        lastName: encrypt("Doe"),
+        email: encrypt("jane@example.com"),
+        orders: async () => [order],
+      },
+      erasePersonalInfo("orders")
+    );
+    const user = makeModel(
+      "user",
+      "u1",
+      {
+        userName: "jane",
+        email: encrypt("jane@example.com"),
+        customer: async () => customer,
+      },
+      erasePersonalInfo("customer")
+    );
+
+    const record = await user.erase();
+
+    assert.strictEqual(user.email, ERASED);
+    assert.strictEqual(customer.lastName, ERASED);
+    assert.strictEqual(customer.email, ERASED);
+    assert.strictEqual(order.shippingAddress, ERASED);
+    assert.strictEqual(order.orderTotal, 25);
+    assert.deepStrictEqual(order.history[0].changes, {
+      orderTotal: { from: null, to: 25 },
+      shippingAddress: { from: ERASED, to: ERASED },
+    });
+    assert.deepStrictEqual(order.decrypt(), {});
+
+    assert.deepStrictEqual(record.subject, { modelName: "user", id: "u1" });
+    assert.deepStrictEqual(
+      record.erased.map(e => [e.modelName, e.id, e.fields]),
+      [
+        ["user", "u1", ["email"]],
+        ["customer", "c1", ["lastName", "email"]],
+        ["order", "o1", ["shippingAddress"]],
+      ]
+    );
+    assert.ok(!fs.readFileSync(log, "utf8").includes("Doe"));
+  });
+
+  it("keeps a tamper-evident log of erasures", async function () {
+    const customer = makeModel(
+      "customer",
+      "c2",
+      { email: encrypt("bob@example.com"), orders: async () => [] },
+      erasePersonalInfo("orders")
+    );
+    await customer.erase();
+    assert.deepStrictEqual(await verifyErasureLog(log), {
+      valid: true,
+      records: 2,
+    });
+
+    const lines = fs.readFileSync(log, "utf8").split("\n");
+    lines[0] = lines[0].replace('"u1"', '"u2"');
+    fs.writeFileSync(log, lines.join("\n"));
+    assert.deepStrictEqual(await verifyErasureLog(log), {
+      valid: false,
+      records: 2,
+      brokenAt: 1,
+    });
+  });
+
+  it("erases the payloads of the saga log", async function () {
+    const dir = path.join(os.tmpdir(), `erasure-sagas-${process.pid}`);
+    process.env.SAGA_LOG_DIR = dir;
+    try {
+      const order = makeModel(
+        "order",
+        "o2",
+        { orderTotal: 10 },
+        erasePersonalInfo(),
+        sagaLog("order", { validateAddress: { undo: async () => {} } })
+      );
+      await withSagaLog(
+        "order",
+        "validateAddress",
+        async () => ({
+          shippingAddress: "1 Main St",
+        }),
+        { keys: "shippingAddress" }
+      )({ model: order });
+
+      const record = await order.erase();
+
+      assert.deepStrictEqual(record.erased[0].sagaLog, ["shippingAddress"]);
+      assert.deepStrictEqual(
+        (await sagaState({ modelName: "order", id: "o2" })).steps[0].payload,
+        { shippingAddress: ERASED }
+      );
+    } finally {
+      delete process.env.SAGA_LOG_DIR;
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("needs a key of its own", async function () {
+    const key = process.env.ERASURE_LOG_KEY;
+    delete process.env.ERASURE_LOG_KEY;
+    try {
+      await assert.rejects(
+        logErasure({ subject: {}, erased: [] }, `${log}.nokey`),
+        /ERASURE_LOG_KEY is not set/
+      );
+    } finally {
+      process.env.ERASURE_LOG_KEY = key;
+    }
+  });
+});
@@ -0,0 +1,79 @@
+"use strict";
+
+import assert from "assert";
+import extendSpec from "../../src/models/extend-spec";
+import {
+  crossValidateProperties,
+  validateProperties,
+  validations,
+} from "../../src/models/mixins";
+import { compose } from "../../src/lib/utils";
+
+const Base = {
+  mixins: [validateProperties([{ propKey: "email", regex: "email" }])],
+  ports: { notify: { service: "Event", timeout: 0 } },
+  commands: { decrypt: { command: "decrypt", acl: ["read"] } },
+};
+
+describe("extendSpec", function () {
+  const spec = extendSpec({
+    modelName: "customer",
+    extends: [Base],
+    mixins: [
+      validateProperties([
+        { propKey: "email", regex: "email", unique: { encrypted: true } },
+        { propKey: "phone", regex: "phone" },
+      ]),
+    ],
+    ports: { notify: { timeout: 1000 } },
+  });
+
+  it("merges named entries property by property", function () {
+    assert.deepStrictEqual(spec.ports.notify, {
+      service: "Event",
+      timeout: 1000,
+    });
+    assert.ok(spec.commands.decrypt);
+    assert.strictEqual(spec.extends, undefined);
+  });
+
+  it("merges mixins of the same kind, the spec's entries winning", function () {
+    assert.strictEqual(spec.mixins.length, 1);
+
+    const [validation] = compose(...spec.mixins)({})[validations];
+    assert.deepStrictEqual(
+      validation.args.map(v => [v.propKey, !!v.unique]),
+      [
+        ["email", true],
+        ["phone", false],
+      ]
+    );
+  });
+
+  it("merges cross-field rules by name", function () {
+    const rule = (name, fields) => ({ name, fields, isValid: () => true });
+    const merged = extendSpec({
+      modelName: "order",
+      extends: [
+        { mixins: [crossValidateProperties([rule("card", ["a", "b"])])] },
+      ],
+      mixins: [
+        crossValidateProperties([
+          rule("card", ["a", "c"]),
+          rule("signature", ["d"]),
+        ]),
+      ],
+    });
+
+    const { args } = compose(...merged.mixins)({})[validations].find(
+      v => v.name === "crossValidateProperties"
+    );
+    assert.deepStrictEqual(
+      args.map(r => [r.name, r.fields]),
+      [
+        ["card", ["a", "c"]],
+        ["signature", ["d"]],
+      ]
+    );
+  });
+});
@@ -0,0 +1,56 @@
+"use strict";
+
+import assert from "assert";
+import makeDiagrams, { toMermaid, toDot } from "../../src/models/make-diagrams";
+
+const undo = function cancelStep() {};
+
+const Spec = {
+  modelName: "test",
+  ports: {
+    save: { service: "Persistence" },
+    first: { consumesEvent: "startWorkflow", producesEvent: "started", undo },
+    second: { consumesEvent: "started", producesEvent: "done" },
+    skipped: { consumesEvent: "started", disabled: true },
+  },
+};
+
+describe("makeDiagrams", function () {
+  it("renders events, compensation and disabled ports in Mermaid", function () {
+    const lines = toMermaid(Spec).split("\n");
+
+    assert.ok(lines.includes('  p_skipped["skipped (disabled)"]:::disabled'));
+    assert.ok(lines.includes('  p_first -->|"started"| p_second'));
+    assert.ok(lines.includes('  p_second -.->|"undo: cancelStep"| p_first'));
+    assert.ok(!lines.some(line => line.includes("save")));
+
+    const edges = lines.filter(line => / (-->|-\.->)/.test(line));
+    const styled = lines
+      .filter(line => line.startsWith("  linkStyle"))
+      .map(line => edges[line.split(" ")[3]]);
+    assert.deepStrictEqual(styled, [
+      '  p_first -->|"started"| p_skipped',
+      '  p_second -.->|"undo: cancelStep"| p_first',
+      '  p_skipped -.->|"undo: cancelStep"| p_first',
+    ]);
+  });
+
+  it("renders the same workflow in DOT", function () {
+    const dot = toDot(Spec);
+
+    assert.ok(dot.startsWith("digraph test {"));
+    assert.ok(dot.includes("e_startWorkflow -> p_first;"));
+    assert.ok(
+      dot.includes(
+        'p_second -> p_first [label="undo: cancelStep", style=dashed, color=red, fontcolor=red];'
+      )
+    );
+  });
+
+  it("leaves out models without a workflow", function () {
+    assert.deepStrictEqual(
+      Object.keys(makeDiagrams([Spec, { modelName: "other", ports: {} }])),
+      ["test"]
+    );
+  });
+});
@@ -0,0 +1,146 @@
+"use strict";
+
+import assert from "assert";
+import makeOpenApi from "../../src/models/make-openapi";
+import extendSpec from "../../src/models/extend-spec";
+import { Order } from "../../src/config/order";
+import { Customer } from "../../src/config/customer";
+import {
+  freezeProperties,
+  requireProperties,
+  validateProperties,
+} from "../../src/models/mixins";
+
+describe("makeOpenApi", function () {
+  const doc = makeOpenApi([extendSpec(Order)]);
+  const { Order: order, OrderUpdate: update } = doc.components.schemas;
+
+  it("generates an OpenAPI 3 document", function () {
+    assert.strictEqual(doc.openapi, "3.0.3");
+    assert.deepStrictEqual(doc.info, {
+      title: "MicroLib Example",
+      version: "1.0.0",
+    });
+  });
+
+  it("documents the REST API of each model", function () {
+    [
+      ["/api/orders", ["get", "post"]],
+      ["/api/orders/{id}", ["get", "patch", "delete"]],
+      ["/api/orders/validate", ["post"]],
+      ["/api/orders/{id}/validate", ["patch"]],
+      ["/api/orders/{id}/oauth-callback", ["post"]],
+      ["/api/orders/{id}/history", ["get"]],
+      ["/api/orders/{id}/revert", ["post"]],
+    ].forEach(([path, methods]) =>
+      assert.deepStrictEqual(Object.keys(doc.paths[path]), methods, path)
+    );
+
+    assert.deepStrictEqual(doc.paths["/api/orders"].post.requestBody, {
+      required: true,
+      content: {
+        "application/json": {
+          schema: { $ref: "#/components/schemas/Order" },
+        },
+      },
+    });
+  });
+
+  it("documents the download of personal data", function () {
+    const { paths } = makeOpenApi([extendSpec(Customer)]);
+    const download = paths["/api/customers/{id}/personal-data"].get;
+
+    assert.deepStrictEqual(Object.keys(download.responses), [
+      "200",
+      "401",
+      "403",
+      "404",
+    ]);
+    assert.deepStrictEqual(download.parameters[1].schema.enum, [
+      "json",
+      "html",
+    ]);
+    assert.strictEqual(doc.paths["/api/orders/{id}/personal-data"], undefined);
+  });
+
+  it("lists the commands of a model and the permissions they need", function () {
+    const command = doc.paths["/api/orders/{id}"].patch.parameters.find(
+      p => p.name === "command"
+    );
+
+    assert.strictEqual(command.in, "query");
+    assert.ok(command.schema.enum.includes("approve"));
+    assert.ok(command.schema.enum.includes("cancel"));
+    assert.ok(command.description.includes("approve: requires write, approve"));
+  });
+
+  it("requires the properties of requireProperties, but not conditional ones", function () {
+    assert.deepStrictEqual(order.required, ["orderItems"]);
+    assert.ok(order.properties.paymentAuthorization);
+    assert.ok(order.properties.proofOfDelivery);
+  });
+
+  it("translates validations and field schemas", function () {
+    assert.deepStrictEqual(order.properties.orderItems, {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        properties: {
+          itemId: { type: "string" },
+          price: { type: "number", minimum: 0 },
+          qty: { type: "integer", minimum: 1, default: 1 },
+        },
+        required: ["itemId", "price"],
+      },
+    });
+    assert.deepStrictEqual(order.properties.orderTotal, {
+      type: "number",
+      maximum: 99999.99,
+      readOnly: true,
+    });
+    assert.strictEqual(order.properties.email.format, "email");
+  });
+
+  it("leaves frozen and computed properties out of updates", function () {
+    ["orderNo", "customerId", "orderTotal", "signatureRequired"].forEach(key =>
+      assert.ok(!update.properties[key], key)
+    );
+    assert.ok(update.properties.orderItems);
+    assert.strictEqual(update.required, undefined);
+  });
+
+  it("documents the states of the state machine", function () {
+    const orderStatus = {
+      type: "string",
+      enum: ["PENDING", "APPROVED", "SHIPPING", "COMPLETE", "CANCELED"],
+    };
+
+    assert.deepStrictEqual(order.properties.orderStatus, orderStatus);
+    assert.deepStrictEqual(update.properties.orderStatus, orderStatus);
+  });
+
+  it("documents enums", function () {
+    const { Item } = makeOpenApi([
+      {
+        modelName: "item",
+        endpoint: "items",
+        factory: () => () => ({}),
+        mixins: [
+          requireProperties("size"),
+          freezeProperties("sku"),
+          validateProperties([{ propKey: "size", values: ["S", "M", "L"] }]),
+        ],
+      },
+    ]).components.schemas;
+
+    assert.deepStrictEqual(Item, {
+      type: "object",
+      properties: {
+        size: { enum: ["S", "M", "L"] },
+        sku: {},
+      },
+      required: ["size"],
+    });
+  });
+});
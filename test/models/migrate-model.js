@@ -0,0 +1,81 @@
+"use strict";
+
+import assert from "assert";
+import {
+  migrateModel,
+  schemaVersion,
+  validateModel,
+} from "../../src/models/mixins";
+
+const UPDATE = 1;
+const CREATE = 2;
+const LOAD = 4;
+
+describe("migrateModel", function () {
+  const migrations = [
+    {
+      version: 3,
+      migrate: order => ({ shipping: { priority: order.priority } }),
+    },
+    {
+      version: 1,
+      migrate: order => ({ customerId: order.customer }),
+    },
+    {
+      version: 2,
+      migrate: order => ({ priority: order.customerId ? "high" : "low" }),
+    },
+  ];
+
+  it("runs the migrations in version order when a model is loaded", async function () {
+    const loaded = await validateModel(
+      migrateModel(3, migrations)({ customer: "c1" }),
+      {},
+      LOAD
+    );
+
+    assert.strictEqual(loaded.customerId, "c1");
+    assert.strictEqual(loaded.priority, "high");
+    assert.deepStrictEqual(loaded.shipping, { priority: "high" });
+    assert.strictEqual(loaded[schemaVersion], 3);
+  });
+
+  it("only runs the migrations after the version the model was saved under", async function () {
+    const loaded = await validateModel(
+      migrateModel(3, migrations)({ [schemaVersion]: 2, priority: "low" }),
+      {},
+      LOAD
+    );
+
+    assert.strictEqual(loaded.customerId, undefined);
+    assert.deepStrictEqual(loaded.shipping, { priority: "low" });
+  });
+
+  it("skips migrations for versions after the current one", async function () {
+    const loaded = await validateModel(
+      migrateModel(2, migrations)({ customer: "c1" }),
+      {},
+      LOAD
+    );
+
+    assert.strictEqual(loaded.priority, "high");
+    assert.strictEqual(loaded.shipping, undefined);
+    assert.strictEqual(loaded[schemaVersion], 2);
+  });
+
+  it("stamps the current version on the model when it is saved", async function () {
+    const created = await validateModel(
+      migrateModel(3, migrations)({ priority: "low" }),
+      {},
+      CREATE
+    );
+    const updated = await validateModel(
+      { ...created, [schemaVersion]: 1 },
+      { priority: "high" },
+      UPDATE
+    );
+
+    assert.strictEqual(created[schemaVersion], 3);
+    assert.strictEqual(updated[schemaVersion], 3);
+  });
+});
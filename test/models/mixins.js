@@ -1,6 +1,186 @@
-import { parseKeys } from "../../src/models/mixins";
+import assert from "assert";
+import {
+  parseKeys,
+  getPath,
+  validateModel,
+  freezeProperties,
+  requireProperties,
+  encryptProperties,
+  validateProperties,
+  hashPasswords,
+  maskProperties,
+  mixinArgs,
+  validations,
+} from "../../src/models/mixins";
+import {
+  compose,
+  encrypt,
+  decrypt,
+  hash,
+  isPasswordHash,
+} from "../../src/lib/utils";
+import { REDACTED } from "../../src/models/validation-error";
 
 describe("parseKeys", function () {
   console.log(parseKeys({ email: "fake" }, /email/i));
+
+  it("expands nested and array paths", function () {
+    const order = {
+      orderItems: [{ price: 1 }, { price: 2 }],
+      billingAddress: { street: "1 Main", zip: "12345" },
+    };
+
+    assert.deepStrictEqual(
+      parseKeys(order, "orderItems[].price", "billingAddress.*", "email"),
+      [
+        "orderItems[0].price",
+        "orderItems[1].price",
+        "billingAddress.street",
+        "billingAddress.zip",
+        "email",
+      ]
+    );
+    assert.strictEqual(getPath(order, "orderItems[1].price"), 2);
+  });
 });
 
+describe("nested paths in property mixins", function () {
+  const order = () =>
+    compose(
+      freezeProperties("orderItems[].price"),
+      requireProperties("billingAddress.zip"),
+      encryptProperties("paymentAuthorization.*"),
+      validateProperties([{ propKey: "orderItems[].qty", maxnum: 10 }])
+    )({
+      orderItems: [{ itemId: "a", price: 1, qty: 1 }],
+      billingAddress: { zip: "12345" },
+    });
+
+  it("freezes nested values, but not their siblings", async function () {
+    const updated = await validateModel(
+      order(),
+      { orderItems: [{ itemId: "a", price: 1, qty: 2 }] },
+      1
+    );
+    assert.strictEqual(updated.orderItems[0].qty, 2);
+
+    await assert.rejects(
+      () =>
+        validateModel(
+          order(),
+          { orderItems: [{ itemId: "a", price: 0, qty: 1 }] },
+          1
+        ),
+      error => error.violations[0].propKey === "orderItems[0].price"
+    );
+  });
+
+  it("validates nested values", async function () {
+    await assert.rejects(
+      () =>
+        validateModel(
+          order(),
+          { orderItems: [{ itemId: "a", price: 1, qty: 11 }] },
+          1
+        ),
+      error => error.violations[0].propKey === "orderItems[0].qty"
+    );
+  });
+
+  it("requires nested values", async function () {
+    await assert.rejects(
+      () => validateModel(order(), { billingAddress: { street: "1 Main" } }, 1),
+      error => error.violations[0].propKey === "billingAddress.zip"
+    );
+  });
+
+  it("encrypts nested values field by field", async function () {
+    const updated = await validateModel(
+      order(),
+      { paymentAuthorization: { token: "secret", amount: "10" } },
+      1
+    );
+    assert.notStrictEqual(updated.paymentAuthorization.token, "secret");
+    assert.strictEqual(decrypt(updated.paymentAuthorization.token), "secret");
+  });
+});
+
+describe("hashPasswords", function () {
+  function makeUser(password) {
+    return hashPasswords("password")({
+      password,
+      updates: [],
+      update(changes, validate) {
+        this.updates.push({ changes, validate });
+        return { ...this, ...changes };
+      },
+    });
+  }
+
+  it("hashes passwords with a salt on create", async function () {
+    const first = await validateModel(makeUser("s3cret"), {}, 2);
+    const second = await validateModel(makeUser("s3cret"), {}, 2);
+
+    assert.ok(isPasswordHash(first.password));
+    assert.notStrictEqual(first.password, second.password);
+    assert.ok(await first.verifyPassword("s3cret"));
+    assert.ok(!(await first.verifyPassword("guess")));
+    assert.strictEqual(first.updates.length, 0);
+  });
+
+  it("upgrades legacy hashes when the password is correct", async function () {
+    const user = makeUser(hash("s3cret"));
+
+    assert.ok(!(await user.verifyPassword("guess")));
+    assert.strictEqual(user.updates.length, 0);
+
+    assert.ok(await user.verifyPassword("s3cret"));
+    const [{ changes, validate }] = user.updates;
+    assert.strictEqual(validate, false);
+    assert.ok(isPasswordHash(changes.password));
+  });
+});
+
+describe("maskProperties", function () {
+  const order = maskProperties({
+    creditCardNumber: { mask: "card", clear: ["owner"], masked: ["support"] },
+    email: { mask: "email", masked: ["support"] },
+    shippingAddress: { mask: "address", masked: ["support"] },
+  })({
+    orderNo: "123",
+    creditCardNumber: encrypt("4111 1111 1111 1234"),
+    email: encrypt("jane@example.com"),
+    shippingAddress: encrypt("9612 Park Ave S, Bloomington, MN 55408"),
+  });
+
+  it("shows clear, masked or redacted values by role", function () {
+    assert.deepStrictEqual(order.mask("support"), {
+      orderNo: "123",
+      creditCardNumber: "**** **** **** 1234",
+      email: "j***@example.com",
+      shippingAddress: "Bloomington, MN",
+    });
+    assert.strictEqual(
+      order.mask("owner", "support").creditCardNumber,
+      "4111 1111 1111 1234"
+    );
+  });
+
+  it("redacts values for other roles, never showing ciphertext", function () {
+    assert.deepStrictEqual(order.mask("reader"), {
+      orderNo: "123",
+      creditCardNumber: REDACTED,
+      email: REDACTED,
+      shippingAddress: REDACTED,
+    });
+  });
+
+  it("keeps its fields as config, not as a validation", function () {
+    const fields = { email: { mask: "email", masked: ["support"] } };
+
+    assert.strictEqual(order[validations], undefined);
+    assert.deepStrictEqual(mixinArgs([maskProperties(fields)]), {
+      maskProperties: fields,
+    });
+  });
+});
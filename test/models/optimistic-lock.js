@@ -0,0 +1,88 @@
+"use strict";
+
+import assert from "assert";
+import {
+  optimisticLock,
+  validateModel,
+  isVersionConflict,
+  ConflictError,
+} from "../../src/models/mixins";
+import { toETag, withIfMatch } from "../../src/models/etag";
+import retryOnConflict from "../../src/models/retry-on-conflict";
+
+const CREATE = 2;
+const UPDATE = 1;
+
+describe("optimisticLock", function () {
+  it("increments the version on every update", async function () {
+    const created = await validateModel(
+      optimisticLock()({ orderStatus: "PENDING" }),
+      {},
+      CREATE
+    );
+    const updated = await validateModel(
+      created,
+      { orderStatus: "APPROVED" },
+      UPDATE
+    );
+
+    assert.strictEqual(created.version, 1);
+    assert.strictEqual(updated.version, 2);
+    assert.strictEqual(toETag(updated), '"2"');
+  });
+
+  it("rejects updates based on a stale version", async function () {
+    const model = await validateModel(
+      optimisticLock()({ orderStatus: "PENDING" }),
+      {},
+      CREATE
+    );
+    const updated = await validateModel(
+      model,
+      withIfMatch({ orderStatus: "APPROVED" }, '"1"'),
+      UPDATE
+    );
+
+    await assert.rejects(
+      () =>
+        validateModel(
+          updated,
+          withIfMatch({ orderStatus: "CANCELED" }, 'W/"1"'),
+          UPDATE
+        ),
+      error => error instanceof ConflictError && isVersionConflict(error)
+    );
+    assert.deepStrictEqual(withIfMatch({ a: 1 }, "*"), { a: 1 });
+  });
+});
+
+describe("retryOnConflict", function () {
+  it("retries port callbacks with the latest model", async function () {
+    const conflict = new ConflictError([
+      { code: "VERSION_CONFLICT", rule: "version", message: "stale" },
+    ]);
+    const latest = { version: 3, find: async () => latest };
+    const stale = { version: 2, find: async () => latest };
+    const seen = [];
+
+    const callback = retryOnConflict(async ({ model }, payload) => {
+      seen.push(model.version);
+      if (model.version < 3) throw conflict;
+      return { ...payload, version: model.version + 1 };
+    });
+
+    assert.deepStrictEqual(
+      await callback({ model: stale }, { shipmentId: "1" }),
+      { shipmentId: "1", version: 4 }
+    );
+    assert.deepStrictEqual(seen, [2, 3]);
+
+    const failing = retryOnConflict(
+      async () => {
+        throw conflict;
+      },
+      { retries: 2 }
+    );
+    await assert.rejects(() => failing({ model: stale }), conflict);
+  });
+});
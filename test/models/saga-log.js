@@ -0,0 +1,202 @@
+"use strict";
+
+import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  compensate,
+  logStep,
+  sagaState,
+  withSagaLog,
+} from "../../src/models/saga-log";
+import { sagaLog } from "../../src/models/mixins";
+import { decrypt } from "../../src/lib/utils";
+
+describe("sagaLog", function () {
+  const dir = path.join(os.tmpdir(), `saga-logs-${process.pid}`);
+  let n = 0;
+  let model;
+
+  beforeEach(function () {
+    const id = `order${++n}`;
+    model = { getId: () => id };
+  });
+
+  after(function () {
+    fs.rmdirSync(dir, { recursive: true });
+  });
+
+  const saga = () => ({ modelName: "order", id: model.getId() });
+  const step = (port, result) =>
+    withSagaLog("order", port, async () => result, { keys: "ref", dir });
+
+  it("logs the status and payload of each step", async function () {
+    await step("authorizePayment", { ref: "auth1", other: 1 })({ model });
+    await assert.rejects(
+      withSagaLog(
+        "order",
+        "checkInventory",
+        async () => {
+          throw new Error("out of stock");
+        },
+        { dir }
+      )({ model })
+    );
+
+    const { status, steps } = await sagaState(saga(), dir);
+    assert.strictEqual(status, "FAILED");
+    assert.deepStrictEqual(
+      steps.map(s => [s.port, s.status, s.error]),
+      [
+        ["authorizePayment", "COMPLETED", undefined],
+        ["checkInventory", "FAILED", "out of stock"],
+      ]
+    );
+    assert.strictEqual(JSON.parse(decrypt(steps[0].payload.ref)), "auth1");
+    assert.deepStrictEqual(Object.keys(steps[0].payload), ["ref"]);
+  });
+
+  it("encrypts the payloads it logs", async function () {
+    await step("validateAddress", { ref: "1 Main St" })({ model });
+
+    const file = path.join(dir, `order-${model.getId()}.jsonl`);
+    assert.ok(!fs.readFileSync(file, "utf8").includes("Main St"));
+  });
+
+  it("numbers the records of concurrent steps in order", async function () {
+    const logged = await Promise.all(
+      ["a", "b", "c"].map(port => logStep(saga(), { port }, dir))
+    );
+
+    assert.deepStrictEqual(
+      logged.map(r => [r.seq, r.port]),
+      [
+        [1, "a"],
+        [2, "b"],
+        [3, "c"],
+      ]
+    );
+  });
+
+  it("undoes completed steps only, most recent first", async function () {
+    const undone = [];
+    const undo = port => async () => undone.push(port);
+    const ports = {
+      authorizePayment: { undo: undo("authorizePayment") },
+      pickOrder: { undo: undo("pickOrder") },
+      shipOrder: { undo: undo("shipOrder") },
+    };
+
+    await step("authorizePayment", {})({ model });
+    await step("pickOrder", {})({ model });
+    await assert.rejects(
+      withSagaLog(
+        "order",
+        "shipOrder",
+        async () => {
+          throw new Error("no carrier");
+        },
+        { dir }
+      )({ model })
+    );
+
+    const state = await compensate(model, {
+      modelName: "order",
+      ports,
+      delay: 0,
+      dir,
+    });
+
+    assert.deepStrictEqual(undone, ["pickOrder", "authorizePayment"]);
+    assert.strictEqual(state.status, "COMPENSATED");
+    assert.deepStrictEqual(
+      state.steps.map(s => s.status),
+      ["COMPENSATED", "COMPENSATED", "FAILED"]
+    );
+  });
+
+  it("retries undo, then reports partial compensation", async function () {
+    let attempts = 0;
+    const ports = {
+      authorizePayment: {
+        undo: async () => {
+          attempts++;
+          throw new Error("payment service down");
+        },
+      },
+      pickOrder: { undo: async () => {} },
+    };
+
+    await step("authorizePayment", {})({ model });
+    await step("pickOrder", {})({ model });
+
+    const state = await compensate(model, {
+      modelName: "order",
+      ports,
+      retries: 2,
+      delay: 0,
+      dir,
+    });
+
+    assert.strictEqual(attempts, 3);
+    assert.strictEqual(state.status, "PARTIALLY_COMPENSATED");
+    assert.deepStrictEqual(
+      state.steps.map(s => [s.port, s.status, s.error]),
+      [
+        ["authorizePayment", "COMPENSATION_FAILED", "payment service down"],
+        ["pickOrder", "COMPENSATED", undefined],
+      ]
+    );
+  });
+
+  it("leaves steps being compensated to the first call", async function () {
+    let calls = 0;
+    const ports = {
+      authorizePayment: {
+        undo: async m => {
+          calls++;
+          await compensate(m, { modelName: "order", ports, delay: 0, dir });
+        },
+      },
+    };
+
+    await step("authorizePayment", {})({ model });
+    await compensate(model, { modelName: "order", ports, delay: 0, dir });
+
+    assert.strictEqual(calls, 1);
+    assert.strictEqual((await sagaState(saga(), dir)).status, "COMPENSATED");
+  });
+
+  it("undoes each step once when compensating twice at a time", async function () {
+    let refunds = 0;
+    const ports = {
+      authorizePayment: { undo: async () => refunds++ },
+    };
+
+    await step("authorizePayment", {})({ model });
+    const options = { modelName: "order", ports, delay: 0, dir };
+    await Promise.all([compensate(model, options), compensate(model, options)]);
+
+    assert.strictEqual(refunds, 1);
+    assert.strictEqual((await sagaState(saga(), dir)).status, "COMPENSATED");
+  });
+
+  it("adds compensate and getSagaLog to the model", async function () {
+    process.env.SAGA_LOG_DIR = dir;
+    try {
+      let undone = false;
+      const o = sagaLog("order", {
+        authorizePayment: { undo: async () => (undone = true) },
+      })(model);
+
+      await step("authorizePayment", {})({ model: o });
+      await o.compensate();
+
+      assert.ok(undone);
+      assert.strictEqual((await o.getSagaLog()).status, "COMPENSATED");
+    } finally {
+      delete process.env.SAGA_LOG_DIR;
+    }
+  });
+});
@@ -0,0 +1,166 @@
+"use strict";
+
+import assert from "assert";
+import {
+  auditContext,
+  stateMachine,
+  validateModel,
+} from "../../src/models/mixins";
+
+const CREATE = 2;
+const UPDATE = 1;
+
+describe("stateMachine", function () {
+  const entered = [];
+  const machine = {
+    propKey: "orderStatus",
+    initial: "PENDING",
+    states: {
+      PENDING: {
+        exit: async () => entered.push("exit PENDING"),
+        transitions: {
+          APPROVED: { guard: "paymentAccepted", acl: ["approve"] },
+          CANCELED: { acl: ["cancel"] },
+        },
+      },
+      APPROVED: {
+        entry: async () => entered.push("APPROVED"),
+        transitions: { CANCELED: { guard: { orderTotal: { lt: 100 } } } },
+      },
+      CANCELED: { terminal: true },
+    },
+  };
+  const acl = {
+    owner: { allow: "*", deny: "delete", type: "role" },
+    approver: { allow: "approve", type: "role" },
+  };
+  const by = roles => ({ [auditContext]: { user: "jane", roles } });
+
+  const create = async data =>
+    validateModel(
+      stateMachine(
+        machine,
+        acl
+      )({
+        orderStatus: "PENDING",
+        paymentAccepted() {
+          return !!this.paymentAuthorization;
+        },
+        ...data,
+      }),
+      {},
+      CREATE
+    );
+
+  it("allows listed transitions whose guards pass", async function () {
+    const order = await create({ paymentAuthorization: "ok", orderTotal: 50 });
+    const approved = await validateModel(
+      order,
+      { orderStatus: "APPROVED", ...by(["owner"]) },
+      UPDATE
+    );
+    assert.strictEqual(approved.orderStatus, "APPROVED");
+  });
+
+  it("rejects unlisted transitions and failed guards", async function () {
+    const order = await create({ orderTotal: 500 });
+
+    await assert.rejects(
+      validateModel(order, { orderStatus: "APPROVED" }, UPDATE),
+      error =>
+        error.violations[0].code === "INVALID_TRANSITION" &&
+        /paymentAccepted/.test(error.violations[0].message)
+    );
+
+    const canceled = await validateModel(
+      order,
+      { orderStatus: "CANCELED", ...by(["owner"]) },
+      UPDATE
+    );
+    await assert.rejects(
+      validateModel(canceled, { orderStatus: "PENDING" }, UPDATE),
+      { message: "cannot change orderStatus from CANCELED to PENDING" }
+    );
+    await assert.rejects(
+      validateModel(order, { orderStatus: "LOST" }, UPDATE),
+      { message: "unknown orderStatus: LOST" }
+    );
+  });
+
+  it("lists the transitions the roles can make now", async function () {
+    const order = await create({ orderTotal: 500 });
+    const paid = await create({ paymentAuthorization: "ok" });
+
+    assert.deepStrictEqual(order.transitions(["owner"], acl), [
+      { state: "CANCELED" },
+    ]);
+    assert.deepStrictEqual(paid.transitions(["approver"], acl), [
+      { state: "APPROVED" },
+    ]);
+    assert.deepStrictEqual(paid.transitions(["owner", "approver"], acl), [
+      { state: "APPROVED" },
+      { state: "CANCELED" },
+    ]);
+    assert.deepStrictEqual(paid.transitions([], acl), []);
+  });
+
+  it("only makes transitions the caller's roles are allowed", async function () {
+    const order = await create({ paymentAuthorization: "ok" });
+
+    await assert.rejects(
+      validateModel(
+        order,
+        { orderStatus: "APPROVED", ...by(["support"]) },
+        UPDATE
+      ),
+      error =>
+        error.violations[0].code === "FORBIDDEN" &&
+        error.violations[0].message === "PENDING to APPROVED requires approve"
+    );
+    await assert.rejects(
+      validateModel(
+        order,
+        { orderStatus: "CANCELED", ...by(["approver"]) },
+        UPDATE
+      ),
+      error => error.violations[0].code === "FORBIDDEN"
+    );
+
+    const approved = await validateModel(
+      order,
+      { orderStatus: "APPROVED", ...by(["approver"]) },
+      UPDATE
+    );
+    assert.strictEqual(approved.orderStatus, "APPROVED");
+    // the roles don't carry over to later changes
+    assert.ok(!(auditContext in approved));
+  });
+
+  it("denies transitions needing permissions to callers without roles", async function () {
+    const order = await create({ paymentAuthorization: "ok" });
+
+    await assert.rejects(
+      validateModel(order, { orderStatus: "APPROVED" }, UPDATE),
+      error => error.violations[0].code === "FORBIDDEN"
+    );
+    await assert.rejects(
+      validateModel(
+        order,
+        { orderStatus: "CANCELED", [auditContext]: { via: "cancelPayment" } },
+        UPDATE
+      ),
+      error => error.violations[0].code === "FORBIDDEN"
+    );
+  });
+
+  it("runs exit and entry actions", async function () {
+    const order = await create({ paymentAuthorization: "ok" });
+    const approved = await validateModel(
+      order,
+      { orderStatus: "APPROVED", ...by(["owner"]) },
+      UPDATE
+    );
+    await approved.enterState();
+    assert.deepStrictEqual(entered, ["exit PENDING", "APPROVED"]);
+  });
+});
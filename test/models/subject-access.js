@@ -0,0 +1,72 @@
+"use strict";
+
+import assert from "assert";
+import exportPersonalData from "../../src/models/subject-access";
+import { encryptPersonalInfo, hashPasswords } from "../../src/models/mixins";
+import { compose, encrypt } from "../../src/lib/utils";
+
+function makeModel(modelName, id, props, ...mixins) {
+  return compose(
+    ...mixins,
+    encryptPersonalInfo
+  )({
+    ...props,
+    getName: () => modelName,
+    getId: () => id,
+  });
+}
+
+describe("exportPersonalData", function () {
+  const order = makeModel("order", "o1", {
+    orderNo: "o1",
+    orderTotal: 25,
+    shippingAddress: encrypt("9612 Park Ave S, Bloomington, MN 55408"),
+    history: [],
+  });
+  const user = makeModel(
+    "user",
+    "u1",
+    { userName: "jane", password: "$scrypt$N=16384,r=8,p=1$c2FsdA==$aGFzaA==" },
+    hashPasswords("password")
+  );
+  const customer = makeModel("customer", "c1", {
+    firstName: "Jane",
+    lastName: encrypt("O'Doe <Jr>"),
+    orders: async () => [order],
+    user: async () => user,
+  });
+
+  it("gathers and decrypts the customer, its orders and user", async function () {
+    const { document } = await exportPersonalData(customer);
+
+    assert.deepStrictEqual(document.subject, {
+      modelName: "customer",
+      id: "c1",
+    });
+    assert.deepStrictEqual(document.customer, {
+      firstName: "Jane",
+      lastName: "O'Doe <Jr>",
+    });
+    assert.deepStrictEqual(document.orders, [
+      {
+        orderNo: "o1",
+        orderTotal: 25,
+        shippingAddress: "9612 Park Ave S, Bloomington, MN 55408",
+      },
+    ]);
+    assert.deepStrictEqual(document.user, { userName: "jane" });
+  });
+
+  it("summarizes the document in HTML", async function () {
+    const { html } = await exportPersonalData({
+      ...customer,
+      user: async () => {
+        throw new Error("no user");
+      },
+    });
+
+    assert.ok(html.includes("O&#39;Doe &lt;Jr&gt;"));
+    assert.ok(html.includes("<h2>Orders (1)</h2>"));
+    assert.ok(html.includes("<h2>User account</h2>\n<p>None</p>"));
+  });
+});
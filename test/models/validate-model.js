@@ -0,0 +1,47 @@
+"use strict";
+
+import assert from "assert";
+import {
+  validateModel,
+  execMethod,
+  invokePort,
+  requireProperties,
+} from "../../src/models/mixins";
+import { compose } from "../../src/lib/utils";
+
+describe("validateModel", function () {
+  it("awaits validations that return promises", async function () {
+    const model = compose(
+      execMethod(
+        async () =>
+          new Promise(resolve => setTimeout(resolve, 5, { checked: true })),
+        true,
+        true
+      )
+    )({ orderNo: "123" });
+
+    const updated = await validateModel(model, { orderNo: "456" }, 1);
+    assert.strictEqual(updated.orderNo, "456");
+    assert.strictEqual(updated.checked, true);
+  });
+
+  it("skips validations with side effects once another fails", async function () {
+    let called = false;
+    const model = compose(
+      requireProperties("customerId"),
+      invokePort("checkCustomer", true, true)
+    )({
+      orderNo: "123",
+      async checkCustomer() {
+        called = true;
+        return {};
+      },
+    });
+
+    await assert.rejects(
+      () => validateModel(model, { orderNo: "456" }, 1),
+      /missing required property: customerId/
+    );
+    assert.strictEqual(called, false);
+  });
+});
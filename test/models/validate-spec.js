@@ -0,0 +1,158 @@
+"use strict";
+
+import assert from "assert";
+import validateSpec from "../../src/models/validate-spec";
+import {
+  maskProperties,
+  requireProperties,
+  validateProperties,
+} from "../../src/models/mixins";
+
+const Customer = {
+  modelName: "customer",
+  endpoint: "customers",
+  factory: () => () => ({}),
+};
+
+describe("validateSpec", function () {
+  it("accepts a valid spec", function () {
+    assert.deepStrictEqual(validateSpec(Customer), []);
+  });
+
+  it("reports every problem with its path", function () {
+    const problems = validateSpec(
+      {
+        modelName: "order",
+        factory: () => () => ({}),
+        ports: {
+          shipOrder: { service: "Shiping", consumeEvent: "orderPicked" },
+        },
+        relations: {
+          customer: { modelName: "customer", type: "manyToMany" },
+        },
+        commands: { approve: { command: "aprove" } },
+        accessControlList: { admin: { allow: [1], type: "group" } },
+        mixins: [
+          maskProperties({ email: { mask: "email", clear: ["admin"] } }),
+        ],
+      },
+      { services: { Shipping: {} } }
+    );
+
+    assert.deepStrictEqual(
+      problems.map(p => `${p.modelName}: ${p.path}`),
+      [
+        "order: endpoint",
+        "order: ports.shipOrder.consumeEvent",
+        "order: ports.shipOrder.service",
+        "order: relations.customer.type",
+        "order: relations.customer.foreignKey",
+        "order: commands.approve.command",
+        "order: accessControlList.admin.type",
+        "order: accessControlList.admin.allow[0]",
+        "order: mixins.maskProperties.email.clear[0]",
+      ]
+    );
+  });
+
+  it("only checks the services of ports this remote adapts", function () {
+    const problems = validateSpec(
+      {
+        ...Customer,
+        ports: {
+          shipOrder: { service: "Shiping" },
+          refreshToken: { service: "oauth" },
+        },
+      },
+      { services: { Shipping: {} }, adapters: { shipOrder: () => {} } }
+    );
+
+    assert.deepStrictEqual(
+      problems.map(p => p.path),
+      ["ports.shipOrder.service"]
+    );
+  });
+
+  it("reports relations to models that aren't loaded", function () {
+    const problems = validateSpec(
+      {
+        ...Customer,
+        relations: {
+          orders: { modelName: "Order", type: "oneToMany", foreignKey: "id" },
+          user: { modelName: "usr", type: "manyToOne", foreignKey: "userId" },
+        },
+      },
+      { modelNames: ["customer", "order", "user"] }
+    );
+
+    assert.deepStrictEqual(problems, [
+      {
+        modelName: "customer",
+        path: "relations.user.modelName",
+        message: 'no spec loaded for model "usr"',
+      },
+    ]);
+  });
+
+  it("reports malformed conditions in rules", function () {
+    const problems = validateSpec({
+      ...Customer,
+      mixins: [
+        requireProperties("email", {
+          when: { tier: { in: "gold" } },
+          require: ["phone"],
+        }),
+      ],
+    });
+
+    assert.deepStrictEqual(problems, [
+      {
+        modelName: "customer",
+        path: "mixins.requireProperties[1].when.tier.in",
+        message: "expected array",
+      },
+    ]);
+  });
+
+  it("reports validators that aren't registered", function () {
+    const problems = validateSpec({
+      ...Customer,
+      mixins: [
+        validateProperties([
+          { propKey: "iban", validator: "iban" },
+          { propKey: "vat", validator: { name: "vatNumber" } },
+        ]),
+      ],
+    });
+
+    assert.deepStrictEqual(problems, [
+      {
+        modelName: "customer",
+        path: "mixins.validateProperties[1].validator",
+        message: 'unknown validator "vatNumber"',
+      },
+    ]);
+  });
+
+  it("reports transitions to unknown states and out of terminal ones", function () {
+    const problems = validateSpec({
+      ...Customer,
+      stateMachine: {
+        propKey: "status",
+        initial: "ACTIVE",
+        states: {
+          ACTIVE: { transitions: { CLOSED: {}, DELETED: {} } },
+          CLOSED: { terminal: true, transitions: { ACTIVE: {} } },
+        },
+      },
+    });
+
+    assert.deepStrictEqual(
+      problems.map(p => `${p.path} ${p.message}`),
+      [
+        "stateMachine.states.ACTIVE.transitions.DELETED unknown state",
+        "stateMachine.states.CLOSED.transitions terminal state",
+      ]
+    );
+  });
+});
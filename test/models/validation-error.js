@@ -0,0 +1,55 @@
+"use strict";
+
+import assert from "assert";
+import {
+  validateModel,
+  freezeProperties,
+  validateProperties,
+  encryptProperties,
+  ValidationError,
+} from "../../src/models/mixins";
+import { compose } from "../../src/lib/utils";
+
+describe("ValidationError", function () {
+  const model = compose(
+    freezeProperties("orderNo"),
+    encryptProperties("creditCardNumber"),
+    validateProperties([
+      { propKey: "orderStatus", values: ["PENDING", "APPROVED"] },
+      { propKey: "creditCardNumber", regex: "creditCard" },
+    ])
+  )({ orderNo: "123", orderStatus: "PENDING" });
+
+  it("reports every violation at once", async function () {
+    await assert.rejects(
+      () =>
+        validateModel(
+          model,
+          { orderNo: "456", orderStatus: "BOGUS", creditCardNumber: "1" },
+          1
+        ),
+      error => {
+        assert.ok(error instanceof ValidationError);
+        assert.strictEqual(error.code, "VALIDATION_FAILED");
+        assert.deepStrictEqual(
+          error.violations.map(v => [v.code, v.rule, v.propKey]),
+          [
+            ["READONLY_PROPERTY", "freeze", "orderNo"],
+            ["INVALID_VALUE", "values", "orderStatus"],
+            ["INVALID_VALUE", "regex", "creditCardNumber"],
+          ]
+        );
+        return true;
+      }
+    );
+  });
+
+  it("redacts the values of encrypted properties", async function () {
+    await assert.rejects(
+      () => validateModel(model, { creditCardNumber: "1" }, 1),
+      error =>
+        error.violations[0].value === "[REDACTED]" &&
+        !JSON.stringify(error).includes('"1"')
+    );
+  });
+});
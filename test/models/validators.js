@@ -0,0 +1,119 @@
+"use strict";
+
+import assert from "assert";
+import {
+  cardBrand,
+  getValidator,
+  luhn,
+  registerValidator,
+  runValidator,
+} from "../../src/models/validators";
+import {
+  RegEx,
+  validateModel,
+  validateProperties,
+} from "../../src/models/mixins";
+
+const UPDATE = 1;
+const CREATE = 2;
+
+describe("validators", function () {
+  it("checks card numbers with Luhn and detects the brand", function () {
+    assert.ok(luhn("4111 1111 1111 1111"));
+    assert.ok(!luhn("4111111111111112"));
+    assert.strictEqual(cardBrand("378282246310005"), "amex");
+    assert.strictEqual(cardBrand("5555555555554444"), "mastercard");
+    assert.strictEqual(cardBrand("1234567812345670"), null);
+
+    assert.ok(runValidator("creditCard", "4111-1111-1111-1111"));
+    assert.ok(!runValidator("creditCard", "4111111111111112"));
+    assert.ok(
+      !runValidator({ name: "creditCard", brands: ["visa"] }, "378282246310005")
+    );
+  });
+
+  it("checks E.164 phones, IBANs and currencies", function () {
+    assert.ok(runValidator("phone", "+31 20 123 4567"));
+    assert.ok(!runValidator("phone", "555-555-5555"));
+    assert.ok(runValidator("iban", "GB82 WEST 1234 5698 7654 32"));
+    assert.ok(!runValidator("iban", "GB82 WEST 1234 5698 7654 33"));
+    assert.ok(!runValidator("iban", "NL82 WEST 1234 5698 7654 32"));
+    assert.ok(runValidator("currency", "EUR"));
+    assert.ok(!runValidator("currency", "XYZ"));
+  });
+
+  it("checks postal codes against their country", function () {
+    assert.ok(runValidator({ name: "postalCode", country: "nl" }, "1012 AB"));
+    assert.ok(runValidator("postalCode", "SW1A 1AA", { country: "GB" }));
+    assert.ok(
+      !runValidator({ name: "postalCode", countryKey: "shipTo" }, "1234", {
+        shipTo: "US",
+      })
+    );
+    assert.throws(() => runValidator("postalCode", "1234", { country: "ZZ" }), {
+      message: /ZZ/,
+    });
+  });
+
+  it("fixes the escaping of the IPv4 and SSN patterns", function () {
+    assert.ok(RegEx.test("ipv4Address", "192.168.0.1"));
+    assert.ok(!RegEx.test("ipv4Address", "192.168.0"));
+    assert.ok(RegEx.test("ssn", "123-45-6789"));
+  });
+
+  it("runs registered validators from validateProperties", async function () {
+    registerValidator("even", value => value % 2 === 0);
+    assert.ok(getValidator("even"));
+
+    const model = validateProperties([
+      { propKey: "qty", validator: "even" },
+      { propKey: "currency", validator: "currency" },
+    ])({ qty: 3, currency: "EURO" });
+
+    await assert.rejects(validateModel(model, {}, CREATE), error => {
+      assert.deepStrictEqual(
+        error.violations.map(v => [v.propKey, v.rule]),
+        [
+          ["qty", "validator"],
+          ["currency", "validator"],
+        ]
+      );
+      return true;
+    });
+    assert.throws(() => registerValidator("odd"), TypeError);
+  });
+
+  it("checks postal codes against the saved country on update", async function () {
+    const address = async (saved, changes) =>
+      validateModel(
+        await validateModel(
+          validateProperties([
+            { propKey: "postalCode", validator: "postalCode" },
+          ])(saved),
+          {},
+          CREATE
+        ),
+        changes,
+        UPDATE
+      );
+
+    await address(
+      { country: "NL", postalCode: "1012 AB" },
+      { postalCode: "3011 CD" }
+    );
+    await assert.rejects(
+      address(
+        { country: "NL", postalCode: "1012 AB" },
+        { postalCode: "90210" }
+      ),
+      error => error.violations[0].propKey === "postalCode"
+    );
+    await address(
+      { country: "NL", postalCode: "1012 AB" },
+      {
+        country: "US",
+        postalCode: "90210",
+      }
+    );
+  });
+});